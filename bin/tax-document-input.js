@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+/* eslint-env node */
+
+import { run } from '../src/cli.js';
+
+run(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
@@ -12,9 +12,9 @@ const banner = `/*!
  */`;
 
 export default [
-  // Build para desenvolvimento (não minificado)
+  // Build para desenvolvimento (não minificado); a tag <script> já registra o <tax-document-input>
   {
-    input: 'src/index.js',
+    input: 'src/element.js',
     output: {
       file: 'dist/tax-document-input.js',
       format: 'umd',
@@ -29,7 +29,7 @@ export default [
 
   // Build para produção (minificado)
   {
-    input: 'src/index.js',
+    input: 'src/element.js',
     output: {
       file: 'dist/tax-document-input.min.js',
       format: 'umd',
@@ -76,5 +76,48 @@ export default [
     plugins: [
       nodeResolve()
     ]
+  },
+
+  // Build da API headless (sem DOM) para CommonJS
+  {
+    input: 'src/headless.js',
+    output: {
+      file: 'dist/tax-document-input-headless.cjs.js',
+      format: 'cjs',
+      banner,
+      exports: 'named'
+    },
+    plugins: [
+      nodeResolve()
+    ]
+  },
+
+  // Build do ponto de entrada que registra o <tax-document-input> para CommonJS
+  {
+    input: 'src/element.js',
+    output: {
+      file: 'dist/tax-document-input-element.cjs.js',
+      format: 'cjs',
+      banner,
+      exports: 'auto'
+    },
+    plugins: [
+      nodeResolve()
+    ]
+  },
+
+  // Build do componente React para CommonJS (react fica por conta da aplicação)
+  {
+    input: 'src/react.js',
+    external: ['react'],
+    output: {
+      file: 'dist/tax-document-input-react.cjs.js',
+      format: 'cjs',
+      banner,
+      exports: 'named'
+    },
+    plugins: [
+      nodeResolve()
+    ]
   }
 ];
\ No newline at end of file
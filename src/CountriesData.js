@@ -12,7 +12,7 @@ export default {
       },
       cnpj: {
         length: 14,
-        mask: 'XX.XXX.XXX/XXXX-XX',
+        mask: '**.***.***/****-XX',
         type: 'company',
         priority: 2
       }
@@ -55,5 +55,97 @@ export default {
         priority: 2
       }
     }
+  },
+  es: {
+    name: 'España',
+    iso2: 'es',
+    flag: 'https://flagcdn.com/w20/es.png',
+    documents: {
+      nif: {
+        length: 9,
+        mask: 'XXXXXXXXA',
+        type: 'personal',
+        priority: 1
+      },
+      nie: {
+        length: 9,
+        mask: 'AXXXXXXXA',
+        type: 'personal',
+        priority: 2
+      },
+      cif: {
+        length: 9,
+        mask: 'AXXXXXXX*',
+        type: 'company',
+        priority: 3
+      }
+    }
+  },
+  ar: {
+    name: 'Argentina',
+    iso2: 'ar',
+    flag: 'https://flagcdn.com/w20/ar.png',
+    documents: {
+      cuil: {
+        length: 11,
+        mask: 'XX-XXXXXXXX-X',
+        type: 'personal',
+        priority: 1
+      },
+      cuit: {
+        length: 11,
+        mask: 'XX-XXXXXXXX-X',
+        type: 'company',
+        priority: 2
+      }
+    }
+  },
+  cl: {
+    name: 'Chile',
+    iso2: 'cl',
+    flag: 'https://flagcdn.com/w20/cl.png',
+    documents: {
+      run: {
+        length: 9,
+        minLength: 8,
+        mask: 'XX.XXX.XXX-K',
+        align: 'right',
+        type: 'personal',
+        priority: 1
+      },
+      rut: {
+        length: 9,
+        minLength: 8,
+        mask: 'XX.XXX.XXX-K',
+        align: 'right',
+        type: 'company',
+        priority: 2
+      }
+    }
+  },
+  mx: {
+    name: 'México',
+    iso2: 'mx',
+    flag: 'https://flagcdn.com/w20/mx.png',
+    documents: {
+      rfc_pf: {
+        length: 13,
+        mask: 'LLLL-XXXXXX-***',
+        type: 'personal',
+        priority: 1
+      },
+      rfc_pm: {
+        length: 12,
+        mask: 'LLL-XXXXXX-***',
+        type: 'company',
+        priority: 2
+      },
+      curp: {
+        length: 18,
+        mask: 'AAAAXXXXXXAAALLL*X',
+        type: 'personal',
+        priority: 3
+      }
+    }
   }
 };
\ No newline at end of file
@@ -0,0 +1,211 @@
+/**
+ * CountryRegistry - Registry of supported countries
+ * Keeps the country data used by every plugin instance and registers the matching
+ * validation rules, so a country can be added at runtime without editing CountriesData
+ * @version 1.0.0
+ * @license MIT
+ * @author Roni Sommerfeld
+ * @module CountryRegistry
+ * @requires CountriesData
+ * @requires VatCountriesData
+ * @requires ValidatorInstance
+ */
+
+import CountriesData from './CountriesData.js';
+import VatCountriesData from './VatCountriesData.js';
+import { ValidatorInstance } from './validators/Validator.js';
+import { countMaskTokens } from './utils/mask.js';
+
+const DOCUMENT_CATEGORIES = ['personal', 'company'];
+
+export default class CountryRegistry {
+    constructor(countries = {}, options = {}) {
+        this.countries = { ...countries };
+        this.listeners = new Set();
+        this.vat = Boolean(options.vat);
+    }
+
+    /**
+     * Registers a country with its documents and validation rules
+     * @description Checks the definition, stores the country data and registers its rules
+     * in the Validator, then notifies every subscriber (e.g. live plugin instances). Rules are added
+     * to the ones already registered for the country, replacing only the same document types
+     * @param {string} countryCode - ISO2 country code
+     * @param {Object} definition - Country data with name, flag and documents
+     * @param {Object} [rules] - Validation functions by document type, optional if already registered in the Validator
+     * @param {Object} [hints] - Content hints by document type, see Validator.registerHints
+     * @method register
+     * @version 1.1.0
+     * @returns {Object} Stored country data
+     */
+    register(countryCode, definition, rules = null, hints = null) {
+        const code = String(countryCode || '').toLowerCase();
+
+        this.validateDefinition(code, definition, rules);
+
+        const country = {
+            ...definition,
+            iso2: code
+        };
+
+        // Merged per document type, so overriding a country keeps the rules other modules added (e.g. vat)
+        if (rules) {
+            Object.entries(rules).forEach(([docType, validator]) => {
+                ValidatorInstance.registerDocumentRule(code, docType, validator);
+            });
+        }
+
+        if (hints) {
+            ValidatorInstance.registerHints(code, hints);
+        }
+
+        this.countries[code] = country;
+        this.notify(code);
+
+        return country;
+    }
+
+    /**
+     * Validates a country definition
+     * @description Throws when the code, data, documents or rules are inconsistent. In the VAT
+     * registry length and minLength count the vatPrefix, which the mask leaves out
+     * @private
+     * @param {string} code - Lowercase ISO2 country code
+     * @param {Object} definition - Country data with name, flag and documents
+     * @param {Object|null} rules - Validation functions by document type
+     * @method validateDefinition
+     * @version 1.0.0
+     * @returns {void}
+     */
+    validateDefinition(code, definition, rules) {
+        if (!/^[a-z]{2}$/.test(code)) {
+            throw new Error(`Código de país inválido: ${code}`);
+        }
+
+        if (!definition || typeof definition.name !== 'string' || definition.name.trim() === '') {
+            throw new Error(`País ${code}: nome é obrigatório`);
+        }
+
+        if (definition.flag !== undefined && typeof definition.flag !== 'string') {
+            throw new Error(`País ${code}: flag deve ser uma URL`);
+        }
+
+        const documents = Object.entries(definition.documents || {});
+        if (documents.length === 0) {
+            throw new Error(`País ${code}: ao menos um documento é obrigatório`);
+        }
+
+        if (!rules && !ValidatorInstance.hasRules(code)) {
+            throw new Error(`País ${code}: regras de validação são obrigatórias`);
+        }
+
+        if (this.vat && !/^[A-Z]{2}$/.test(definition.vatPrefix)) {
+            throw new Error(`País ${code}: vatPrefix deve ter duas letras maiúsculas`);
+        }
+
+        const availableRules = rules || ValidatorInstance.rules.get(code);
+        const prefixLength = this.vat ? definition.vatPrefix.length : 0;
+
+        documents.forEach(([docType, docConfig]) => {
+            if (!Number.isInteger(docConfig.length) || docConfig.length <= 0) {
+                throw new Error(`Documento ${code}.${docType}: length deve ser um inteiro positivo`);
+            }
+
+            if (docConfig.minLength !== undefined
+                && (!Number.isInteger(docConfig.minLength) || docConfig.minLength <= prefixLength || docConfig.minLength > docConfig.length)) {
+                throw new Error(`Documento ${code}.${docType}: minLength deve estar entre ${prefixLength + 1} e ${docConfig.length}`);
+            }
+
+            if (docConfig.align !== undefined && !['left', 'right'].includes(docConfig.align)) {
+                throw new Error(`Documento ${code}.${docType}: align deve ser 'left' ou 'right'`);
+            }
+
+            if (typeof docConfig.mask !== 'string' || countMaskTokens(docConfig.mask) !== docConfig.length - prefixLength) {
+                throw new Error(`Documento ${code}.${docType}: máscara deve ter ${docConfig.length - prefixLength} posições`);
+            }
+
+            if (!DOCUMENT_CATEGORIES.includes(docConfig.type)) {
+                throw new Error(`Documento ${code}.${docType}: type deve ser 'personal' ou 'company'`);
+            }
+
+            if (typeof docConfig.priority !== 'number') {
+                throw new Error(`Documento ${code}.${docType}: priority deve ser numérico`);
+            }
+
+            if (typeof availableRules[docType] !== 'function') {
+                throw new Error(`Documento ${code}.${docType}: validador não encontrado`);
+            }
+        });
+    }
+
+    /**
+     * Checks if a country is registered
+     * @param {string} countryCode - ISO2 country code
+     * @method has
+     * @version 1.0.0
+     * @returns {boolean} True if the country is registered
+     */
+    has(countryCode) {
+        return Object.prototype.hasOwnProperty.call(this.countries, String(countryCode).toLowerCase());
+    }
+
+    /**
+     * Gets the data of a registered country
+     * @param {string} countryCode - ISO2 country code
+     * @method get
+     * @version 1.0.0
+     * @returns {Object|null} Country data or null
+     */
+    get(countryCode) {
+        return this.has(countryCode) ? this.countries[String(countryCode).toLowerCase()] : null;
+    }
+
+    /**
+     * Lists registered country codes
+     * @method getCodes
+     * @version 1.0.0
+     * @returns {Array} Array of ISO2 country codes
+     */
+    getCodes() {
+        return Object.keys(this.countries);
+    }
+
+    /**
+     * Gets the live map of registered countries
+     * @description The returned object is updated in place by register, so managers holding it see new countries
+     * @method getCountries
+     * @version 1.0.0
+     * @returns {Object} Countries keyed by ISO2 code
+     */
+    getCountries() {
+        return this.countries;
+    }
+
+    /**
+     * Subscribes to registry changes
+     * @param {Function} listener - Called with the registered country code
+     * @method subscribe
+     * @version 1.0.0
+     * @returns {Function} Function that removes the subscription
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Notifies subscribers about a registered country
+     * @private
+     * @param {string} countryCode - ISO2 country code
+     * @method notify
+     * @version 1.0.0
+     * @returns {void}
+     */
+    notify(countryCode) {
+        this.listeners.forEach(listener => listener(countryCode));
+    }
+}
+
+export const CountryRegistryInstance = new CountryRegistry(CountriesData);
+
+export const VatRegistryInstance = new CountryRegistry(VatCountriesData, { vat: true });
@@ -0,0 +1,41 @@
+/**
+ * FlagsData - Simplified SVG flags for the offline flag sprite
+ * Each entry is the content of a 30x20 <symbol>; coats of arms are reduced to simple shapes so the
+ * sprite stays small. Northern Ireland (xi) uses the United Kingdom flag
+ */
+
+export default {
+    ar: '<rect x="0" y="0" width="30" height="6.67" fill="#74acdf"/><rect x="0" y="6.67" width="30" height="6.67" fill="#ffffff"/><rect x="0" y="13.33" width="30" height="6.67" fill="#74acdf"/><circle cx="15" cy="10" r="2" fill="#f6b40e"/>',
+    at: '<rect x="0" y="0" width="30" height="6.67" fill="#c8102e"/><rect x="0" y="6.67" width="30" height="6.67" fill="#ffffff"/><rect x="0" y="13.33" width="30" height="6.67" fill="#c8102e"/>',
+    be: '<rect x="0" y="0" width="10" height="20" fill="#000000"/><rect x="10" y="0" width="10" height="20" fill="#fdda24"/><rect x="20" y="0" width="10" height="20" fill="#ef3340"/>',
+    bg: '<rect x="0" y="0" width="30" height="6.67" fill="#ffffff"/><rect x="0" y="6.67" width="30" height="6.67" fill="#00966e"/><rect x="0" y="13.33" width="30" height="6.67" fill="#d62612"/>',
+    br: '<rect x="0" y="0" width="30" height="20" fill="#009c3b"/><polygon points="3,10 15,2.5 27,10 15,17.5" fill="#ffdf00"/><circle cx="15" cy="10" r="4.5" fill="#002776"/><path d="M10.7,8.8 Q15,7.6 19.4,11" stroke="#ffffff" stroke-width="0.8" fill="none"/>',
+    cl: '<rect x="0" y="0" width="30" height="10" fill="#ffffff"/><rect x="0" y="10" width="30" height="10" fill="#d52b1e"/><rect x="0" y="0" width="10" height="10" fill="#0039a6"/><polygon points="5,2.5 5.56,4.23 7.38,4.23 5.91,5.3 6.47,7.02 5,5.96 3.53,7.02 4.09,5.3 2.62,4.23 4.44,4.23" fill="#ffffff"/>',
+    cy: '<rect x="0" y="0" width="30" height="20" fill="#ffffff"/><path d="M8,8 L13,6.5 L19,5.5 L23,4.5 L21,7.5 L17,9.5 L12,10 Z" fill="#d57800"/><path d="M10,14 Q15,17 20,14" stroke="#4e5b31" stroke-width="1" fill="none"/>',
+    cz: '<rect x="0" y="0" width="30" height="10" fill="#ffffff"/><rect x="0" y="10" width="30" height="10" fill="#d7141a"/><polygon points="0,0 15,10 0,20" fill="#11457e"/>',
+    de: '<rect x="0" y="0" width="30" height="6.67" fill="#000000"/><rect x="0" y="6.67" width="30" height="6.67" fill="#dd0000"/><rect x="0" y="13.33" width="30" height="6.67" fill="#ffce00"/>',
+    dk: '<rect x="0" y="0" width="30" height="20" fill="#c8102e"/><rect x="9" y="0" width="3" height="20" fill="#ffffff"/><rect x="0" y="8.5" width="30" height="3" fill="#ffffff"/>',
+    ee: '<rect x="0" y="0" width="30" height="6.67" fill="#0072ce"/><rect x="0" y="6.67" width="30" height="6.67" fill="#000000"/><rect x="0" y="13.33" width="30" height="6.67" fill="#ffffff"/>',
+    es: '<rect x="0" y="0" width="30" height="5" fill="#aa151b"/><rect x="0" y="5" width="30" height="10" fill="#f1bf00"/><rect x="0" y="15" width="30" height="5" fill="#aa151b"/>',
+    fi: '<rect x="0" y="0" width="30" height="20" fill="#ffffff"/><rect x="8" y="0" width="5" height="20" fill="#002f6c"/><rect x="0" y="7.5" width="30" height="5" fill="#002f6c"/>',
+    fr: '<rect x="0" y="0" width="10" height="20" fill="#002395"/><rect x="10" y="0" width="10" height="20" fill="#ffffff"/><rect x="20" y="0" width="10" height="20" fill="#ed2939"/>',
+    gb: '<rect x="0" y="0" width="30" height="20" fill="#012169"/><path d="M0,0 L30,20 M30,0 L0,20" stroke="#ffffff" stroke-width="4"/><path d="M0,0 L30,20 M30,0 L0,20" stroke="#c8102e" stroke-width="1.4"/><rect x="12" y="0" width="6" height="20" fill="#ffffff"/><rect x="0" y="7" width="30" height="6" fill="#ffffff"/><rect x="13.2" y="0" width="3.6" height="20" fill="#c8102e"/><rect x="0" y="8.2" width="30" height="3.6" fill="#c8102e"/>',
+    gr: '<rect x="0" y="0" width="30" height="2.22" fill="#0d5eaf"/><rect x="0" y="2.22" width="30" height="2.22" fill="#ffffff"/><rect x="0" y="4.44" width="30" height="2.22" fill="#0d5eaf"/><rect x="0" y="6.67" width="30" height="2.22" fill="#ffffff"/><rect x="0" y="8.89" width="30" height="2.22" fill="#0d5eaf"/><rect x="0" y="11.11" width="30" height="2.22" fill="#ffffff"/><rect x="0" y="13.33" width="30" height="2.22" fill="#0d5eaf"/><rect x="0" y="15.56" width="30" height="2.22" fill="#ffffff"/><rect x="0" y="17.78" width="30" height="2.22" fill="#0d5eaf"/><rect x="0" y="0" width="11.11" height="11.11" fill="#0d5eaf"/><rect x="4.44" y="0" width="2.22" height="11.11" fill="#ffffff"/><rect x="0" y="4.44" width="11.11" height="2.22" fill="#ffffff"/>',
+    hr: '<rect x="0" y="0" width="30" height="6.67" fill="#ff0000"/><rect x="0" y="6.67" width="30" height="6.67" fill="#ffffff"/><rect x="0" y="13.33" width="30" height="6.67" fill="#171796"/><rect x="12.5" y="5" width="5" height="5" fill="#ffffff"/><rect x="12.5" y="5" width="1" height="1" fill="#ff0000"/><rect x="14.5" y="5" width="1" height="1" fill="#ff0000"/><rect x="16.5" y="5" width="1" height="1" fill="#ff0000"/><rect x="13.5" y="6" width="1" height="1" fill="#ff0000"/><rect x="15.5" y="6" width="1" height="1" fill="#ff0000"/><rect x="12.5" y="7" width="1" height="1" fill="#ff0000"/><rect x="14.5" y="7" width="1" height="1" fill="#ff0000"/><rect x="16.5" y="7" width="1" height="1" fill="#ff0000"/><rect x="13.5" y="8" width="1" height="1" fill="#ff0000"/><rect x="15.5" y="8" width="1" height="1" fill="#ff0000"/><rect x="12.5" y="9" width="1" height="1" fill="#ff0000"/><rect x="14.5" y="9" width="1" height="1" fill="#ff0000"/><rect x="16.5" y="9" width="1" height="1" fill="#ff0000"/><path d="M12.5,10 L17.5,10 L17.5,12 Q15,14.5 12.5,12 Z" fill="#ff0000"/>',
+    hu: '<rect x="0" y="0" width="30" height="6.67" fill="#ce2939"/><rect x="0" y="6.67" width="30" height="6.67" fill="#ffffff"/><rect x="0" y="13.33" width="30" height="6.67" fill="#477050"/>',
+    ie: '<rect x="0" y="0" width="10" height="20" fill="#169b62"/><rect x="10" y="0" width="10" height="20" fill="#ffffff"/><rect x="20" y="0" width="10" height="20" fill="#ff883e"/>',
+    it: '<rect x="0" y="0" width="10" height="20" fill="#009246"/><rect x="10" y="0" width="10" height="20" fill="#ffffff"/><rect x="20" y="0" width="10" height="20" fill="#ce2b37"/>',
+    lt: '<rect x="0" y="0" width="30" height="6.67" fill="#fdb913"/><rect x="0" y="6.67" width="30" height="6.67" fill="#006a44"/><rect x="0" y="13.33" width="30" height="6.67" fill="#c1272d"/>',
+    lu: '<rect x="0" y="0" width="30" height="6.67" fill="#ed2939"/><rect x="0" y="6.67" width="30" height="6.67" fill="#ffffff"/><rect x="0" y="13.33" width="30" height="6.67" fill="#00a1de"/>',
+    lv: '<rect x="0" y="0" width="30" height="8" fill="#9e3039"/><rect x="0" y="8" width="30" height="4" fill="#ffffff"/><rect x="0" y="12" width="30" height="8" fill="#9e3039"/>',
+    mt: '<rect x="0" y="0" width="15" height="20" fill="#ffffff"/><rect x="15" y="0" width="15" height="20" fill="#cf142b"/><rect x="3" y="2" width="1" height="4" fill="#a0a0a0"/><rect x="1.5" y="3.5" width="4" height="1" fill="#a0a0a0"/>',
+    mx: '<rect x="0" y="0" width="10" height="20" fill="#006847"/><rect x="10" y="0" width="10" height="20" fill="#ffffff"/><rect x="20" y="0" width="10" height="20" fill="#ce1126"/><circle cx="15" cy="10" r="2.5" fill="#8c5a2b"/>',
+    nl: '<rect x="0" y="0" width="30" height="6.67" fill="#ae1c28"/><rect x="0" y="6.67" width="30" height="6.67" fill="#ffffff"/><rect x="0" y="13.33" width="30" height="6.67" fill="#21468b"/>',
+    pl: '<rect x="0" y="0" width="30" height="10" fill="#ffffff"/><rect x="0" y="10" width="30" height="10" fill="#dc143c"/>',
+    pt: '<rect x="0" y="0" width="12" height="20" fill="#006600"/><rect x="12" y="0" width="18" height="20" fill="#ff0000"/><circle cx="12" cy="10" r="4" fill="#ffcc00"/><rect x="10.5" y="7.5" width="3" height="4" fill="#ffffff"/><path d="M10.5,11.5 L13.5,11.5 Q12,13.5 10.5,11.5 Z" fill="#ffffff"/><rect x="11.25" y="8.5" width="1.5" height="2" fill="#003399"/>',
+    ro: '<rect x="0" y="0" width="10" height="20" fill="#002b7f"/><rect x="10" y="0" width="10" height="20" fill="#fcd116"/><rect x="20" y="0" width="10" height="20" fill="#ce1126"/>',
+    se: '<rect x="0" y="0" width="30" height="20" fill="#006aa7"/><rect x="8" y="0" width="5" height="20" fill="#fecc00"/><rect x="0" y="7.5" width="30" height="5" fill="#fecc00"/>',
+    si: '<rect x="0" y="0" width="30" height="6.67" fill="#ffffff"/><rect x="0" y="6.67" width="30" height="6.67" fill="#005da4"/><rect x="0" y="13.33" width="30" height="6.67" fill="#ed1c24"/><path d="M6,3 L11,3 L11,8 Q8.5,11 6,8 Z" fill="#005da4" stroke="#ed1c24" stroke-width="0.5"/><polygon points="8.5,3.8 8.66,4.28 9.17,4.28 8.75,4.58 8.91,5.07 8.5,4.77 8.09,5.07 8.25,4.58 7.83,4.28 8.34,4.28" fill="#ffdd00"/>',
+    sk: '<rect x="0" y="0" width="30" height="6.67" fill="#ffffff"/><rect x="0" y="6.67" width="30" height="6.67" fill="#0b4ea2"/><rect x="0" y="13.33" width="30" height="6.67" fill="#ee1c25"/><path d="M6,4.5 L13,4.5 L13,11 Q9.5,16 6,11 Z" fill="#ee1c25" stroke="#ffffff" stroke-width="0.6"/><rect x="9" y="5.5" width="1" height="7" fill="#ffffff"/><rect x="7.5" y="7" width="4" height="0.8" fill="#ffffff"/><rect x="7" y="9" width="5" height="0.8" fill="#ffffff"/><path d="M6.5,12 Q9.5,11 12.5,12 Q9.5,15.5 6.5,12 Z" fill="#0b4ea2"/>',
+    us: '<rect x="0" y="0" width="30" height="1.54" fill="#b22234"/><rect x="0" y="1.54" width="30" height="1.54" fill="#ffffff"/><rect x="0" y="3.08" width="30" height="1.54" fill="#b22234"/><rect x="0" y="4.62" width="30" height="1.54" fill="#ffffff"/><rect x="0" y="6.15" width="30" height="1.54" fill="#b22234"/><rect x="0" y="7.69" width="30" height="1.54" fill="#ffffff"/><rect x="0" y="9.23" width="30" height="1.54" fill="#b22234"/><rect x="0" y="10.77" width="30" height="1.54" fill="#ffffff"/><rect x="0" y="12.31" width="30" height="1.54" fill="#b22234"/><rect x="0" y="13.85" width="30" height="1.54" fill="#ffffff"/><rect x="0" y="15.38" width="30" height="1.54" fill="#b22234"/><rect x="0" y="16.92" width="30" height="1.54" fill="#ffffff"/><rect x="0" y="18.46" width="30" height="1.54" fill="#b22234"/><rect x="0" y="0" width="12" height="10.77" fill="#3c3b6e"/><circle cx="1" cy="1.05" r="0.35" fill="#ffffff"/><circle cx="3" cy="1.05" r="0.35" fill="#ffffff"/><circle cx="5" cy="1.05" r="0.35" fill="#ffffff"/><circle cx="7" cy="1.05" r="0.35" fill="#ffffff"/><circle cx="9" cy="1.05" r="0.35" fill="#ffffff"/><circle cx="11" cy="1.05" r="0.35" fill="#ffffff"/><circle cx="1" cy="2.93" r="0.35" fill="#ffffff"/><circle cx="3" cy="2.93" r="0.35" fill="#ffffff"/><circle cx="5" cy="2.93" r="0.35" fill="#ffffff"/><circle cx="7" cy="2.93" r="0.35" fill="#ffffff"/><circle cx="9" cy="2.93" r="0.35" fill="#ffffff"/><circle cx="11" cy="2.93" r="0.35" fill="#ffffff"/><circle cx="1" cy="4.81" r="0.35" fill="#ffffff"/><circle cx="3" cy="4.81" r="0.35" fill="#ffffff"/><circle cx="5" cy="4.81" r="0.35" fill="#ffffff"/><circle cx="7" cy="4.81" r="0.35" fill="#ffffff"/><circle cx="9" cy="4.81" r="0.35" fill="#ffffff"/><circle cx="11" cy="4.81" r="0.35" fill="#ffffff"/><circle cx="1" cy="6.69" r="0.35" fill="#ffffff"/><circle cx="3" cy="6.69" r="0.35" fill="#ffffff"/><circle cx="5" cy="6.69" r="0.35" fill="#ffffff"/><circle cx="7" cy="6.69" r="0.35" fill="#ffffff"/><circle cx="9" cy="6.69" r="0.35" fill="#ffffff"/><circle cx="11" cy="6.69" r="0.35" fill="#ffffff"/><circle cx="1" cy="8.57" r="0.35" fill="#ffffff"/><circle cx="3" cy="8.57" r="0.35" fill="#ffffff"/><circle cx="5" cy="8.57" r="0.35" fill="#ffffff"/><circle cx="7" cy="8.57" r="0.35" fill="#ffffff"/><circle cx="9" cy="8.57" r="0.35" fill="#ffffff"/><circle cx="11" cy="8.57" r="0.35" fill="#ffffff"/>'
+};
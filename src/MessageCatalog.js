@@ -0,0 +1,132 @@
+/**
+ * MessageCatalog - Translatable validation messages
+ * Maps the stable error codes returned by the rules (e.g. CHECK_DIGIT_1, INVALID_PREFIX) to
+ * messages by locale, with {param} interpolation. Bundles pt-BR, pt-PT, en and es
+ * @version 1.0.0
+ * @license MIT
+ * @author Roni Sommerfeld
+ * @module MessageCatalog
+ */
+
+import en from './messages/en.js';
+import es from './messages/es.js';
+import ptBR from './messages/pt-BR.js';
+import ptPT from './messages/pt-PT.js';
+
+export default class MessageCatalog {
+    constructor(catalogs = {}, defaultLocale = 'en') {
+        this.catalogs = {};
+        this.defaultLocale = defaultLocale;
+
+        Object.entries(catalogs).forEach(([locale, catalog]) => this.register(locale, catalog));
+    }
+
+    /**
+     * Registers the messages of a locale
+     * @description Merges into the messages already registered for the locale, so a catalog can
+     * override a few codes or add a new language
+     * @param {string} locale - BCP 47 locale (e.g. pt-BR, en, es)
+     * @param {Object} catalog - Object mapping error codes to messages with {param} placeholders
+     * @method register
+     * @version 1.0.0
+     * @returns {void}
+     */
+    register(locale, catalog) {
+        if (typeof locale !== 'string' || locale.trim() === '') {
+            throw new Error(`Locale inválido: ${locale}`);
+        }
+
+        if (!catalog || typeof catalog !== 'object') {
+            throw new Error(`Catálogo de mensagens inválido para ${locale}`);
+        }
+
+        const key = this.normalize(locale);
+        this.catalogs[key] = { ...(this.catalogs[key] || {}), ...catalog };
+    }
+
+    /**
+     * Normalizes a locale to the language-REGION form
+     * @private
+     * @param {string} locale - Locale in any case or with underscore (e.g. pt_br)
+     * @returns {string} Normalized locale (e.g. pt-BR)
+     */
+    normalize(locale) {
+        const [language, region] = String(locale).replace('_', '-').split('-');
+
+        return region ? `${language.toLowerCase()}-${region.toUpperCase()}` : language.toLowerCase();
+    }
+
+    /**
+     * Finds the registered locale closest to the requested one
+     * @description Exact match first, then the same language (pt-AO uses pt-BR, the first Portuguese
+     * catalog), then the default locale
+     * @param {string} [locale] - Requested locale
+     * @method resolve
+     * @version 1.0.0
+     * @returns {string} Registered locale
+     */
+    resolve(locale) {
+        if (!locale) return this.defaultLocale;
+
+        const normalized = this.normalize(locale);
+        if (this.catalogs[normalized]) return normalized;
+
+        const language = normalized.split('-')[0];
+        const sameLanguage = Object.keys(this.catalogs).find(key => key.split('-')[0] === language);
+
+        return sameLanguage || this.defaultLocale;
+    }
+
+    /**
+     * Builds the message of an error code
+     * @description Falls back to the default locale when the catalog has no message for the code,
+     * and to the code itself when no catalog has it. Array params are joined with commas
+     * @param {string} code - Error code (e.g. CHECK_DIGIT)
+     * @param {Object} [params] - Values for the {param} placeholders
+     * @param {string} [locale] - Requested locale
+     * @method format
+     * @version 1.0.0
+     * @returns {string} Translated message
+     */
+    format(code, params = {}, locale = null) {
+        const template = this.catalogs[this.resolve(locale)]?.[code]
+            ?? this.catalogs[this.defaultLocale]?.[code]
+            ?? code;
+
+        return template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            const value = params?.[name];
+            if (value === undefined || value === null) return placeholder;
+
+            return Array.isArray(value) ? value.join(', ') : String(value);
+        });
+    }
+
+    /**
+     * Gets the registered locales
+     * @method getLocales
+     * @version 1.0.0
+     * @returns {Array} Registered locales
+     */
+    getLocales() {
+        return Object.keys(this.catalogs);
+    }
+}
+
+export const MessageCatalogInstance = new MessageCatalog({
+    'pt-BR': ptBR,
+    'pt-PT': ptPT,
+    'en': en,
+    'es': es
+});
+
+/**
+ * Registers or overrides the messages of a locale
+ * @param {string} locale - BCP 47 locale (e.g. fr, pt-BR)
+ * @param {Object} catalog - Object mapping error codes to messages
+ * @method registerMessages
+ * @version 1.0.0
+ * @returns {void}
+ */
+export function registerMessages(locale, catalog) {
+    MessageCatalogInstance.register(locale, catalog);
+}
@@ -6,42 +6,117 @@
  * @license MIT
  * @author Roni Sommerfeld
  * @module TaxDocumentInput
- * @requires CountriesData
+ * @requires CountryRegistry
  * @requires CountryManager
  * @requires DOMManager
  * @requires FormatManager
+ * @requires MessageCatalog
  */
 
-import CountriesData from './CountriesData.js';
+import { CountryRegistryInstance, VatRegistryInstance } from './CountryRegistry.js';
 import CountryManager from './managers/CountryManager.js';
 import DOMManager from './managers/DOMManager.js';
 import FormatManager from './managers/FormatManager.js';
 import ValidationManager from './managers/ValidationManager.js';
-import { debug } from './utils/debug.js';
+import { MessageCatalogInstance } from './MessageCatalog.js';
+import Disposer from './utils/disposer.js';
+import { createLogger } from './utils/logger.js';
+import { getStyles } from './utils/styles.js';
+
+/**
+ * Live instances, from init until destroy
+ */
+const liveInstances = new Set();
+
+/**
+ * Options that updateOptions applies in place; changing any other one (e.g. mode) needs reinit
+ */
+export const LIVE_OPTIONS = [
+    'placeholder', 'locale', 'countryNames', 'defaultCountry', 'onlyCountries', 'preferredCountries',
+    'documentTypes', 'documentCategory', 'documentType', 'flags', 'flagUrl', 'theme', 'logger', 'diagnostics'
+];
 
 export default class TaxDocumentInput {
     constructor(input, options = {}) {
         this.input = input;
         this.options = {
             placeholder: 'Document Tax',
+            mode: 'document',
             defaultCountry: 'br',
             autoGeolocate: false,
             onlyCountries: [],
+            documentTypes: [],
+            documentCategory: null,
+            documentType: null,
             geoIpLookup: null,
+            showSuggestions: false,
+            locale: null,
+            countryNames: {},
+            preferredCountries: [],
+            countrySearch: true,
+            flags: 'image',
+            flagUrl: null,
+            hiddenInput: false,
+            nativeValidation: true,
+            blockInvalidSubmit: false,
+            logger: 'warn',
+            diagnostics: false,
+            theme: 'light',
+            injectStyles: true,
+            unstyled: false,
             ...options
         };
 
-        this.countries = CountriesData;
-
-        this.domManager = new DOMManager(this.input, this.countries);
-        this.formatManager = new FormatManager(this.input, this.countries);
-        this.countryManager = new CountryManager(this.countries, this.options.onlyCountries);
-        this.validationManager = new ValidationManager();
-
         this.isInitialized = false;
+        this.setup();
         this.init();
     }
 
+    /**
+     * Creates the managers from the current options
+     * @description Called by the constructor and by reinit, so a rebuilt instance starts from fresh state
+     * @private
+     * @method setup
+     * @version 1.0.0
+     * @returns {void}
+     */
+    setup() {
+        // VAT mode uses the EU VAT registry, where each country has a single `vat` document
+        this.registry = this.options.mode === 'vat' ? VatRegistryInstance : CountryRegistryInstance;
+        this.countries = this.registry.getCountries();
+
+        const restrictions = this.getDocumentRestrictions();
+        this.logger = createLogger(this.options.logger);
+
+        this.domManager = new DOMManager(this.input, this.countries, {
+            flags: this.options.flags,
+            flagUrl: this.options.flagUrl
+        }, this.logger, {
+            theme: this.getTheme(),
+            injectStyles: this.options.injectStyles && !this.options.unstyled
+        });
+        this.formatManager = new FormatManager(this.input, this.countries, restrictions, this.options.mode);
+        this.countryManager = new CountryManager(this.registry, this.options.onlyCountries, restrictions, {
+            locale: this.getLocale(),
+            countryNames: this.options.countryNames
+        }, this.options.preferredCountries, this.logger);
+        this.validationManager = new ValidationManager(this.countries, restrictions, this.getLocale());
+        this.disposer = new Disposer();
+    }
+
+    /**
+     * Resolves the theme applied to the plugin elements
+     * @description The unstyled option drops the theme, so only the semantic classes and state
+     * attributes are rendered
+     * @private
+     * @method getTheme
+     * @version 1.0.0
+     * @returns {string|null} 'light', 'dark', 'auto' or null
+     */
+    getTheme() {
+        return this.options.unstyled ? null : this.options.theme;
+    }
+
     /**
      * Initializes the plugin
      * @description Sets up all managers, creates DOM structure and initializes event listeners
@@ -55,18 +130,34 @@ export default class TaxDocumentInput {
 
         try {
             this.domManager.createWrapper();
-            this.domManager.createCountrySelector();
+            this.domManager.createCountrySelector(
+                MessageCatalogInstance.format('SELECT_COUNTRY', {}, this.getLocale()),
+                this.options.countrySearch ? MessageCatalogInstance.format('SEARCH_COUNTRY', {}, this.getLocale()) : null
+            );
 
             this.countryManager.setDOMManager(this.domManager);
 
-            this.formatManager.setSelectedCountry(this.options.defaultCountry);
+            const defaultCountry = this.getDefaultCountry();
+
+            this.formatManager.forcedDocument = this.options.documentType;
+            this.formatManager.setSelectedCountry(defaultCountry);
 
             this.setupCallbacks();
 
-            this.countryManager.initialize(this.options.defaultCountry);
+            this.countryManager.initialize(defaultCountry);
+
+            const hiddenInputNames = this.getHiddenInputNames();
+            if (hiddenInputNames) {
+                this.domManager.createHiddenInputs(hiddenInputNames);
+            }
 
+            this.syncFormState();
             this.setupEventListeners();
 
+            this.disposer.add(this.registry.subscribe(() => {
+                this.countryManager.populateCountries();
+            }));
+
             this.updatePlaceholder();
 
             if (this.options.autoGeolocate) {
@@ -74,11 +165,61 @@ export default class TaxDocumentInput {
             }
 
             this.isInitialized = true;
-            debug('TaxDocumentInput inicializado com sucesso');
+            liveInstances.add(this);
+            this.logger.debug('TaxDocumentInput inicializado', { mode: this.options.mode, country: defaultCountry });
 
         } catch (error) {
-            console.error('Erro ao inicializar TaxDocumentInput:', error);
+            this.logger.error('Erro ao inicializar TaxDocumentInput', error);
+        }
+    }
+
+    /**
+     * Resolves the initial country
+     * @description Uses the defaultCountry option when the registry has it, otherwise the first
+     * available country (e.g. the default 'br' in VAT mode)
+     * @private
+     * @method getDefaultCountry
+     * @version 1.0.0
+     * @returns {string} ISO2 country code
+     */
+    getDefaultCountry() {
+        if (this.countries[this.options.defaultCountry]) {
+            return this.options.defaultCountry;
         }
+
+        return this.countryManager.getAvailableCountries()[0] || this.options.defaultCountry;
+    }
+
+    /**
+     * Resolves the locale of the error messages and country names
+     * @description Uses the locale option, then the lang attribute of the page and the browser
+     * language, so messages and names follow the user's language when no locale is given
+     * @method getLocale
+     * @version 1.0.0
+     * @returns {string|null} Locale (e.g. pt-BR), null for the default catalog
+     */
+    getLocale() {
+        if (this.options.locale) return this.options.locale;
+
+        const pageLang = typeof document !== 'undefined' ? document.documentElement?.lang : null;
+        const browserLang = typeof navigator !== 'undefined' ? navigator.language : null;
+
+        return pageLang || browserLang || null;
+    }
+
+    /**
+     * Builds the document restrictions from options
+     * @description Groups the options that limit which documents the instance accepts
+     * @private
+     * @method getDocumentRestrictions
+     * @version 1.0.0
+     * @returns {Object} Restrictions with documentTypes and documentCategory
+     */
+    getDocumentRestrictions() {
+        return {
+            documentTypes: this.options.documentTypes || [],
+            documentCategory: this.options.documentCategory || null
+        };
     }
 
     /**
@@ -90,17 +231,23 @@ export default class TaxDocumentInput {
      * @returns {void}
      */
     setupCallbacks() {
-        this.countryManager.onCountryChange = (newCountry, previousCountry) => {
+        this.countryManager.onCountryChange = (newCountry, previousCountry, keepValue) => {
             this.formatManager.setSelectedCountry(newCountry);
-            this.formatManager.clear();
             this.validationManager.clearValidationCache();
-            this.domManager.setValidationState(null);
+
+            if (!keepValue) {
+                this.formatManager.clear();
+                this.domManager.setValidationState(null);
+                this.domManager.hideSuggestion();
+            }
+
+            this.syncFormState();
 
             const event = new CustomEvent('countrychange', {
                 detail: {
                     previousCountry,
                     newCountry,
-                    countryData: this.countries[newCountry]
+                    countryData: this.countryManager.getSelectedCountryData()
                 }
             });
             this.input.dispatchEvent(event);
@@ -108,7 +255,137 @@ export default class TaxDocumentInput {
 
         this.formatManager.onFormatChange = (cleanValue, documentType) => {
             this.updateValidationState(cleanValue, documentType);
+            this.syncFormState();
+        };
+
+        this.formatManager.onCountryDetected = (countryCode) => {
+            if (this.countryManager.getAvailableCountries().includes(countryCode)) {
+                this.countryManager.selectCountry(countryCode, true);
+            }
         };
+
+        this.countryManager.onDropdownShow = this.options.diagnostics ? () => this.reportDiagnostics() : null;
+    }
+
+    /**
+     * Resolves the names of the hidden inputs
+     * @description The hiddenInput option accepts true (names derived from the input name, e.g.
+     * tax_id_clean, tax_id_country and tax_id_type), an object with the names, or a function that
+     * receives the input name and returns that object. Only the fields given a name are created
+     * @private
+     * @method getHiddenInputNames
+     * @version 1.0.0
+     * @returns {Object|null} Names by field ({ value, country, documentType }), null when disabled
+     */
+    getHiddenInputNames() {
+        const { hiddenInput } = this.options;
+        if (!hiddenInput) return null;
+
+        const inputName = this.input.name || 'tax_document';
+
+        if (hiddenInput === true) {
+            return {
+                value: `${inputName}_clean`,
+                country: `${inputName}_country`,
+                documentType: `${inputName}_type`
+            };
+        }
+
+        const names = typeof hiddenInput === 'function' ? hiddenInput(inputName) : hiddenInput;
+        return names && typeof names === 'object' ? names : null;
+    }
+
+    /**
+     * Updates the hidden inputs with the current state
+     * @description Copies the clean value, the ISO2 country and the document type to the hidden
+     * inputs, so plain form posts carry them alongside the masked value. The type stays empty
+     * while the value is empty
+     * @private
+     * @method syncHiddenInputs
+     * @version 1.0.0
+     * @returns {void}
+     */
+    syncHiddenInputs() {
+        if (!this.domManager) return;
+
+        const cleanValue = this.formatManager.getCleanValue();
+
+        // An empty field has no document type, even though detection falls back to the country default
+        this.domManager.updateHiddenInputs({
+            value: cleanValue,
+            country: this.countryManager.getSelectedCountry(),
+            documentType: cleanValue ? this.formatManager.currentDocument : null
+        });
+    }
+
+    /**
+     * Updates the native constraint validation of the input
+     * @description Sets the localized validation error as the custom validity, so checkValidity()
+     * and form submission see invalid documents, and keeps minlength, maxlength and pattern in
+     * step with the active document. An empty value has no custom error, leaving it to required
+     * @private
+     * @method updateNativeValidation
+     * @version 1.0.0
+     * @returns {void}
+     */
+    updateNativeValidation() {
+        if (!this.options.nativeValidation || !this.domManager) return;
+
+        this.domManager.setConstraints(this.formatManager.getFormatConstraints());
+
+        const cleanValue = this.formatManager.getCleanValue();
+        let message = '';
+
+        if (cleanValue) {
+            const country = this.countryManager.getSelectedCountry();
+            const documentType = this.validationManager.getRejectedDocument(cleanValue, country)
+                || this.formatManager.currentDocument;
+            const validation = this.validationManager.validateDocument(cleanValue, country, documentType);
+
+            message = validation.isValid ? '' : validation.error;
+        }
+
+        this.domManager.setCustomValidity(message);
+    }
+
+    /**
+     * Updates everything a form submission reads
+     * @description Syncs the hidden inputs and the native constraint validation with the current value
+     * @private
+     * @method syncFormState
+     * @version 1.0.0
+     * @returns {void}
+     */
+    syncFormState() {
+        this.syncHiddenInputs();
+        this.updateNativeValidation();
+    }
+
+    /**
+     * Blocks the submission of a form with an invalid document
+     * @description With the blockInvalidSubmit option, cancels the submit event (also in forms with
+     * novalidate), shows the validation state and focuses the first invalid field of the form
+     * @private
+     * @method handleSubmit
+     * @version 1.0.0
+     * @param {SubmitEvent} e - Submit event of the input's form
+     * @returns {void}
+     */
+    handleSubmit(e) {
+        const cleanValue = this.getCleanValue();
+        const invalid = this.options.nativeValidation
+            ? !this.input.checkValidity()
+            : cleanValue.length > 0 && !this.isValid();
+
+        if (!invalid) return;
+
+        e.preventDefault();
+
+        if (cleanValue) {
+            this.triggerCompleteValidation();
+        }
+
+        this.domManager.getFirstInvalidField(this.input.form).focus();
     }
 
     /**
@@ -120,15 +397,20 @@ export default class TaxDocumentInput {
      * @returns {void}
      */
     setupEventListeners() {
-        this.input.addEventListener('input', (e) => {
+        this.disposer.listen(this.input, 'input', (e) => {
+            this.domManager.hideSuggestion();
             this.formatManager.formatInput(e);
         });
 
-        this.input.addEventListener('focus', () => {
+        this.disposer.listen(this.input, 'focus', () => {
             this.input.classList.add('tax-document-input--focused');
         });
 
-        this.input.addEventListener('blur', () => {
+        if (this.options.blockInvalidSubmit && this.input.form) {
+            this.disposer.listen(this.input.form, 'submit', (e) => this.handleSubmit(e));
+        }
+
+        this.disposer.listen(this.input, 'blur', () => {
             this.input.classList.remove('tax-document-input--focused');
             const cleanValue = this.formatManager.getCleanValue();
             if (cleanValue.length > 0) {
@@ -148,7 +430,10 @@ export default class TaxDocumentInput {
      * @returns {void}
      */
     updateValidationState(cleanValue, documentType) {
-        if (!documentType) return;
+        if (!documentType) {
+            this.domManager.setValidationState(null);
+            return;
+        }
 
         const country = this.countryManager.getSelectedCountry();
         const docConfig = this.countries[country]?.documents[documentType];
@@ -159,7 +444,8 @@ export default class TaxDocumentInput {
             cleanValue,
             country,
             documentType,
-            docConfig.length
+            docConfig.length,
+            docConfig.minLength
         );
 
         this.domManager.setValidationState(validationState);
@@ -175,8 +461,9 @@ export default class TaxDocumentInput {
      */
     triggerCompleteValidation() {
         const cleanValue = this.formatManager.getCleanValue();
-        const documentType = this.formatManager.currentDocument;
         const country = this.countryManager.getSelectedCountry();
+        const documentType = this.validationManager.getRejectedDocument(cleanValue, country)
+            || this.formatManager.currentDocument;
 
         if (cleanValue && documentType && country) {
             const validation = this.validationManager.validateDocument(
@@ -186,6 +473,7 @@ export default class TaxDocumentInput {
             );
 
             this.domManager.setValidationState(validation.isValid);
+            this.updateSuggestion(validation);
 
             const event = new CustomEvent('validation', {
                 detail: validation
@@ -194,6 +482,34 @@ export default class TaxDocumentInput {
         }
     }
 
+    /**
+     * Shows or hides the typo suggestion under the input
+     * @description With the showSuggestions option, a check digit failure shows the most likely
+     * valid document; clicking it replaces the value and validates again
+     * @private
+     * @method updateSuggestion
+     * @version 1.0.0
+     * @param {Object} validation - Result of the complete validation
+     * @returns {void}
+     */
+    updateSuggestion(validation) {
+        const suggestion = validation.suggestions?.[0];
+
+        if (!this.options.showSuggestions || !suggestion) {
+            this.domManager.hideSuggestion();
+            return;
+        }
+
+        const formatted = this.formatManager.formatDocument(suggestion, validation.documentType);
+        const message = MessageCatalogInstance.format('SUGGESTION', {}, this.getLocale());
+
+        this.domManager.showSuggestion(message, formatted, () => {
+            this.setValue(suggestion);
+            this.triggerCompleteValidation();
+            this.input.focus();
+        });
+    }
+
     /**
      * Updates the input placeholder text
      * @description Sets the placeholder based on current options
@@ -219,9 +535,11 @@ export default class TaxDocumentInput {
 
     /**
      * Gets complete data for the selected country
-     * @description Returns full country information including name, flag, and document types
+     * @description Returns full country information including name, flag, and document types, plus
+     * localizedName (in the instance locale or the countryNames override) and nativeName (in the
+     * country's own language)
      * @method getSelectedCountryData
-     * @version 1.0.0
+     * @version 1.1.0
      * @returns {Object} Complete country data object
      */
     getSelectedCountryData() {
@@ -230,9 +548,9 @@ export default class TaxDocumentInput {
 
     /**
      * Gets the current document type
-     * @description Returns the type of document being entered based on length
+     * @description Returns the type of document being entered, chosen explicitly or detected from its content and length
      * @method getCurrentDocumentType
-     * @version 1.0.0
+     * @version 1.1.0
      * @returns {string|null} Document type (cpf, cnpj, nif, etc.) or null
      */
     getCurrentDocumentType() {
@@ -264,6 +582,21 @@ export default class TaxDocumentInput {
         }
     }
 
+    /**
+     * Sets the document type explicitly
+     * @description Locks detection to a document type, needed when documents share a length
+     * (e.g. SSN and EIN). The choice only applies to countries that have that document;
+     * pass null to return to automatic detection
+     * @method setDocumentType
+     * @version 1.0.0
+     * @param {string|null} documentType - Document type (cpf, cnpj, ein, etc.) or null
+     * @returns {void}
+     */
+    setDocumentType(documentType) {
+        this.formatManager.setDocumentType(documentType);
+        this.syncFormState();
+    }
+
     /**
      * Gets the formatted input value
      * @description Returns the current input value with formatting applied
@@ -277,10 +610,10 @@ export default class TaxDocumentInput {
 
     /**
      * Gets the clean input value
-     * @description Returns the input value with only numbers, no formatting
+     * @description Returns the input value with only numbers and uppercase letters, no formatting
      * @method getCleanValue
-     * @version 1.0.0
-     * @returns {string} Clean value (e.g., 12345678901)
+     * @version 1.1.0
+     * @returns {string} Clean value (e.g., 12345678901 or 12ABC34501DE35)
      */
     getCleanValue() {
         return this.formatManager.getCleanValue();
@@ -299,6 +632,8 @@ export default class TaxDocumentInput {
 
         const event = new Event('input', { bubbles: true });
         this.input.dispatchEvent(event);
+
+        this.syncFormState();
     }
 
     /**
@@ -312,6 +647,8 @@ export default class TaxDocumentInput {
         this.formatManager.clear();
         this.validationManager.clearValidationCache();
         this.domManager.setValidationState(null);
+        this.domManager.hideSuggestion();
+        this.syncFormState();
     }
 
     /**
@@ -333,7 +670,8 @@ export default class TaxDocumentInput {
             cleanValue,
             country,
             documentType,
-            docInfo.length
+            docInfo.length,
+            docInfo.minLength
         );
     }
 
@@ -353,7 +691,9 @@ export default class TaxDocumentInput {
         if (!docInfo || !documentType || !country) {
             return {
                 isValid: false,
-                error: 'País ou tipo de documento não definido',
+                code: 'MISSING_DOCUMENT',
+                params: {},
+                error: this.validationManager.getMessage('MISSING_DOCUMENT'),
                 details: null,
                 documentType: null,
                 documentCategory: null,
@@ -361,13 +701,36 @@ export default class TaxDocumentInput {
             };
         }
 
-        if (cleanValue.length !== docInfo.length) {
+        const rejectedDocument = this.validationManager.getRejectedDocument(cleanValue, country);
+        if (rejectedDocument) {
+            const validation = this.validationManager.validateDocument(cleanValue, country, rejectedDocument);
+
+            return {
+                ...validation,
+                documentType: rejectedDocument,
+                documentCategory: this.countries[country].documents[rejectedDocument].type,
+                country: country
+            };
+        }
+
+        if (!this.validationManager.isLengthInRange(cleanValue, docInfo.length, docInfo.minLength)) {
+            const code = docInfo.minLength !== docInfo.length ? 'INVALID_LENGTH_RANGE' : 'INVALID_LENGTH';
+            const params = {
+                document: documentType.toUpperCase(),
+                expected: docInfo.length,
+                min: docInfo.minLength,
+                max: docInfo.length
+            };
+
             return {
                 isValid: false,
-                error: `Documento deve ter ${docInfo.length} dígitos`,
+                code,
+                params,
+                error: this.validationManager.getMessage(code, params),
                 details: {
                     currentLength: cleanValue.length,
-                    expectedLength: docInfo.length
+                    expectedLength: docInfo.length,
+                    minLength: docInfo.minLength
                 },
                 documentType: documentType,
                 documentCategory: docInfo.category,
@@ -462,6 +825,44 @@ export default class TaxDocumentInput {
         this.input.focus();
     }
 
+    /**
+     * Returns a diagnostics report of the country selector
+     * @description Computed styles, position and the page CSS rules that affect the dropdown, as
+     * structured data. `issues` lists problem codes (NOT_ATTACHED, HIDDEN, ZERO_SIZE,
+     * OUT_OF_VIEWPORT, CSS_CONFLICT, NO_DROPDOWN) and is empty when nothing looks wrong
+     * @method getDiagnostics
+     * @version 1.0.0
+     * @returns {Object|null} Diagnostics report, or null before init
+     */
+    getDiagnostics() {
+        if (!this.isInitialized) return null;
+
+        return {
+            mode: this.options.mode,
+            ...this.countryManager.getDiagnostics()
+        };
+    }
+
+    /**
+     * Reports diagnostics after the dropdown opens
+     * @description Runs only with the diagnostics option. A function receives every report;
+     * with `true`, reports with issues go to the logger as warnings
+     * @private
+     * @method reportDiagnostics
+     * @version 1.0.0
+     * @returns {void}
+     */
+    reportDiagnostics() {
+        const report = this.getDiagnostics();
+        if (!report) return;
+
+        if (typeof this.options.diagnostics === 'function') {
+            this.options.diagnostics(report);
+        } else if (report.issues.length > 0) {
+            this.logger.warn('Problemas de exibição no dropdown', report);
+        }
+    }
+
     /**
      * Returns plugin usage statistics
      * @description Provides comprehensive information about current plugin state
@@ -496,6 +897,24 @@ export default class TaxDocumentInput {
             this.updatePlaceholder();
         }
 
+        if (newOptions.locale !== undefined) {
+            this.validationManager.setLocale(this.getLocale());
+            this.updateNativeValidation();
+            this.domManager.setSelectorLabel(
+                MessageCatalogInstance.format('SELECT_COUNTRY', {}, this.getLocale()),
+                MessageCatalogInstance.format('SEARCH_COUNTRY', {}, this.getLocale())
+            );
+        }
+
+        if (newOptions.locale !== undefined || newOptions.countryNames) {
+            this.countryManager.setLocalization({
+                locale: this.getLocale(),
+                countryNames: this.options.countryNames
+            });
+            this.countryManager.populateCountries();
+            this.countryManager.updateSelectedCountry();
+        }
+
         if (newOptions.defaultCountry && this.countries[newOptions.defaultCountry]) {
             this.setCountry(newOptions.defaultCountry);
         }
@@ -504,30 +923,106 @@ export default class TaxDocumentInput {
             this.countryManager.onlyCountries = newOptions.onlyCountries;
             this.countryManager.populateCountries();
         }
+
+        if (newOptions.flags !== undefined || newOptions.flagUrl !== undefined) {
+            this.domManager.setFlagOptions({ flags: this.options.flags, flagUrl: this.options.flagUrl });
+            this.countryManager.populateCountries();
+            this.countryManager.updateSelectedCountry();
+        }
+
+        if (newOptions.preferredCountries) {
+            this.countryManager.preferredCountries = newOptions.preferredCountries;
+            this.countryManager.populateCountries();
+        }
+
+        if (newOptions.documentTypes || newOptions.documentCategory !== undefined) {
+            const restrictions = this.getDocumentRestrictions();
+
+            this.countryManager.restrictions = restrictions;
+            this.countryManager.populateCountries();
+            this.validationManager.setRestrictions(restrictions);
+            this.formatManager.setRestrictions(restrictions);
+        }
+
+        if (newOptions.documentType !== undefined) {
+            this.setDocumentType(newOptions.documentType);
+        }
+
+        if (newOptions.theme !== undefined) {
+            this.domManager.setTheme(this.getTheme());
+        }
+
+        if (newOptions.logger !== undefined) {
+            this.logger = createLogger(this.options.logger);
+            this.domManager.logger = this.logger;
+            this.countryManager.logger = this.logger;
+        }
+
+        if (newOptions.diagnostics !== undefined) {
+            this.countryManager.onDropdownShow = this.options.diagnostics ? () => this.reportDiagnostics() : null;
+        }
     }
 
     /**
      * Destroys the plugin and restores original input
-     * @description Removes all plugin elements and event listeners, restores input to original state
+     * @description Removes all plugin elements, event listeners and timers, restores input to original state
      * @method destroy
      * @version 1.0.0
      * @returns {void}
      */
     destroy() {
-        if (!this.isInitialized) return;
-
-        this.input.removeEventListener('input', this.formatManager.formatInput);
+        if (!this.domManager) return;
 
+        this.disposer.dispose();
+        this.countryManager.destroy();
+        this.formatManager.destroy();
         this.domManager.destroy();
 
         this.domManager = null;
         this.formatManager = null;
         this.countryManager = null;
         this.validationManager = null;
+        this.disposer = null;
 
+        liveInstances.delete(this);
         this.isInitialized = false;
     }
 
+    /**
+     * Rebuilds the plugin with new options
+     * @description Destroys the instance and builds it again on the same input, merging the given
+     * options into the current ones. Unlike updateOptions, every option can change (e.g. mode).
+     * The typed value is kept and formatted again, unless the mode or the country list changed:
+     * then it belongs to other documents and is cleared. The country goes back to the default
+     * @method reinit
+     * @version 1.1.0
+     * @param {Object} options - Options to change
+     * @returns {TaxDocumentInput} The same instance
+     */
+    reinit(options = {}) {
+        const previous = this.options;
+
+        this.destroy();
+
+        this.options = { ...this.options, ...options };
+        this.setup();
+        this.init();
+
+        if (!this.isInitialized || !this.input.value) return this;
+
+        const documentsChanged = previous.mode !== this.options.mode
+            || JSON.stringify(previous.onlyCountries) !== JSON.stringify(this.options.onlyCountries);
+
+        // e.g. a VAT number would be masked as an alphanumeric CNPJ after leaving VAT mode
+        if (documentsChanged) {
+            this.clear();
+        } else {
+            this.formatManager.refresh();
+        }
+
+        return this;
+    }
+
     /**
      * Creates a plugin instance on an element
      * @description Static method to create a new plugin instance
@@ -571,6 +1066,46 @@ export default class TaxDocumentInput {
         return instances.length === 1 ? instances[0] : instances;
     }
 
+    /**
+     * Returns the plugin stylesheet
+     * @description The CSS injected by default, for pages that serve it themselves (e.g. a strict
+     * CSP with injectStyles: false). Every visual value reads a --tdi-* custom property
+     * @static
+     * @method getStyles
+     * @version 1.0.0
+     * @returns {string} CSS text
+     */
+    static getStyles() {
+        return getStyles();
+    }
+
+    /**
+     * Lists the live instances
+     * @description Instances join on init and leave on destroy, so pages that mount and unmount
+     * inputs can check that nothing was left behind
+     * @static
+     * @method getInstances
+     * @version 1.0.0
+     * @returns {Array<TaxDocumentInput>} Live instances, in creation order
+     */
+    static getInstances() {
+        return Array.from(liveInstances);
+    }
+
+    /**
+     * Finds the live instance of an input
+     * @description Accepts the input element or a CSS selector
+     * @static
+     * @method getInstance
+     * @version 1.0.0
+     * @param {HTMLElement|string} element - Input element or CSS selector
+     * @returns {TaxDocumentInput|null} Instance, or null when the input has none
+     */
+    static getInstance(element) {
+        const input = typeof element === 'string' ? document.querySelector(element) : element;
+        return Array.from(liveInstances).find(instance => instance.input === input) || null;
+    }
+
     /**
      * Returns the plugin version
      * @description Static getter for plugin version
@@ -585,14 +1120,31 @@ export default class TaxDocumentInput {
 
     /**
      * Returns supported countries
-     * @description Static method that returns array of supported country codes
+     * @description Static method that returns the country codes in the registry
      * @static
      * @method getSupportedCountries
-     * @version 1.0.0
+     * @version 1.1.0
      * @returns {Array} Array of country codes
      */
     static getSupportedCountries() {
-        return ['br', 'pt', 'us'];
+        return CountryRegistryInstance.getCodes();
+    }
+
+    /**
+     * Registers a country at runtime
+     * @description Adds the country data and its validation rules together, after checking
+     * the definition, and refreshes the dropdown of every live instance
+     * @static
+     * @method registerCountry
+     * @version 1.0.0
+     * @param {string} countryCode - ISO2 country code
+     * @param {Object} definition - Country data: { name, flag, documents }
+     * @param {Object} rules - Validation functions by document type
+     * @param {Object} [hints] - Content hints to tell same-length documents apart
+     * @returns {Object} Registered country data
+     */
+    static registerCountry(countryCode, definition, rules, hints) {
+        return CountryRegistryInstance.register(countryCode, definition, rules, hints);
     }
 }
 
@@ -0,0 +1,383 @@
+import TaxDocumentInput, { LIVE_OPTIONS } from './TaxDocumentInput.js';
+import Disposer from './utils/disposer.js';
+
+/**
+ * Default tag name of the custom element
+ */
+export const ELEMENT_NAME = 'tax-document-input';
+
+/**
+ * Attributes read as plugin options
+ * list: comma or space separated ISO2 codes or document types; boolean: present unless "false"
+ */
+const ATTRIBUTE_OPTIONS = {
+    'default-country': { option: 'defaultCountry', type: 'code' },
+    'only-countries': { option: 'onlyCountries', type: 'list' },
+    'preferred-countries': { option: 'preferredCountries', type: 'list' },
+    'document-types': { option: 'documentTypes', type: 'list' },
+    'document-category': { option: 'documentCategory', type: 'string' },
+    'document-type': { option: 'documentType', type: 'string' },
+    'locale': { option: 'locale', type: 'string' },
+    'mode': { option: 'mode', type: 'string' },
+    'placeholder': { option: 'placeholder', type: 'string' },
+    'flags': { option: 'flags', type: 'string' },
+    'theme': { option: 'theme', type: 'string' },
+    'country-search': { option: 'countrySearch', type: 'boolean' },
+    'show-suggestions': { option: 'showSuggestions', type: 'boolean' },
+    'auto-geolocate': { option: 'autoGeolocate', type: 'boolean' }
+};
+
+/**
+ * Validity flags mirrored from the inner input to the element
+ */
+const VALIDITY_FLAGS = ['valueMissing', 'tooShort', 'tooLong', 'patternMismatch', 'customError'];
+
+/**
+ * Styles of the shadow root host; the plugin stylesheet is injected next to them
+ */
+const HOST_STYLES = `
+    :host { display: inline-block; width: 100%; }
+    :host([hidden]) { display: none; }
+`;
+
+/**
+ * Converts an attribute value to the option type
+ */
+const parseAttribute = (value, type) => {
+    if (type === 'boolean') return value !== null && value !== 'false';
+    if (value === null) return type === 'list' ? [] : null;
+    if (type === 'list') return value.split(/[\s,]+/).filter(Boolean).map(item => item.toLowerCase());
+    if (type === 'code') return value.toLowerCase();
+
+    return value;
+};
+
+// Outside the browser (SSR, Node) there is no HTMLElement to extend
+const HTMLElementBase = typeof HTMLElement !== 'undefined' ? HTMLElement : class {};
+
+/**
+ * <tax-document-input> custom element
+ * @description Wraps TaxDocumentInput in a shadow root, so the dropdown and the styles do not clash
+ * with the host page, and takes part in forms through ElementInternals: the clean value is
+ * submitted under the element name and the document validity drives :invalid and checkValidity()
+ */
+export default class TaxDocumentInputElement extends HTMLElementBase {
+    static get formAssociated() {
+        return true;
+    }
+
+    static get observedAttributes() {
+        return [...Object.keys(ATTRIBUTE_OPTIONS), 'required', 'aria-label'];
+    }
+
+    constructor() {
+        super();
+
+        this.internals = typeof this.attachInternals === 'function' ? this.attachInternals() : null;
+        this.extraOptions = {};
+        this.instance = null;
+        this.disposer = null;
+
+        const shadow = this.attachShadow({ mode: 'open', delegatesFocus: true });
+
+        const style = document.createElement('style');
+        style.textContent = HOST_STYLES;
+
+        this.field = document.createElement('input');
+        this.field.type = 'text';
+        this.field.setAttribute('part', 'input');
+
+        shadow.append(style, this.field);
+    }
+
+    /**
+     * Builds the plugin when the element is added to the page
+     * @description Also runs when the element is moved, after disconnectedCallback destroyed it
+     * @method connectedCallback
+     * @version 1.0.0
+     * @returns {void}
+     */
+    connectedCallback() {
+        if (this.instance) return;
+
+        this.syncFieldAttributes();
+
+        if (!this.field.value && this.hasAttribute('value')) {
+            this.field.value = this.getAttribute('value');
+        }
+
+        this.instance = new TaxDocumentInput(this.field, this.getOptions());
+        this.disposer = new Disposer();
+
+        this.disposer.listen(this.field, 'input', () => this.syncFormValue());
+        this.disposer.listen(this.field, 'change', () => {
+            this.dispatchEvent(new Event('change', { bubbles: true }));
+        });
+        this.disposer.listen(this.field, 'countrychange', (e) => {
+            this.syncFormValue();
+            this.dispatchEvent(new CustomEvent('countrychange', { detail: e.detail, bubbles: true, composed: true }));
+        });
+
+        if (this.field.value) {
+            this.instance.setValue(this.field.value);
+        }
+
+        this.syncFormValue();
+    }
+
+    /**
+     * Releases the plugin when the element leaves the page
+     * @method disconnectedCallback
+     * @version 1.0.0
+     * @returns {void}
+     */
+    disconnectedCallback() {
+        this.disposer?.dispose();
+        this.disposer = null;
+
+        this.instance?.destroy();
+        this.instance = null;
+    }
+
+    /**
+     * Applies attribute changes
+     * @description Options that updateOptions supports change in place, keeping the country and
+     * the value; the others (e.g. mode) rebuild the plugin
+     * @method attributeChangedCallback
+     * @version 1.0.0
+     * @param {string} name - Attribute name
+     * @param {string|null} oldValue - Previous value
+     * @param {string|null} newValue - New value
+     * @returns {void}
+     */
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (oldValue === newValue) return;
+
+        if (name === 'required' || name === 'aria-label') {
+            this.syncFieldAttributes();
+            this.syncFormValue();
+            return;
+        }
+
+        if (!this.instance) return;
+
+        const { option, type } = ATTRIBUTE_OPTIONS[name];
+        const value = parseAttribute(newValue, type);
+
+        if (LIVE_OPTIONS.includes(option)) {
+            this.instance.updateOptions({ [option]: value });
+        } else {
+            this.instance.reinit({ [option]: value });
+        }
+
+        this.syncFormValue();
+    }
+
+    /**
+     * Collects the plugin options
+     * @description Attributes win over the options property. Options that apply to light DOM
+     * inputs (hidden inputs, submit blocking) are left out: ElementInternals covers them
+     * @private
+     * @method getOptions
+     * @version 1.0.0
+     * @returns {Object} TaxDocumentInput options
+     */
+    getOptions() {
+        const options = { ...this.extraOptions, nativeValidation: true, hiddenInput: false, blockInvalidSubmit: false };
+
+        Object.entries(ATTRIBUTE_OPTIONS).forEach(([attribute, { option, type }]) => {
+            if (this.hasAttribute(attribute)) {
+                options[option] = parseAttribute(this.getAttribute(attribute), type);
+            }
+        });
+
+        return options;
+    }
+
+    /**
+     * Copies required and aria-label to the inner input
+     * @private
+     * @method syncFieldAttributes
+     * @version 1.0.0
+     * @returns {void}
+     */
+    syncFieldAttributes() {
+        this.field.required = this.hasAttribute('required');
+
+        if (this.hasAttribute('aria-label')) {
+            this.field.setAttribute('aria-label', this.getAttribute('aria-label'));
+        } else {
+            this.field.removeAttribute('aria-label');
+        }
+    }
+
+    /**
+     * Updates the form value and validity of the element
+     * @description The clean value is submitted and the formatted one kept as the restore state.
+     * The validity mirrors the inner input, which carries the localized validation message
+     * @private
+     * @method syncFormValue
+     * @version 1.0.0
+     * @returns {void}
+     */
+    syncFormValue() {
+        if (!this.internals || !this.instance?.isInitialized) return;
+
+        this.internals.setFormValue(this.instance.getCleanValue(), this.instance.getValue());
+
+        const { validity } = this.field;
+
+        if (validity.valid) {
+            this.internals.setValidity({});
+            return;
+        }
+
+        const flags = {};
+        VALIDITY_FLAGS.forEach((flag) => {
+            if (validity[flag]) flags[flag] = true;
+        });
+
+        this.internals.setValidity(flags, this.field.validationMessage, this.field);
+    }
+
+    /**
+     * Resets to the value attribute when the form is reset
+     * @method formResetCallback
+     * @version 1.0.0
+     * @returns {void}
+     */
+    formResetCallback() {
+        if (!this.instance) return;
+
+        if (this.hasAttribute('value')) {
+            this.instance.setValue(this.getAttribute('value'));
+        } else {
+            this.instance.clear();
+        }
+
+        this.syncFormValue();
+    }
+
+    /**
+     * Follows the disabled state of the element or of its fieldset
+     * @method formDisabledCallback
+     * @version 1.0.0
+     * @param {boolean} disabled - Whether the element is disabled
+     * @returns {void}
+     */
+    formDisabledCallback(disabled) {
+        this.instance?.setEnabled(!disabled);
+    }
+
+    /**
+     * Restores the value after navigation or autofill
+     * @method formStateRestoreCallback
+     * @version 1.0.0
+     * @param {string} state - Formatted value saved by setFormValue
+     * @returns {void}
+     */
+    formStateRestoreCallback(state) {
+        if (this.instance && typeof state === 'string') {
+            this.instance.setValue(state);
+        }
+    }
+
+    /**
+     * Options without an attribute (e.g. countryNames, geoIpLookup, logger)
+     * @description Setting them rebuilds the plugin
+     */
+    get options() {
+        return this.extraOptions;
+    }
+
+    set options(options) {
+        this.extraOptions = { ...options };
+        this.instance?.reinit(this.getOptions());
+        this.syncFormValue();
+    }
+
+    /**
+     * TaxDocumentInput instance, for the rest of the API (null while disconnected)
+     */
+    get taxDocumentInput() {
+        return this.instance;
+    }
+
+    /**
+     * Clean value, the one submitted with the form
+     */
+    get value() {
+        return this.instance ? this.instance.getCleanValue() : this.field.value;
+    }
+
+    set value(value) {
+        if (this.instance) {
+            this.instance.setValue(value);
+            this.syncFormValue();
+        } else {
+            this.field.value = value;
+        }
+    }
+
+    /**
+     * Value as shown in the field (e.g. 123.456.789-09)
+     */
+    get formattedValue() {
+        return this.instance ? this.instance.getValue() : this.field.value;
+    }
+
+    /**
+     * Selected country (ISO2)
+     */
+    get country() {
+        return this.instance?.getSelectedCountry() || null;
+    }
+
+    set country(countryCode) {
+        this.instance?.setCountry(countryCode);
+    }
+
+    get form() {
+        return this.internals?.form || null;
+    }
+
+    get name() {
+        return this.getAttribute('name');
+    }
+
+    get validity() {
+        return this.internals ? this.internals.validity : this.field.validity;
+    }
+
+    get validationMessage() {
+        return this.internals ? this.internals.validationMessage : this.field.validationMessage;
+    }
+
+    get willValidate() {
+        return this.internals ? this.internals.willValidate : this.field.willValidate;
+    }
+
+    checkValidity() {
+        return this.internals ? this.internals.checkValidity() : this.field.checkValidity();
+    }
+
+    reportValidity() {
+        return this.internals ? this.internals.reportValidity() : this.field.reportValidity();
+    }
+}
+
+/**
+ * Registers the custom element
+ * @description Safe to call more than once; returns null outside the browser
+ * @param {string} [name] - Tag name
+ * @returns {Function|null} Registered element class
+ */
+export const defineTaxDocumentInputElement = (name = ELEMENT_NAME) => {
+    if (typeof customElements === 'undefined') return null;
+
+    if (!customElements.get(name)) {
+        customElements.define(name, class extends TaxDocumentInputElement {});
+    }
+
+    return customElements.get(name);
+};
@@ -0,0 +1,406 @@
+/**
+ * VatCountriesData - EU VAT numbers by member state
+ * Used by the VAT mode: length and minLength count the whole normalized value (prefix included),
+ * while the mask only describes the national part that follows the prefix
+ */
+
+export default {
+  at: {
+    name: 'Österreich',
+    iso2: 'at',
+    flag: 'https://flagcdn.com/w20/at.png',
+    vatPrefix: 'AT',
+    documents: {
+      vat: {
+        length: 11,
+        mask: 'AXXXXXXXX',
+        type: 'company',
+        priority: 1
+      }
+    }
+  },
+  be: {
+    name: 'België',
+    iso2: 'be',
+    flag: 'https://flagcdn.com/w20/be.png',
+    vatPrefix: 'BE',
+    documents: {
+      vat: {
+        length: 12,
+        mask: 'XXXXXXXXXX',
+        type: 'company',
+        priority: 1
+      }
+    }
+  },
+  bg: {
+    name: 'България',
+    iso2: 'bg',
+    flag: 'https://flagcdn.com/w20/bg.png',
+    vatPrefix: 'BG',
+    documents: {
+      vat: {
+        length: 12,
+        minLength: 11,
+        mask: 'XXXXXXXXXX',
+        type: 'company',
+        priority: 1
+      }
+    }
+  },
+  cy: {
+    name: 'Κύπρος',
+    iso2: 'cy',
+    flag: 'https://flagcdn.com/w20/cy.png',
+    vatPrefix: 'CY',
+    documents: {
+      vat: {
+        length: 11,
+        mask: 'XXXXXXXXA',
+        type: 'company',
+        priority: 1
+      }
+    }
+  },
+  cz: {
+    name: 'Česko',
+    iso2: 'cz',
+    flag: 'https://flagcdn.com/w20/cz.png',
+    vatPrefix: 'CZ',
+    documents: {
+      vat: {
+        length: 12,
+        minLength: 10,
+        mask: 'XXXXXXXXXX',
+        type: 'company',
+        priority: 1
+      }
+    }
+  },
+  de: {
+    name: 'Deutschland',
+    iso2: 'de',
+    flag: 'https://flagcdn.com/w20/de.png',
+    vatPrefix: 'DE',
+    documents: {
+      vat: {
+        length: 11,
+        mask: 'XXXXXXXXX',
+        type: 'company',
+        priority: 1
+      }
+    }
+  },
+  dk: {
+    name: 'Danmark',
+    iso2: 'dk',
+    flag: 'https://flagcdn.com/w20/dk.png',
+    vatPrefix: 'DK',
+    documents: {
+      vat: {
+        length: 10,
+        mask: 'XXXXXXXX',
+        type: 'company',
+        priority: 1
+      }
+    }
+  },
+  ee: {
+    name: 'Eesti',
+    iso2: 'ee',
+    flag: 'https://flagcdn.com/w20/ee.png',
+    vatPrefix: 'EE',
+    documents: {
+      vat: {
+        length: 11,
+        mask: 'XXXXXXXXX',
+        type: 'company',
+        priority: 1
+      }
+    }
+  },
+  gr: {
+    name: 'Ελλάδα',
+    iso2: 'gr',
+    flag: 'https://flagcdn.com/w20/gr.png',
+    vatPrefix: 'EL',
+    documents: {
+      vat: {
+        length: 11,
+        mask: 'XXXXXXXXX',
+        type: 'company',
+        priority: 1
+      }
+    }
+  },
+  es: {
+    name: 'España',
+    iso2: 'es',
+    flag: 'https://flagcdn.com/w20/es.png',
+    vatPrefix: 'ES',
+    documents: {
+      vat: {
+        length: 11,
+        mask: '*XXXXXXX*',
+        type: 'company',
+        priority: 1
+      }
+    }
+  },
+  fi: {
+    name: 'Suomi',
+    iso2: 'fi',
+    flag: 'https://flagcdn.com/w20/fi.png',
+    vatPrefix: 'FI',
+    documents: {
+      vat: {
+        length: 10,
+        mask: 'XXXXXXXX',
+        type: 'company',
+        priority: 1
+      }
+    }
+  },
+  fr: {
+    name: 'France',
+    iso2: 'fr',
+    flag: 'https://flagcdn.com/w20/fr.png',
+    vatPrefix: 'FR',
+    documents: {
+      vat: {
+        length: 13,
+        mask: '**XXXXXXXXX',
+        type: 'company',
+        priority: 1
+      }
+    }
+  },
+  hr: {
+    name: 'Hrvatska',
+    iso2: 'hr',
+    flag: 'https://flagcdn.com/w20/hr.png',
+    vatPrefix: 'HR',
+    documents: {
+      vat: {
+        length: 13,
+        mask: 'XXXXXXXXXXX',
+        type: 'company',
+        priority: 1
+      }
+    }
+  },
+  hu: {
+    name: 'Magyarország',
+    iso2: 'hu',
+    flag: 'https://flagcdn.com/w20/hu.png',
+    vatPrefix: 'HU',
+    documents: {
+      vat: {
+        length: 10,
+        mask: 'XXXXXXXX',
+        type: 'company',
+        priority: 1
+      }
+    }
+  },
+  ie: {
+    name: 'Éire',
+    iso2: 'ie',
+    flag: 'https://flagcdn.com/w20/ie.png',
+    vatPrefix: 'IE',
+    documents: {
+      vat: {
+        length: 11,
+        minLength: 10,
+        mask: 'X*XXXXXAA',
+        type: 'company',
+        priority: 1
+      }
+    }
+  },
+  it: {
+    name: 'Italia',
+    iso2: 'it',
+    flag: 'https://flagcdn.com/w20/it.png',
+    vatPrefix: 'IT',
+    documents: {
+      vat: {
+        length: 13,
+        mask: 'XXXXXXXXXXX',
+        type: 'company',
+        priority: 1
+      }
+    }
+  },
+  lt: {
+    name: 'Lietuva',
+    iso2: 'lt',
+    flag: 'https://flagcdn.com/w20/lt.png',
+    vatPrefix: 'LT',
+    documents: {
+      vat: {
+        length: 14,
+        minLength: 11,
+        mask: 'XXXXXXXXXXXX',
+        type: 'company',
+        priority: 1
+      }
+    }
+  },
+  lu: {
+    name: 'Luxembourg',
+    iso2: 'lu',
+    flag: 'https://flagcdn.com/w20/lu.png',
+    vatPrefix: 'LU',
+    documents: {
+      vat: {
+        length: 10,
+        mask: 'XXXXXXXX',
+        type: 'company',
+        priority: 1
+      }
+    }
+  },
+  lv: {
+    name: 'Latvija',
+    iso2: 'lv',
+    flag: 'https://flagcdn.com/w20/lv.png',
+    vatPrefix: 'LV',
+    documents: {
+      vat: {
+        length: 13,
+        mask: 'XXXXXXXXXXX',
+        type: 'company',
+        priority: 1
+      }
+    }
+  },
+  mt: {
+    name: 'Malta',
+    iso2: 'mt',
+    flag: 'https://flagcdn.com/w20/mt.png',
+    vatPrefix: 'MT',
+    documents: {
+      vat: {
+        length: 10,
+        mask: 'XXXXXXXX',
+        type: 'company',
+        priority: 1
+      }
+    }
+  },
+  nl: {
+    name: 'Nederland',
+    iso2: 'nl',
+    flag: 'https://flagcdn.com/w20/nl.png',
+    vatPrefix: 'NL',
+    documents: {
+      vat: {
+        length: 14,
+        mask: 'XXXXXXXXXAXX',
+        type: 'company',
+        priority: 1
+      }
+    }
+  },
+  pl: {
+    name: 'Polska',
+    iso2: 'pl',
+    flag: 'https://flagcdn.com/w20/pl.png',
+    vatPrefix: 'PL',
+    documents: {
+      vat: {
+        length: 12,
+        mask: 'XXXXXXXXXX',
+        type: 'company',
+        priority: 1
+      }
+    }
+  },
+  pt: {
+    name: 'Portugal',
+    iso2: 'pt',
+    flag: 'https://flagcdn.com/w20/pt.png',
+    vatPrefix: 'PT',
+    documents: {
+      vat: {
+        length: 11,
+        mask: 'XXXXXXXXX',
+        type: 'company',
+        priority: 1
+      }
+    }
+  },
+  ro: {
+    name: 'România',
+    iso2: 'ro',
+    flag: 'https://flagcdn.com/w20/ro.png',
+    vatPrefix: 'RO',
+    documents: {
+      vat: {
+        length: 12,
+        minLength: 4,
+        mask: 'XXXXXXXXXX',
+        type: 'company',
+        priority: 1
+      }
+    }
+  },
+  se: {
+    name: 'Sverige',
+    iso2: 'se',
+    flag: 'https://flagcdn.com/w20/se.png',
+    vatPrefix: 'SE',
+    documents: {
+      vat: {
+        length: 14,
+        mask: 'XXXXXXXXXXXX',
+        type: 'company',
+        priority: 1
+      }
+    }
+  },
+  si: {
+    name: 'Slovenija',
+    iso2: 'si',
+    flag: 'https://flagcdn.com/w20/si.png',
+    vatPrefix: 'SI',
+    documents: {
+      vat: {
+        length: 10,
+        mask: 'XXXXXXXX',
+        type: 'company',
+        priority: 1
+      }
+    }
+  },
+  sk: {
+    name: 'Slovensko',
+    iso2: 'sk',
+    flag: 'https://flagcdn.com/w20/sk.png',
+    vatPrefix: 'SK',
+    documents: {
+      vat: {
+        length: 12,
+        mask: 'XXXXXXXXXX',
+        type: 'company',
+        priority: 1
+      }
+    }
+  },
+  xi: {
+    name: 'Northern Ireland',
+    iso2: 'xi',
+    flag: 'https://flagcdn.com/w20/gb-nir.png',
+    vatPrefix: 'XI',
+    documents: {
+      vat: {
+        length: 14,
+        minLength: 7,
+        mask: '*****XXXXXXX',
+        type: 'company',
+        priority: 1
+      }
+    }
+  }
+};
@@ -0,0 +1,431 @@
+/**
+ * CLI - Command-line validation of tax document files
+ * Reads CSV, JSON or NDJSON from a file or stdin, validates one column with the Validator rules
+ * and writes a per-row report. Used by the `tax-document-input` bin
+ * @version 1.0.0
+ * @license MIT
+ * @author Roni Sommerfeld
+ * @module cli
+ * @requires headless
+ * @requires CountryRegistry
+ * @requires MessageCatalog
+ */
+
+/* eslint-env node */
+
+import { readFile, writeFile } from 'fs/promises';
+import { extname } from 'path';
+import { clean, detect, format, validate } from './headless.js';
+import { CountryRegistryInstance, VatRegistryInstance } from './CountryRegistry.js';
+import { MessageCatalogInstance } from './MessageCatalog.js';
+import { parseCsv, stringifyCsv } from './utils/csv.js';
+
+const USAGE = `Usage: tax-document-input [file] [options]
+
+Validates the tax documents of a CSV, JSON or NDJSON file (or stdin) and writes a report per row.
+
+Options:
+  -c, --column <name>          Column with the documents (default: document)
+      --country <iso2>         Country of every document (e.g. br)
+      --country-column <name>  Column with the country of each row
+      --countries <list>       Countries tried when detecting, comma separated (default: all)
+  -t, --type <type>            Document type (e.g. cpf, cnpj, vat); detected when omitted
+  -f, --input-format <format>  csv, json or ndjson (default: from the extension or the content)
+  -d, --delimiter <char>       CSV delimiter (default: ,)
+  -r, --report <format>        Report format: csv, json or ndjson (default: csv)
+  -o, --output <file>          Write the report to a file instead of stdout
+  -l, --locale <locale>        Language of the error messages: en, es, pt-BR or pt-PT (default: en)
+      --threshold <n|n%>       Invalid rows allowed before exiting with 1 (default: 0)
+  -h, --help                   Show this help
+
+Exit codes: 0 when the invalid rows are within the threshold, 1 when they exceed it, 2 on usage or input errors.
+`;
+
+const OPTIONS = {
+    '-c': 'column',
+    '--column': 'column',
+    '--country': 'country',
+    '--country-column': 'countryColumn',
+    '--countries': 'countries',
+    '-t': 'type',
+    '--type': 'type',
+    '-f': 'inputFormat',
+    '--input-format': 'inputFormat',
+    '-d': 'delimiter',
+    '--delimiter': 'delimiter',
+    '-r': 'report',
+    '--report': 'report',
+    '-o': 'output',
+    '--output': 'output',
+    '-l': 'locale',
+    '--locale': 'locale',
+    '--threshold': 'threshold'
+};
+
+const FORMATS = ['csv', 'json', 'ndjson'];
+
+const REPORT_COLUMNS = ['row', 'value', 'country', 'documentType', 'valid', 'normalized', 'formatted', 'code', 'error'];
+
+/**
+ * Error caused by the arguments or the input file, reported with exit code 2
+ */
+export class CliError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CliError';
+    }
+}
+
+/**
+ * Parses the command-line arguments
+ * @param {Array} argv - Arguments without the node and script paths
+ * @method parseArgs
+ * @version 1.0.0
+ * @returns {Object} Options with file, column, country, threshold, etc.
+ */
+export function parseArgs(argv) {
+    const options = {
+        file: null,
+        column: 'document',
+        country: null,
+        countryColumn: null,
+        countries: null,
+        type: null,
+        inputFormat: null,
+        delimiter: ',',
+        report: 'csv',
+        output: null,
+        locale: null,
+        threshold: '0',
+        help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inlineValue] = argv[i].startsWith('--') ? argv[i].split(/=(.*)/s) : [argv[i]];
+
+        if (flag === '-h' || flag === '--help') {
+            options.help = true;
+            continue;
+        }
+
+        if (OPTIONS[flag]) {
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+
+            if (value === undefined) {
+                throw new CliError(`Missing value for ${flag}`);
+            }
+
+            options[OPTIONS[flag]] = value;
+            continue;
+        }
+
+        if (flag.startsWith('-') && flag !== '-') {
+            throw new CliError(`Unknown option: ${flag}`);
+        }
+
+        if (options.file !== null) {
+            throw new CliError(`Unexpected argument: ${flag}`);
+        }
+
+        options.file = flag;
+    }
+
+    if (options.countries) {
+        options.countries = options.countries.split(',').map(code => code.trim().toLowerCase()).filter(Boolean);
+    }
+
+    [options.inputFormat, options.report].forEach(value => {
+        if (value !== null && !FORMATS.includes(value)) {
+            throw new CliError(`Unsupported format: ${value} (use ${FORMATS.join(', ')})`);
+        }
+    });
+
+    options.threshold = parseThreshold(options.threshold);
+
+    return options;
+}
+
+/**
+ * Parses the invalid rows threshold
+ * @private
+ * @param {string} value - Row count (e.g. 10) or percentage (e.g. 5%)
+ * @returns {Object} { count } or { ratio }
+ */
+function parseThreshold(value) {
+    const match = /^(\d+(?:\.\d+)?)(%?)$/.exec(String(value).trim());
+
+    if (!match) {
+        throw new CliError(`Invalid threshold: ${value}`);
+    }
+
+    return match[2] ? { ratio: parseFloat(match[1]) / 100 } : { count: parseFloat(match[1]) };
+}
+
+/**
+ * Reads the records of the input
+ * @description CSV needs a header row; JSON is an array and NDJSON has one value per line.
+ * Records can be objects or plain document strings
+ * @param {string} text - Input content
+ * @param {string} inputFormat - csv, json or ndjson
+ * @param {string} delimiter - CSV delimiter
+ * @method parseRecords
+ * @version 1.0.0
+ * @returns {Array} Records in input order
+ */
+export function parseRecords(text, inputFormat, delimiter = ',') {
+    text = text.replace(/^\uFEFF/, '');
+
+    if (inputFormat === 'csv') {
+        const [header, ...rows] = parseCsv(text, delimiter);
+        if (!header) return [];
+
+        return rows.map(fields => {
+            return Object.fromEntries(header.map((name, i) => [name.trim(), fields[i] ?? '']));
+        });
+    }
+
+    try {
+        if (inputFormat === 'json') {
+            const records = JSON.parse(text);
+
+            if (!Array.isArray(records)) {
+                throw new CliError('JSON input must be an array');
+            }
+
+            return records;
+        }
+
+        return text.split(/\r?\n/).filter(line => line.trim() !== '').map(line => JSON.parse(line));
+    } catch (error) {
+        if (error instanceof CliError) throw error;
+        throw new CliError(`Invalid ${inputFormat.toUpperCase()} input: ${error.message}`);
+    }
+}
+
+/**
+ * Guesses the input format
+ * @private
+ * @param {string|null} file - Input file path
+ * @param {string} text - Input content
+ * @returns {string} csv, json or ndjson
+ */
+function detectInputFormat(file, text) {
+    const extension = file ? extname(file).slice(1).toLowerCase() : '';
+
+    if (FORMATS.includes(extension)) return extension;
+    if (extension === 'jsonl') return 'ndjson';
+
+    const start = text.replace(/^\uFEFF/, '').trimStart();
+    if (start.startsWith('[')) return 'json';
+    if (start.startsWith('{')) return 'ndjson';
+
+    return 'csv';
+}
+
+/**
+ * Validates a document of a known country
+ * @private
+ * @param {string} value - Document with or without formatting
+ * @param {string} country - ISO2 country code
+ * @param {string|null} type - Document type, detected when null
+ * @param {string|null} locale - Language of the error message
+ * @returns {Object} Validation result with the country and document type
+ */
+function validateForCountry(value, country, type, locale) {
+    const documentType = type || detect(value, country);
+    const result = validate(value, country, documentType, { locale });
+
+    return { ...result, countryCode: country, documentType: documentType || null };
+}
+
+/**
+ * Validates a document trying the candidate countries
+ * @description A VAT prefix (e.g. PT, EL) selects the country directly; otherwise the first
+ * candidate whose rules accept the value wins
+ * @private
+ * @param {string} value - Clean document value
+ * @param {Array} candidates - ISO2 country codes to try
+ * @param {string|null} type - Document type, detected per country when null
+ * @param {string|null} locale - Language of the error message
+ * @returns {Object} Validation result with the country and document type
+ */
+function validateDetectingCountry(value, candidates, type, locale) {
+    if (!type || type === 'vat') {
+        const vatCountry = VatRegistryInstance.getCodes().find(code => {
+            return VatRegistryInstance.get(code).vatPrefix === value.slice(0, 2);
+        });
+
+        if (vatCountry && (candidates.length === 0 || candidates.includes(vatCountry))) {
+            return validateForCountry(value, vatCountry, 'vat', locale);
+        }
+    }
+
+    const codes = candidates.length > 0 ? candidates : CountryRegistryInstance.getCodes();
+
+    for (const country of codes) {
+        const result = validateForCountry(value, country, type, locale);
+        if (result.isValid) return result;
+    }
+
+    return {
+        isValid: false,
+        code: 'COUNTRY_NOT_DETECTED',
+        error: MessageCatalogInstance.format('COUNTRY_NOT_DETECTED', {}, locale),
+        details: null,
+        countryCode: null,
+        documentType: type
+    };
+}
+
+/**
+ * Validates one record
+ * @param {Object|string} record - Input record
+ * @param {number} row - Row number shown in the report
+ * @param {Object} options - Parsed CLI options
+ * @method checkRecord
+ * @version 1.0.0
+ * @returns {Object} Report row
+ */
+export function checkRecord(record, row, options) {
+    const isObject = record !== null && typeof record === 'object';
+    const rawValue = isObject ? record[options.column] : record;
+    const country = (options.countryColumn && isObject ? record[options.countryColumn] : options.country) || null;
+
+    const report = {
+        row,
+        value: rawValue === undefined || rawValue === null ? '' : String(rawValue),
+        country: country ? String(country).toLowerCase() : null,
+        documentType: options.type,
+        valid: false,
+        normalized: null,
+        formatted: null,
+        code: null,
+        error: null
+    };
+
+    if (isObject && rawValue === undefined) {
+        report.code = 'COLUMN_NOT_FOUND';
+        report.error = MessageCatalogInstance.format('COLUMN_NOT_FOUND', { column: options.column }, options.locale);
+        return report;
+    }
+
+    const value = clean(report.value);
+
+    if (value === '') {
+        report.code = 'EMPTY_VALUE';
+        report.error = MessageCatalogInstance.format('EMPTY_VALUE', {}, options.locale);
+        return report;
+    }
+
+    const result = report.country
+        ? validateForCountry(value, report.country, options.type, options.locale)
+        : validateDetectingCountry(value, options.countries || [], options.type, options.locale);
+
+    report.country = result.countryCode;
+    report.documentType = result.documentType;
+    report.valid = result.isValid;
+    report.normalized = value;
+    report.formatted = result.details?.formatted || (result.countryCode ? format(value, result.countryCode, result.documentType) : value);
+    report.code = result.code || null;
+    report.error = result.error || null;
+
+    return report;
+}
+
+/**
+ * Serializes the report rows
+ * @private
+ * @param {Array} rows - Report rows
+ * @param {string} reportFormat - csv, json or ndjson
+ * @param {string} delimiter - CSV delimiter
+ * @returns {string} Report content
+ */
+function stringifyReport(rows, reportFormat, delimiter) {
+    if (reportFormat === 'json') {
+        return JSON.stringify(rows, null, 2) + '\n';
+    }
+
+    if (reportFormat === 'ndjson') {
+        return rows.map(row => JSON.stringify(row)).join('\n') + (rows.length > 0 ? '\n' : '');
+    }
+
+    return stringifyCsv([REPORT_COLUMNS, ...rows.map(row => REPORT_COLUMNS.map(column => row[column]))], delimiter);
+}
+
+/**
+ * Reads a whole stream as text
+ * @private
+ * @param {ReadableStream} stream - Input stream (stdin)
+ * @returns {Promise<string>} Stream content
+ */
+async function readStream(stream) {
+    const chunks = [];
+
+    for await (const chunk of stream) {
+        chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+    }
+
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Runs the command line
+ * @param {Array} argv - Arguments without the node and script paths
+ * @param {Object} [io] - { stdin, stdout, stderr } streams, process streams by default
+ * @method run
+ * @version 1.0.0
+ * @returns {Promise<number>} Exit code
+ */
+export async function run(argv, io = {}) {
+    const { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr } = io;
+
+    try {
+        const options = parseArgs(argv);
+
+        if (options.help) {
+            stdout.write(USAGE);
+            return 0;
+        }
+
+        const text = options.file && options.file !== '-'
+            ? await readFile(options.file, 'utf8')
+            : await readStream(stdin);
+
+        const inputFormat = options.inputFormat || detectInputFormat(options.file, text);
+        const records = parseRecords(text, inputFormat, options.delimiter);
+
+        // Report the line numbers of the file: in CSV line 1 is the header
+        const firstRow = inputFormat === 'csv' ? 2 : 1;
+        const rows = records.map((record, i) => checkRecord(record, firstRow + i, options));
+        const report = stringifyReport(rows, options.report, options.delimiter);
+
+        if (options.output) {
+            await writeFile(options.output, report, 'utf8');
+        } else {
+            stdout.write(report);
+        }
+
+        const invalid = rows.filter(row => !row.valid).length;
+        const allowed = options.threshold.ratio !== undefined
+            ? options.threshold.ratio * rows.length
+            : options.threshold.count;
+        const percentage = rows.length > 0 ? ((invalid / rows.length) * 100).toFixed(2) : '0.00';
+
+        stderr.write(`${rows.length} rows checked, ${invalid} invalid (${percentage}%)\n`);
+
+        if (invalid > allowed) {
+            stderr.write(`Invalid rows exceed the threshold of ${allowed}\n`);
+            return 1;
+        }
+
+        return 0;
+    } catch (error) {
+        stderr.write(`tax-document-input: ${error.message}\n`);
+
+        if (error instanceof CliError) {
+            stderr.write('Run tax-document-input --help for usage\n');
+        }
+
+        return 2;
+    }
+}
@@ -0,0 +1,17 @@
+/**
+ * Element entry point - Registers the <tax-document-input> custom element
+ * The main entry only exports defineTaxDocumentInputElement, so importing the library does not
+ * define a global tag; importing this module does, and re-exports the main entry
+ * @version 1.0.0
+ * @license MIT
+ * @author Roni Sommerfeld
+ * @module element
+ * @requires TaxDocumentInputElement
+ */
+
+import { defineTaxDocumentInputElement } from './index.js';
+
+export * from './index.js';
+export { default } from './index.js';
+
+defineTaxDocumentInputElement();
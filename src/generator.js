@@ -0,0 +1,332 @@
+/**
+ * Generator - Test data for tax documents
+ * Produces check-digit-correct documents for every registered country and document, and
+ * deliberately invalid variants tagged with the failure the validator reports for them
+ * @version 1.0.0
+ * @license MIT
+ * @author Roni Sommerfeld
+ * @module generator
+ * @requires CountryRegistry
+ * @requires ValidatorInstance
+ */
+
+import { CountryRegistryInstance, VatRegistryInstance } from './CountryRegistry.js';
+import { ValidatorInstance } from './validators/Validator.js';
+import { MASK_TOKENS } from './utils/mask.js';
+import { applyMask } from './utils/format.js';
+
+const DIGITS = '0123456789';
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Characters drawn for each mask token (Ñ and & are valid in names but left out of random data)
+ */
+const TOKEN_CHARACTERS = {
+    'X': DIGITS,
+    'A': LETTERS,
+    '*': DIGITS + LETTERS,
+    'L': LETTERS,
+    'K': DIGITS + 'K'
+};
+
+const MAX_ATTEMPTS = 200;
+
+/**
+ * Kinds of invalid variants, used to choose them with the codes option
+ * A variant is tagged with the exact code the validator returns (e.g. CHECK_DIGIT_2 or CHECK_LETTER for CHECK_DIGIT)
+ */
+export const INVALID_CODES = {
+    CHECK_DIGIT: 'CHECK_DIGIT',
+    REPEATED_DIGITS: 'REPEATED_DIGITS',
+    INVALID_PREFIX: 'INVALID_PREFIX'
+};
+
+/**
+ * Creates a seeded random number generator (mulberry32)
+ * @private
+ * @param {number|string|undefined} seed - Same seed, same sequence; random when omitted
+ * @returns {Function} Function returning numbers in [0, 1)
+ */
+const createRandom = (seed) => {
+    if (seed === undefined || seed === null) return Math.random;
+
+    let state = 0;
+    String(seed).split('').forEach(char => {
+        state = (Math.imul(state, 31) + char.charCodeAt(0)) | 0;
+    });
+
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+const pick = (random, characters) => characters.charAt(Math.floor(random() * characters.length));
+
+const randomString = (random, characters, length) => {
+    return Array.from({ length }, () => pick(random, characters)).join('');
+};
+
+const shuffle = (random, characters) => {
+    const list = characters.split('');
+    for (let i = list.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [list[i], list[j]] = [list[j], list[i]];
+    }
+    return list;
+};
+
+/**
+ * Random YYMMDD date that exists in any century
+ */
+const randomDate = (random) => {
+    const pad = (number) => String(number).padStart(2, '0');
+    return pad(Math.floor(random() * 100)) + pad(1 + Math.floor(random() * 12)) + pad(1 + Math.floor(random() * 28));
+};
+
+/**
+ * Random alphanumeric string with at least one letter
+ */
+const randomAlphanumeric = (random, length) => {
+    const characters = randomString(random, DIGITS + LETTERS, length).split('');
+    characters[Math.floor(random() * length)] = pick(random, LETTERS);
+    return characters.join('');
+};
+
+/**
+ * Structure of documents that random mask characters rarely satisfy (dates, states, branch numbers)
+ * The check characters are replaced afterwards, so their positions only need a placeholder.
+ * VAT samplers return the number after the prefix
+ */
+const SAMPLERS = {
+    br: {
+        cnpj: (random, options) => (options.alphanumeric
+            ? randomAlphanumeric(random, 12)
+            : randomString(random, DIGITS, 8) + '0001') + '00'
+    },
+    cl: {
+        run: (random) => String(1000000 + Math.floor(random() * 48999999)) + '0',
+        rut: (random) => String(50000000 + Math.floor(random() * 49999999)) + '0'
+    },
+    mx: {
+        rfc_pf: (random) => randomString(random, LETTERS, 4) + randomDate(random) + randomString(random, LETTERS + DIGITS, 3),
+        rfc_pm: (random) => randomString(random, LETTERS, 3) + randomDate(random) + randomString(random, LETTERS + DIGITS, 3),
+        curp: (random) => randomString(random, LETTERS, 4) + randomDate(random) + pick(random, 'HM')
+            + ['DF', 'JC', 'NL', 'MC', 'PL', 'VZ', 'GT', 'NE'][Math.floor(random() * 8)]
+            + randomString(random, 'BCDFGHJKLMNPQRSTVWXZ', 3) + '00'
+    }
+};
+
+/**
+ * Structure of the VAT numbers whose letters or suffixes random mask characters rarely satisfy
+ */
+const VAT_SAMPLERS = {
+    AT: (random) => 'U' + randomString(random, DIGITS, 8),
+    EE: (random) => '10' + randomString(random, DIGITS, 7),
+    NL: (random) => randomString(random, DIGITS, 9) + 'B' + String(1 + Math.floor(random() * 99)).padStart(2, '0'),
+    SE: (random) => randomString(random, DIGITS, 10) + '01',
+    XI: (random) => randomString(random, DIGITS, 9)
+};
+
+/**
+ * Finds the data of a registered document
+ * @description The `vat` document type is looked up in the VAT registry
+ * @private
+ * @param {string} countryCode - ISO2 country code
+ * @param {string|null} documentType - Document type, the first by priority when null
+ * @returns {Array} [documentType, docConfig, vatPrefix], vatPrefix empty outside the VAT registry
+ */
+const getDocument = (countryCode, documentType) => {
+    const registry = documentType === 'vat' ? VatRegistryInstance : CountryRegistryInstance;
+    const country = registry.get(countryCode);
+
+    if (!country) {
+        throw new Error(`País não suportado: ${countryCode}`);
+    }
+
+    const documents = Object.entries(country.documents).sort((a, b) => a[1].priority - b[1].priority);
+    const document = documentType ? documents.find(([type]) => type === documentType) : documents[0];
+
+    if (!document) {
+        throw new Error(`Documento ${countryCode}.${documentType} não encontrado`);
+    }
+
+    return [...document, registry === VatRegistryInstance ? country.vatPrefix : ''];
+};
+
+/**
+ * Tells which kind of failure a validation result reports
+ * @private
+ * @param {Object} result - Validation result
+ * @returns {string|null} One of INVALID_CODES or null
+ */
+const classifyFailure = (result) => {
+    if (result.isValid) return null;
+
+    if (result.code === 'REPEATED_DIGITS') return INVALID_CODES.REPEATED_DIGITS;
+    if (result.code === 'INVALID_PREFIX') return INVALID_CODES.INVALID_PREFIX;
+    if (ValidatorInstance.isCheckDigitFailure(result)) return INVALID_CODES.CHECK_DIGIT;
+
+    return null;
+};
+
+/**
+ * Completes a base with check characters
+ * @description Documents with a registered check digit completion get their one or two check
+ * characters computed, in the position the completion inserts them (e.g. the start of a French
+ * VAT number); the others try the characters allowed in the last two positions until the value
+ * passes the validator. Either way the value must pass the content hints of the document
+ * (e.g. NIF starting with 1-3)
+ * @private
+ * @returns {string|null} Valid document or null when no combination passes
+ */
+const completeDocument = (random, base, tokens, countryCode, documentType) => {
+    const completion = ValidatorInstance.getCheckDigits(countryCode, documentType);
+
+    if (completion) {
+        for (const size of [1, 2]) {
+            const position = completion.insert(base.slice(0, -size), '\0'.repeat(size)).indexOf('\0');
+            const partial = base.slice(0, position) + base.slice(position + size);
+            const checkDigits = ValidatorInstance.computeCheckDigits(partial, countryCode, documentType);
+            const value = checkDigits && checkDigits.length === size ? completion.insert(partial, checkDigits) : null;
+
+            if (value && ValidatorInstance.isPlausible(value, countryCode, documentType)) {
+                return value;
+            }
+        }
+
+        return null;
+    }
+
+    const prefix = base.slice(0, -2);
+    const firstOptions = shuffle(random, TOKEN_CHARACTERS[tokens[tokens.length - 2]]);
+    const lastOptions = shuffle(random, TOKEN_CHARACTERS[tokens[tokens.length - 1]]);
+
+    for (const first of firstOptions) {
+        for (const last of lastOptions) {
+            const value = prefix + first + last;
+
+            if (ValidatorInstance.validate(value, countryCode, documentType).isValid
+                && ValidatorInstance.isPlausible(value, countryCode, documentType)) {
+                return value;
+            }
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Generates a valid value with a random source
+ * @description VAT numbers carry their prefix (e.g. DE136695976)
+ * @private
+ */
+const generateValue = (random, countryCode, documentType, docConfig, vatPrefix = '', options = {}) => {
+    const tokens = docConfig.mask.split('').filter(char => MASK_TOKENS[char]);
+    const sampler = vatPrefix ? VAT_SAMPLERS[vatPrefix] : SAMPLERS[countryCode]?.[documentType];
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+        const base = vatPrefix + (sampler
+            ? sampler(random, options)
+            : tokens.map(token => pick(random, TOKEN_CHARACTERS[token])).join(''));
+
+        const value = completeDocument(random, base, tokens, countryCode, documentType);
+        if (value) return value;
+    }
+
+    throw new Error(`Não foi possível gerar ${documentType} válido para ${countryCode}`);
+};
+
+/**
+ * Applies the document mask, keeping a VAT prefix outside of it
+ * @private
+ */
+const formatGenerated = (value, docConfig, vatPrefix) => {
+    return vatPrefix + applyMask(value.slice(vatPrefix.length), docConfig.mask, docConfig.align);
+};
+
+/**
+ * Generates a valid document
+ * @description The value passes the country rules (check digits, prefixes, dates) and the
+ * content hints of the document (e.g. a Portuguese NIF starts with 1, 2 or 3). The `vat` type
+ * generates EU VAT numbers with their prefix (e.g. generate('de', 'vat'))
+ * @param {string} countryCode - ISO2 country code
+ * @param {string} [documentType] - Document type, the first by priority when omitted
+ * @param {Object} [options] - { seed, formatted, alphanumeric }: a seed makes the output
+ * reproducible, formatted applies the document mask and alphanumeric generates the CNPJ format
+ * with letters in the root and branch
+ * @method generate
+ * @version 1.1.0
+ * @returns {string} Generated document (e.g. 52998224725 or 529.982.247-25)
+ */
+export function generate(countryCode, documentType = null, options = {}) {
+    const { seed, formatted = false, alphanumeric = false } = options;
+    const code = String(countryCode).toLowerCase();
+    const [type, docConfig, vatPrefix] = getDocument(code, documentType);
+
+    const value = generateValue(createRandom(seed), code, type, docConfig, vatPrefix, { alphanumeric });
+
+    return formatted ? formatGenerated(value, docConfig, vatPrefix) : value;
+}
+
+/**
+ * Generates invalid variants of a document
+ * @description Each variant is checked against the validator and tagged with the error code
+ * and message it returns. Failures the document rules do not have (e.g. no prefix rule for CPF)
+ * are left out
+ * @param {string} countryCode - ISO2 country code
+ * @param {string} [documentType] - Document type, the first by priority when omitted
+ * @param {Object} [options] - { seed, codes, alphanumeric }: codes limits the kinds of variants
+ * (see INVALID_CODES), alphanumeric starts from an alphanumeric CNPJ as in generate
+ * @method generateInvalid
+ * @version 1.1.0
+ * @returns {Array} Variants { code, value, formatted, error }
+ */
+export function generateInvalid(countryCode, documentType = null, options = {}) {
+    const { seed, codes = Object.values(INVALID_CODES), alphanumeric = false } = options;
+    const code = String(countryCode).toLowerCase();
+    const [type, docConfig, vatPrefix] = getDocument(code, documentType);
+    const random = createRandom(seed);
+    const tokens = docConfig.mask.split('').filter(char => MASK_TOKENS[char]);
+    const valid = generateValue(random, code, type, docConfig, vatPrefix, { alphanumeric });
+    const number = valid.slice(vatPrefix.length);
+
+    const candidates = {
+        // Another character in the last position, digits first
+        [INVALID_CODES.CHECK_DIGIT]: () => shuffle(random, TOKEN_CHARACTERS[tokens[tokens.length - 1]])
+            .filter(char => char !== valid.slice(-1))
+            .sort((a, b) => DIGITS.includes(b) - DIGITS.includes(a))
+            .map(char => valid.slice(0, -1) + char),
+
+        // The same digit in every position
+        [INVALID_CODES.REPEATED_DIGITS]: () => shuffle(random, DIGITS.slice(1))
+            .map(digit => vatPrefix + digit.repeat(docConfig.length - vatPrefix.length)),
+
+        // Other characters in the first one or two positions (after the VAT prefix)
+        [INVALID_CODES.INVALID_PREFIX]: () => Array.from({ length: MAX_ATTEMPTS }, (_, i) => {
+            const size = i % 2 === 0 ? 1 : 2;
+            const prefix = tokens.slice(0, size).map(token => pick(random, TOKEN_CHARACTERS[token])).join('');
+            return vatPrefix + prefix + number.slice(size);
+        })
+    };
+
+    return codes.filter(errorCode => candidates[errorCode]).reduce((variants, errorCode) => {
+        for (const value of candidates[errorCode]()) {
+            const result = ValidatorInstance.validate(value, code, type);
+
+            if (classifyFailure(result) === errorCode) {
+                variants.push({
+                    code: result.code,
+                    value,
+                    formatted: formatGenerated(value, docConfig, vatPrefix),
+                    error: result.error
+                });
+                break;
+            }
+        }
+
+        return variants;
+    }, []);
+}
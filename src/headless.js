@@ -0,0 +1,148 @@
+/**
+ * Headless API - Formatting and validation without a DOM
+ * Pure functions sharing the masks, detection and rule modules used by TaxDocumentInput,
+ * for Node backends, React Native apps and other environments without window or document
+ * @version 1.0.0
+ * @license MIT
+ * @author Roni Sommerfeld
+ * @module headless
+ * @requires CountryRegistry
+ * @requires ValidatorInstance
+ * @requires MessageCatalog
+ */
+
+import './validators/rules/BrazilRules.js';
+import './validators/rules/PortugalRules.js';
+import './validators/rules/USARules.js';
+import './validators/rules/SpainRules.js';
+import './validators/rules/ArgentinaRules.js';
+import './validators/rules/ChileRules.js';
+import './validators/rules/MexicoRules.js';
+import './validators/rules/EUVatRules.js';
+
+import { CountryRegistryInstance } from './CountryRegistry.js';
+import { ValidatorInstance } from './validators/Validator.js';
+import { MessageCatalogInstance, registerMessages } from './MessageCatalog.js';
+import { cleanValue, applyMask, detectDocumentType, formatValue } from './utils/format.js';
+import { generate, generateInvalid, INVALID_CODES } from './generator.js';
+
+/**
+ * Builds the detection options for a country
+ * @private
+ * @param {string} countryCode - ISO2 country code
+ * @param {Object} restrictions - { documentTypes, documentCategory }
+ * @returns {Object} Options for the format utilities
+ */
+const getDetectionOptions = (countryCode, restrictions = {}) => ({
+    restrictions,
+    isPlausible: (value, docType) => ValidatorInstance.isPlausible(value, countryCode, docType)
+});
+
+/**
+ * Removes the formatting of a document
+ * @description Keeps only digits, uppercase letters, Ñ and &
+ * @param {string} value - Document with or without formatting
+ * @method clean
+ * @version 1.0.0
+ * @returns {string} Clean value (e.g. 12345678901)
+ */
+export function clean(value) {
+    return cleanValue(value);
+}
+
+/**
+ * Detects the document type of a value
+ * @description Uses the same content hints and length rules as the input, so a partial
+ * value returns the document it is most likely becoming
+ * @param {string} value - Document with or without formatting
+ * @param {string} countryCode - ISO2 country code
+ * @param {Object} [restrictions] - { documentTypes, documentCategory } to limit the candidates
+ * @method detect
+ * @version 1.0.0
+ * @returns {string|null} Document type (cpf, cnpj, nif, etc.) or null for unknown countries
+ */
+export function detect(value, countryCode, restrictions = {}) {
+    const country = CountryRegistryInstance.get(countryCode);
+    if (!country) return null;
+
+    return detectDocumentType(cleanValue(value), country, getDetectionOptions(countryCode, restrictions));
+}
+
+/**
+ * Formats a document with the mask of its type
+ * @description Detects the document type when it is not given; values longer than the
+ * document are truncated like in the input
+ * @param {string} value - Document with or without formatting
+ * @param {string} countryCode - ISO2 country code
+ * @param {string} [documentType] - Document type, detected when omitted
+ * @method format
+ * @version 1.0.0
+ * @returns {string} Formatted value (e.g. 123.456.789-01), or the clean value for unknown countries or types
+ */
+export function format(value, countryCode, documentType = null) {
+    const country = CountryRegistryInstance.get(countryCode);
+    if (!country) return cleanValue(value);
+
+    if (documentType) {
+        const docConfig = country.documents[documentType];
+        if (!docConfig) return cleanValue(value);
+
+        const clean = cleanValue(value).substring(0, docConfig.length);
+        return applyMask(clean, docConfig.mask, docConfig.align);
+    }
+
+    return formatValue(value, country, getDetectionOptions(countryCode)).formatted;
+}
+
+/**
+ * Validates a document
+ * @description Runs the rule module of the country; the document type is detected when omitted
+ * @param {string} value - Document with or without formatting
+ * @param {string} countryCode - ISO2 country code
+ * @param {string} [documentType] - Document type, detected when omitted
+ * @param {Object} [options] - { locale } for the error message (e.g. pt-BR), English by default
+ * @method validate
+ * @version 1.1.0
+ * @returns {Object} Validation result with isValid, code, params, error, details, documentType and countryCode
+ */
+export function validate(value, countryCode, documentType = null, options = {}) {
+    const { locale = null } = options;
+    const clean = cleanValue(value);
+    const type = documentType || detect(clean, countryCode);
+
+    if (!type) {
+        const params = { country: countryCode };
+
+        return {
+            isValid: false,
+            code: 'UNSUPPORTED_COUNTRY',
+            params,
+            error: MessageCatalogInstance.format('UNSUPPORTED_COUNTRY', params, locale),
+            details: null,
+            documentType: null,
+            countryCode: countryCode
+        };
+    }
+
+    return ValidatorInstance.validate(clean, countryCode, type, { locale });
+}
+
+/**
+ * Computes the check digits of a partial document
+ * @description Uses the same algorithm as the validation rules. The partial value is the document
+ * without its check characters (e.g. the first 9 CPF digits or the 12-character CNPJ base)
+ * @param {string} countryCode - ISO2 country code
+ * @param {string} documentType - Document type (cpf, cnpj, nif, etc.)
+ * @param {string} partial - Document without its check characters, with or without formatting
+ * @method computeCheckDigits
+ * @version 1.0.0
+ * @returns {string|null} Check characters (e.g. 09 for CPF 123.456.789), or null when the document
+ * has no checksum or the partial value cannot be completed into a valid document
+ */
+export function computeCheckDigits(countryCode, documentType, partial) {
+    return ValidatorInstance.computeCheckDigits(cleanValue(partial), countryCode, documentType);
+}
+
+export { generate, generateInvalid, INVALID_CODES, registerMessages };
+
+export default { clean, detect, format, validate, computeCheckDigits, generate, generateInvalid, registerMessages };
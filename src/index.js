@@ -1,13 +1,33 @@
 import './validators/rules/BrazilRules.js';
 import './validators/rules/PortugalRules.js';
 import './validators/rules/USARules.js';
+import './validators/rules/SpainRules.js';
+import './validators/rules/ArgentinaRules.js';
+import './validators/rules/ChileRules.js';
+import './validators/rules/MexicoRules.js';
+import './validators/rules/EUVatRules.js';
 
 import TaxDocumentInput from './TaxDocumentInput.js';
+import TaxDocumentInputElement, { defineTaxDocumentInputElement } from './TaxDocumentInputElement.js';
 import { ValidatorInstance } from './validators/Validator.js';
+import { CountryRegistryInstance, VatRegistryInstance } from './CountryRegistry.js';
+import { MessageCatalogInstance } from './MessageCatalog.js';
 
 export default TaxDocumentInput;
 
-export { TaxDocumentInput, ValidatorInstance as Validator };
+export {
+    TaxDocumentInput,
+    TaxDocumentInputElement,
+    defineTaxDocumentInputElement,
+    ValidatorInstance as Validator,
+    CountryRegistryInstance as CountryRegistry,
+    VatRegistryInstance as VatRegistry,
+    MessageCatalogInstance as MessageCatalog
+};
+
+export {
+    clean, detect, format, validate, computeCheckDigits, generate, generateInvalid, INVALID_CODES, registerMessages
+} from './headless.js';
 
 export { default as DOMManager } from './managers/DOMManager.js';
 export { default as FormatManager } from './managers/FormatManager.js';
@@ -29,4 +49,5 @@ if (typeof window !== 'undefined') {
     window.TaxDocumentInput = TaxDocumentInput;
     window.TaxDocumentValidator = ValidatorInstance;
     window.initTaxInputs = initTaxInputs;
+    window.TaxDocumentInputElement = TaxDocumentInputElement;
 }
\ No newline at end of file
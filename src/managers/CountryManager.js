@@ -1,18 +1,42 @@
-import { debug } from '../utils/debug.js';
+import { isDocumentAllowed } from '../utils/documents.js';
+import { getLocalizedName, getNativeName, sortByName } from '../utils/countryNames.js';
+import { MessageCatalogInstance } from '../MessageCatalog.js';
+import Disposer from '../utils/disposer.js';
+import { createLogger } from '../utils/logger.js';
 
 /**
  * CountryManager - Versão Robusta Anti-Conflito
  * Gerencia seleção de países e dropdown
  */
 
+/**
+ * Tempo (ms) sem digitar para reiniciar a busca por nome no dropdown (type-ahead)
+ */
+const TYPEAHEAD_TIMEOUT = 500;
+
+/**
+ * Normaliza um nome para a busca por digitação (sem acentos e sem diferenciar maiúsculas)
+ */
+const normalizeName = (name) => name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
 export default class CountryManager {
-    constructor(countries, onlyCountries = []) {
-        this.countries = countries;
+    constructor(registry, onlyCountries = [], restrictions = {}, localization = {}, preferredCountries = [], logger = createLogger(false)) {
+        this.registry = registry;
+        this.countries = registry.getCountries();
         this.onlyCountries = onlyCountries;
+        this.preferredCountries = preferredCountries;
+        this.restrictions = restrictions;
+        this.locale = localization.locale || null;
+        this.countryNames = localization.countryNames || {};
         this.selectedCountry = 'br';
         this.domManager = null;
         this.isDropdownVisible = false;
-        this.debugMode = true; // Ativar debug por padrão
+        this.activeCountry = null;
+        this.optionNames = {};
+        this.typeahead = { query: '', cancel: null };
+        this.disposer = new Disposer();
+        this.isDestroyed = false;
+        this.logger = logger;
     }
 
     /**
@@ -31,47 +55,130 @@ export default class CountryManager {
         this.updateSelectedCountry();
         this.setupEventListeners();
 
-        if (this.debugMode) {
-            debug('CountryManager inicializado:', {
-                defaultCountry,
-                availableCountries: this.onlyCountries.length > 0 ? this.onlyCountries : Object.keys(this.countries),
-                domManagerReady: !!this.domManager
+        this.logger.debug('CountryManager inicializado', {
+            defaultCountry,
+            availableCountries: this.getAvailableCountries()
+        });
+    }
+
+    /**
+     * Retorna os países disponíveis, ignorando os que não têm documentos permitidos
+     */
+    getAvailableCountries() {
+        const countries = this.onlyCountries.length > 0
+            ? this.onlyCountries
+            : this.registry.getCodes();
+
+        return countries.filter(countryCode => {
+            const documents = this.countries[countryCode]?.documents || {};
+
+            return Object.entries(documents).some(([docType, docConfig]) => {
+                return isDocumentAllowed(docType, docConfig, this.restrictions);
             });
-        }
+        });
+    }
+
+    /**
+     * Define o idioma dos nomes de países e as substituições por país (ex.: { br: 'Brazil' })
+     */
+    setLocalization({ locale = this.locale, countryNames = this.countryNames } = {}) {
+        this.locale = locale;
+        this.countryNames = countryNames || {};
+    }
+
+    /**
+     * Retorna o nome do país no idioma da instância
+     */
+    getCountryName(countryCode) {
+        return getLocalizedName(countryCode, this.countries[countryCode], this.locale, this.countryNames);
+    }
+
+    /**
+     * Retorna os países disponíveis ordenados pelo nome traduzido, com os nomes
+     */
+    getSortedCountries() {
+        const names = {};
+        this.getAvailableCountries().forEach(countryCode => {
+            names[countryCode] = this.getCountryName(countryCode);
+        });
+
+        return { codes: sortByName(Object.keys(names), names, this.locale), names };
+    }
+
+    /**
+     * Retorna a ordem do dropdown: países preferidos (na ordem informada) e depois os demais por nome
+     * Os preferidos não se repetem no resto da lista
+     */
+    getOrderedCountries() {
+        const { codes, names } = this.getSortedCountries();
+        const preferred = this.preferredCountries.filter((countryCode, index, list) => {
+            return codes.includes(countryCode) && list.indexOf(countryCode) === index;
+        });
+        const others = codes.filter(countryCode => !preferred.includes(countryCode));
+
+        return { codes: [...preferred, ...others], names, preferredCount: preferred.length };
     }
 
     /**
      * Popula o dropdown com países disponíveis
      */
     populateCountries() {
-        const availableCountries = this.onlyCountries.length > 0 
-            ? this.onlyCountries 
-            : Object.keys(this.countries);
+        const { codes: availableCountries, names, preferredCount } = this.getOrderedCountries();
+        this.optionNames = names;
 
-        debug('Populando dropdown com países:', availableCountries);
+        this.logger.debug('Populando dropdown com países', availableCountries);
 
         this.domManager.populateCountries(availableCountries, (countryCode) => {
-            debug('País selecionado via callback:', countryCode);
-            this.selectCountry(countryCode);
+            this.chooseCountry(countryCode);
+        }, names, preferredCount);
+        this.domManager.setSelectedOption(this.selectedCountry);
+
+        if (this.domManager.getSearchQuery()) {
+            this.filterCountries(this.domManager.getSearchQuery());
+        }
+    }
+
+    /**
+     * Retorna os países do dropdown que correspondem à busca
+     * Compara com o início das palavras do nome traduzido ou original (ex.: "states"), o código ISO
+     * exato (ex.: "us") e o início dos documentos permitidos (ex.: "cnpj" encontra o Brasil)
+     */
+    searchCountries(query) {
+        const search = normalizeName(query.trim());
+        if (!search) return null;
+
+        const startsWithSearch = (name) => {
+            const normalized = normalizeName(name);
+            return normalized.startsWith(search) || normalized.split(/[\s\-'()]+/).some(word => word.startsWith(search));
+        };
+
+        return this.domManager.getOptionCodes(true).filter(countryCode => {
+            const country = this.countries[countryCode];
+            const documents = Object.entries(country?.documents || {})
+                .filter(([docType, docConfig]) => isDocumentAllowed(docType, docConfig, this.restrictions))
+                .map(([docType]) => docType);
+
+            return countryCode === search ||
+                startsWithSearch(this.optionNames[countryCode] || this.getCountryName(countryCode)) ||
+                startsWithSearch(country?.name || '') ||
+                (search.length >= 2 && documents.some(docType => docType.startsWith(search)));
         });
+    }
 
-        // Verificação com timeout maior
-        setTimeout(() => {
-            const items = this.domManager.dropdown.querySelectorAll('.tax-document-input__dropdown-item');
-            debug('Verificação pós-população: itens criados:', items.length);
-
-            if (items.length === 0) {
-                console.error('ERRO: Dropdown não foi populado!');
-                debug('Países disponíveis:', availableCountries);
-                debug('Países registrados:', Object.keys(this.countries));
-
-                // Tentar repopular
-                debug('Tentando repopular...');
-                this.domManager.populateCountries(availableCountries, (countryCode) => {
-                    this.selectCountry(countryCode);
-                });
-            }
-        }, 200);
+    /**
+     * Filtra o dropdown pelo texto da busca e ativa o primeiro resultado
+     */
+    filterCountries(query) {
+        const matches = this.searchCountries(query);
+        const message = MessageCatalogInstance.format('NO_COUNTRIES_FOUND', { query: query.trim() }, this.locale);
+
+        this.domManager.filterOptions(matches, message);
+
+        if (!matches) {
+            this.setActiveCountry(this.selectedCountry);
+        } else {
+            this.setActiveCountry(matches[0] || null);
+        }
     }
 
     /**
@@ -79,81 +186,215 @@ export default class CountryManager {
      */
     updateSelectedCountry() {
         const country = this.countries[this.selectedCountry];
-        this.domManager.updateSelectedCountry(country);
+        this.domManager.updateSelectedCountry(country, country ? this.getCountryName(this.selectedCountry) : null);
+        this.domManager.setSelectedOption(this.selectedCountry);
     }
 
     /**
      * Seleciona um país
+     * keepValue indica que o valor digitado deve ser mantido (ex.: país vindo do prefixo de IVA)
      */
-    selectCountry(countryCode) {
+    selectCountry(countryCode, keepValue = false) {
         const previousCountry = this.selectedCountry;
         this.selectedCountry = countryCode;
         this.updateSelectedCountry();
         this.hideDropdown();
 
         // Notificar sobre mudança de país
-        this.onCountryChange?.(countryCode, previousCountry);
+        this.onCountryChange?.(countryCode, previousCountry, keepValue);
+
+        this.logger.debug('País alterado', { from: previousCountry, to: countryCode });
+    }
+
+    /**
+     * Seleciona um país escolhido pelo usuário no dropdown e devolve o foco ao campo
+     */
+    chooseCountry(countryCode) {
+        this.selectCountry(countryCode);
+        this.domManager.focusInput();
+    }
+
+    /**
+     * Define a opção ativa do dropdown (navegação por teclado)
+     */
+    setActiveCountry(countryCode) {
+        this.activeCountry = countryCode;
+        this.domManager.setActiveOption(countryCode);
+    }
+
+    /**
+     * Move a opção ativa: offset relativo (setas) ou posição absoluta (Home/End)
+     */
+    moveActiveCountry(offset, absolute = false) {
+        const codes = this.domManager.getOptionCodes();
+        if (codes.length === 0) return;
+
+        const current = codes.indexOf(this.activeCountry);
+        let index;
 
-        if (this.debugMode) {
-            debug('País alterado:', { from: previousCountry, to: countryCode });
+        if (absolute) {
+            index = offset < 0 ? codes.length - 1 : offset;
+        } else if (current === -1) {
+            index = offset > 0 ? 0 : codes.length - 1;
+        } else {
+            index = Math.min(Math.max(current + offset, 0), codes.length - 1);
+        }
+
+        this.setActiveCountry(codes[index]);
+    }
+
+    /**
+     * Busca por digitação: ativa o próximo país cujo nome começa com as letras digitadas
+     * Repetir a mesma letra percorre os países que começam com ela
+     */
+    typeAhead(character) {
+        this.typeahead.cancel?.();
+        this.typeahead.query += normalizeName(character);
+        this.typeahead.cancel = this.disposer.timeout(() => {
+            this.typeahead.query = '';
+        }, TYPEAHEAD_TIMEOUT);
+
+        const query = this.typeahead.query;
+        const repeated = query.split('').every(char => char === query.charAt(0));
+        const search = repeated ? query.charAt(0) : query;
+
+        const codes = this.domManager.getOptionCodes();
+        const current = codes.indexOf(this.activeCountry);
+
+        // Com uma letra (ou repetida), começa depois da opção ativa; com prefixo maior, inclui a ativa
+        const start = repeated ? current + 1 : Math.max(current, 0);
+        const ordered = [...codes.slice(start), ...codes.slice(0, start)];
+        const match = ordered.find(code => {
+            return normalizeName(this.optionNames[code] || this.getCountryName(code)).startsWith(search);
+        });
+
+        if (match) {
+            this.setActiveCountry(match);
+        }
+    }
+
+    /**
+     * Navegação por teclado no seletor de país (padrão ARIA combobox)
+     */
+    handleKeydown(e) {
+        // No campo de busca, letras, espaço e Home/End editam o texto
+        const inSearch = e.target === this.domManager.searchInput;
+
+        if (inSearch && ['Home', 'End', ' '].includes(e.key)) return;
+
+        if (e.altKey && e.key === 'ArrowDown' && !this.isDropdownVisible) {
+            e.preventDefault();
+            this.showDropdown();
+            return;
+        }
+
+        if (!this.isDropdownVisible) {
+            if (['ArrowDown', 'ArrowUp', 'Enter', ' '].includes(e.key)) {
+                e.preventDefault();
+                this.showDropdown();
+
+                if (e.key === 'ArrowUp') {
+                    this.moveActiveCountry(-1, true);
+                }
+            }
+            return;
+        }
+
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                this.moveActiveCountry(1);
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                this.moveActiveCountry(-1);
+                break;
+            case 'Home':
+                e.preventDefault();
+                this.moveActiveCountry(0, true);
+                break;
+            case 'End':
+                e.preventDefault();
+                this.moveActiveCountry(-1, true);
+                break;
+            case 'Enter':
+            case ' ':
+                // Espaço durante a busca por digitação faz parte do nome (ex.: "United States")
+                if (e.key === ' ' && this.typeahead.query) {
+                    e.preventDefault();
+                    this.typeAhead(' ');
+                    break;
+                }
+
+                e.preventDefault();
+                if (this.activeCountry) {
+                    this.chooseCountry(this.activeCountry);
+                }
+                break;
+            case 'Escape':
+                e.preventDefault();
+                e.stopPropagation();
+                this.hideDropdown();
+                break;
+            case 'Tab':
+                this.hideDropdown();
+                break;
+            default:
+                if (!inSearch && e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+                    e.preventDefault();
+                    this.typeAhead(e.key);
+                }
         }
     }
 
     /**
      * Configura os event listeners - Versão Robusta
+     * Todos passam pelo disposer, inclusive os de document e window, e são removidos no destroy
      */
     setupEventListeners() {
         if (!this.domManager || !this.domManager.countryButton || !this.domManager.dropdown) {
-            console.error('DOMManager não está configurado corretamente');
+            this.logger.error('DOMManager não está configurado corretamente');
             return;
         }
 
-        // Contador de cliques para debug
-        let clickCount = 0;
-
-        // Toggle dropdown com debug
-        this.domManager.countryButton.addEventListener('click', (e) => {
+        // Toggle dropdown
+        this.disposer.listen(this.domManager.countryButton, 'click', (e) => {
             e.preventDefault();
             e.stopPropagation();
             e.stopImmediatePropagation();
 
-            clickCount++;
-            debug(`Botão clicado (#${clickCount}), toggling dropdown`);
-            debug('Estado antes do toggle:', {
-                isVisible: this.isDropdownVisible,
-                display: this.domManager.dropdown.style.display,
-                computedDisplay: getComputedStyle(this.domManager.dropdown).display
-            });
-
             this.toggleDropdown();
         });
 
-        // Fechar dropdown ao clicar fora - com debug
-        document.addEventListener('click', (e) => {
+        // Navegação por teclado (setas, Home/End, busca por digitação, Enter e ESC)
+        this.disposer.listen(this.domManager.countryButton, 'keydown', (e) => this.handleKeydown(e));
+
+        // Campo de busca: filtra ao digitar e navega pela lista com as mesmas teclas
+        if (this.domManager.searchInput) {
+            this.disposer.listen(this.domManager.searchInput, 'input', () => {
+                this.filterCountries(this.domManager.getSearchQuery());
+            });
+            this.disposer.listen(this.domManager.searchInput, 'keydown', (e) => this.handleKeydown(e));
+        }
+
+        // Fechar dropdown ao clicar fora
+        this.disposer.listen(document, 'click', (e) => {
             if (this.isDropdownVisible) {
-                const isInsideWrapper = this.domManager.wrapper.contains(e.target);
-                const isInsideDropdown = this.domManager.dropdown.contains(e.target);
+                // composedPath enxerga dentro de shadow roots, onde e.target é só o host
+                const path = e.composedPath ? e.composedPath() : [e.target];
+                const isInsideWrapper = path.includes(this.domManager.wrapper);
+                const isInsideDropdown = path.includes(this.domManager.dropdown);
 
                 if (!isInsideWrapper && !isInsideDropdown) {
-                    if (this.debugMode) {
-                        debug('Clicou fora, fechando dropdown', {
-                            target: e.target,
-                            isInsideWrapper,
-                            isInsideDropdown
-                        });
-                    }
                     this.hideDropdown();
                 }
             }
         });
 
         // Prevenir que cliques dentro do dropdown fechem ele
-        this.domManager.dropdown.addEventListener('click', (e) => {
+        this.disposer.listen(this.domManager.dropdown, 'click', (e) => {
             e.stopPropagation();
             e.stopImmediatePropagation();
-            if (this.debugMode) {
-                debug('Clique dentro do dropdown', e.target);
-            }
         });
 
         // Reposicionar dropdown ao redimensionar ou scroll
@@ -163,20 +404,15 @@ export default class CountryManager {
             }
         };
 
-        window.addEventListener('resize', repositionHandler);
-        window.addEventListener('scroll', repositionHandler, true);
+        this.disposer.listen(window, 'resize', repositionHandler);
+        this.disposer.listen(window, 'scroll', repositionHandler, true);
 
         // Fechar dropdown com ESC
-        document.addEventListener('keydown', (e) => {
+        this.disposer.listen(document, 'keydown', (e) => {
             if (e.key === 'Escape' && this.isDropdownVisible) {
-                debug('ESC pressionado, fechando dropdown');
                 this.hideDropdown();
             }
         });
-
-        if (this.debugMode) {
-            debug('Event listeners configurados');
-        }
     }
 
     /**
@@ -184,12 +420,10 @@ export default class CountryManager {
      */
     toggleDropdown() {
         if (!this.domManager || !this.domManager.dropdown) {
-            console.error('Dropdown não encontrado');
+            this.logger.error('Dropdown não encontrado');
             return;
         }
 
-        debug('Toggle dropdown - isVisible:', this.isDropdownVisible);
-
         if (this.isDropdownVisible) {
             this.hideDropdown();
         } else {
@@ -202,151 +436,49 @@ export default class CountryManager {
      */
     showDropdown() {
         if (!this.domManager || !this.domManager.dropdown) {
-            console.error('Elementos necessários não encontrados para showDropdown');
+            this.logger.error('Elementos necessários não encontrados para showDropdown');
             return;
         }
 
-        debug('=== SHOWING DROPDOWN - VERSÃO ROBUSTA ===');
-
         try {
             // 1. Primeiro, posicionar o dropdown
             this.positionDropdown();
 
-            // 2. Aplicar estilos inline críticos
-            this.domManager.forceShowDropdown();
+            // 2. Exibir
+            this.domManager.setDropdownVisible(true);
 
-            // 3. Usar atributo para CSS específico
-            this.domManager.dropdown.setAttribute('data-visible', 'true');
-
-            // 4. Forçar display via style
-            this.domManager.dropdown.style.display = 'block';
-            this.domManager.dropdown.style.visibility = 'visible';
-            this.domManager.dropdown.style.opacity = '1';
-
-            // 5. Forçar reflow múltiplas vezes
-            this.domManager.dropdown.offsetHeight;
-            this.domManager.dropdown.getBoundingClientRect();
-
-            // 6. Atualizar estado
+            // 3. Atualizar estado
             this.isDropdownVisible = true;
+            this.domManager.clearSearch();
+            this.domManager.setExpanded(true);
+            this.setActiveCountry(this.selectedCountry);
+            this.domManager.searchInput?.focus();
 
-            debug('Dropdown mostrado com sucesso');
-
-            // 7. Debug detalhado após um frame
-            requestAnimationFrame(() => {
-                const rect = this.domManager.dropdown.getBoundingClientRect();
-                const computed = getComputedStyle(this.domManager.dropdown);
-
-                const debugInfo = {
-                    display: computed.display,
-                    position: computed.position,
-                    top: computed.top,
-                    left: computed.left,
-                    zIndex: computed.zIndex,
-                    visibility: computed.visibility,
-                    opacity: computed.opacity,
-                    width: rect.width,
-                    height: rect.height,
-                    inViewport: this.isInViewport(rect),
-                    hasItems: this.domManager.dropdown.children.length,
-                    styleDisplay: this.domManager.dropdown.style.display,
-                    dataVisible: this.domManager.dropdown.getAttribute('data-visible')
-                };
-
-                debug('Estado final do dropdown:', debugInfo);
-
-                // Se ainda não está visível, forçar mais
-                if (computed.display === 'none' || rect.width === 0) {
-                    console.warn('Dropdown ainda não visível, aplicando correção de emergência');
-                    this.emergencyShowFix();
-                } else {
-                    // Destacar visualmente se estiver funcionando
-                    this.highlightDropdown();
-                }
-            });
+            this.logger.debug('Dropdown aberto');
 
+            // 4. Diagnóstico opcional, depois que o navegador desenhar o dropdown
+            if (this.onDropdownShow) {
+                this.disposer.frame(() => this.onDropdownShow?.());
+            }
         } catch (error) {
-            console.error('Erro em showDropdown:', error);
-            this.emergencyShowFix();
+            this.logger.error('Erro ao abrir o dropdown', error);
         }
     }
 
-    /**
-     * Correção de emergência quando dropdown não aparece
-     */
-    emergencyShowFix() {
-        debug('=== APLICANDO CORREÇÃO DE EMERGÊNCIA ===');
-
-        const emergency = document.createElement('div');
-        emergency.id = 'emergency-dropdown-' + Date.now();
-        emergency.innerHTML = this.domManager.dropdown.innerHTML;
-
-        // Estilos de emergência
-        Object.assign(emergency.style, {
-            position: 'fixed',
-            top: '100px',
-            left: '100px',
-            width: '250px',
-            maxHeight: '200px',
-            backgroundColor: '#ffcccc',
-            border: '3px solid red',
-            zIndex: '2147483647',
-            padding: '10px',
-            borderRadius: '4px',
-            boxShadow: '0 4px 20px rgba(0,0,0,0.5)',
-            fontSize: '14px',
-            fontFamily: 'Arial, sans-serif',
-            overflowY: 'auto'
-        });
-
-        // Adicionar mensagem de debug
-        const debugMsg = document.createElement('div');
-        debugMsg.style.cssText = 'background: yellow; padding: 5px; margin-bottom: 5px; font-size: 12px;';
-        debugMsg.textContent = 'DROPDOWN DE EMERGÊNCIA - Há conflito de CSS!';
-        emergency.insertBefore(debugMsg, emergency.firstChild);
-
-        document.body.appendChild(emergency);
-
-        // Remover após 5 segundos
-        setTimeout(() => {
-            if (document.body.contains(emergency)) {
-                document.body.removeChild(emergency);
-            }
-        }, 5000);
-
-        debug('Dropdown de emergência criado. Verifique conflitos de CSS!');
-    }
-
-    /**
-     * Destaca o dropdown visualmente para confirmar que está funcionando
-     */
-    highlightDropdown() {
-        const originalBg = this.domManager.dropdown.style.backgroundColor;
-        const originalBorder = this.domManager.dropdown.style.border;
-
-        this.domManager.dropdown.style.backgroundColor = '#ffffcc';
-        this.domManager.dropdown.style.border = '3px solid green';
-
-        setTimeout(() => {
-            this.domManager.dropdown.style.backgroundColor = originalBg || 'white';
-            this.domManager.dropdown.style.border = originalBorder || '1px solid #ccc';
-        }, 1500);
-    }
-
     /**
      * Esconde o dropdown
      */
     hideDropdown() {
         if (!this.domManager || !this.domManager.dropdown) return;
 
-        debug('Hiding dropdown');
-
-        this.domManager.dropdown.style.display = 'none';
-        this.domManager.dropdown.removeAttribute('data-visible');
+        this.domManager.setDropdownVisible(false);
         this.isDropdownVisible = false;
+        this.activeCountry = null;
+        this.domManager.setExpanded(false);
 
-        if (this.debugMode) {
-            debug('Dropdown escondido');
+        // O foco não pode ficar na busca escondida
+        if (this.domManager.searchInput && this.domManager.getActiveElement() === this.domManager.searchInput) {
+            this.domManager.countryButton.focus();
         }
     }
 
@@ -355,18 +487,13 @@ export default class CountryManager {
      */
     positionDropdown() {
         if (!this.domManager.countryContainer) {
-            console.error('countryContainer não encontrado para posicionamento');
+            this.logger.error('countryContainer não encontrado para posicionamento');
             return;
         }
 
         const buttonRect = this.domManager.countryContainer.getBoundingClientRect();
         const viewportHeight = window.innerHeight;
         const viewportWidth = window.innerWidth;
-        
-        if (this.debugMode) {
-            debug('Posicionando dropdown. ButtonRect:', buttonRect);
-            debug('Viewport:', { width: viewportWidth, height: viewportHeight });
-        }
 
         // Posição base abaixo do botão
         let top = buttonRect.bottom + 5; // Espaço maior
@@ -378,25 +505,15 @@ export default class CountryManager {
         // Verificar se há espaço suficiente abaixo
         const spaceBelow = viewportHeight - buttonRect.bottom;
         const dropdownHeight = Math.min(250, this.domManager.dropdown.scrollHeight || 200);
-        
-        if (this.debugMode) {
-            debug('Espaços disponíveis:', { spaceBelow, dropdownHeight });
-        }
 
         // Se não há espaço suficiente abaixo, mostrar acima
         if (spaceBelow < dropdownHeight && buttonRect.top > dropdownHeight) {
             top = buttonRect.top - dropdownHeight - 5;
-            if (this.debugMode) {
-                debug('Mostrando dropdown acima do botão');
-            }
         }
         
         // Garantir que não saia da tela horizontalmente
         if (left + dropdownWidth > viewportWidth) {
             left = viewportWidth - dropdownWidth - 20;
-            if (this.debugMode) {
-                debug('Ajustando posição horizontal');
-            }
         }
         if (left < 20) {
             left = 20;
@@ -410,48 +527,26 @@ export default class CountryManager {
             top = viewportHeight - dropdownHeight - 20;
         }
         
-        const finalPosition = { top, left, width: dropdownWidth, maxHeight: dropdownHeight };
-
-        if (this.debugMode) {
-            debug('Posição final calculada:', finalPosition);
-        }
+        this.logger.debug('Dropdown posicionado', { top, left, width: dropdownWidth, maxHeight: dropdownHeight });
 
         // Aplicar posicionamento
-        Object.assign(this.domManager.dropdown.style, {
-            top: `${top}px`,
-            left: `${left}px`,
-            width: `${dropdownWidth}px`,
-            maxHeight: `${dropdownHeight}px`
-        });
+        this.domManager.setDropdownPosition({ top, left, width: dropdownWidth, maxHeight: dropdownHeight });
     }
 
     /**
-     * Verifica se o elemento está na viewport
+     * Relatório do estado do seletor e do dropdown (estilos calculados, posição e conflitos de CSS)
+     * issues lista os problemas encontrados; vazio quando o dropdown está aberto e visível
      */
-    isInViewport(rect) {
-        return (
-            rect.top >= 0 &&
-            rect.left >= 0 &&
-            rect.bottom <= (window.innerHeight || document.documentElement.clientHeight) &&
-            rect.right <= (window.innerWidth || document.documentElement.clientWidth)
-        );
-    }
+    getDiagnostics() {
+        const dropdown = this.domManager?.getDropdownDiagnostics(this.isDropdownVisible) || null;
 
-    /**
-     * Debug completo do estado atual
-     */
-    debugCurrentState() {
-        debug('=== DEBUG COUNTRY MANAGER ===');
-        debug('Estado interno:', {
+        return {
             selectedCountry: this.selectedCountry,
             isDropdownVisible: this.isDropdownVisible,
-            domManagerExists: !!this.domManager,
-            dropdownExists: !!this.domManager?.dropdown
-        });
-
-        if (this.domManager?.dropdown) {
-            this.domManager.debugDropdown();
-        }
+            availableCountries: this.getAvailableCountries().length,
+            dropdown,
+            issues: dropdown ? dropdown.issues : ['NO_DROPDOWN']
+        };
     }
 
     /**
@@ -462,6 +557,8 @@ export default class CountryManager {
 
         if (options.geoIpLookup && typeof options.geoIpLookup === 'function') {
             options.geoIpLookup((countryCode) => {
+                if (this.isDestroyed) return;
+
                 if (countryCode && this.countries[countryCode.toLowerCase()]) {
                     this.selectCountry(countryCode.toLowerCase());
                 }
@@ -470,6 +567,8 @@ export default class CountryManager {
         }
 
         this.defaultGeoIpLookup((countryCode) => {
+            if (this.isDestroyed) return;
+
             if (countryCode && this.countries[countryCode.toLowerCase()]) {
                 this.selectCountry(countryCode.toLowerCase());
             }
@@ -480,18 +579,38 @@ export default class CountryManager {
      * GeoIP lookup padrão
      */
     defaultGeoIpLookup(callback) {
-        fetch("https://ipapi.co/json")
+        // Cancelada no destroy; a resposta tardia é ignorada pelo autoGeolocate
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        if (controller) {
+            this.disposer.add(() => controller.abort());
+        }
+
+        fetch("https://ipapi.co/json", { signal: controller?.signal })
             .then(res => res.json())
             .then(data => {
-                debug('GeoIP detected country:', data.country_code);
+                this.logger.debug('País detectado pelo GeoIP', data.country_code);
                 callback(data.country_code);
             })
             .catch((error) => {
-                debug('GeoIP lookup failed:', error);
+                this.logger.warn('Falha no GeoIP lookup', error);
                 callback('br');
             });
     }
 
+    /**
+     * Libera listeners (inclusive os de document e window), timers e a busca de GeoIP pendente
+     */
+    destroy() {
+        this.isDestroyed = true;
+        this.disposer.dispose();
+        this.typeahead = { query: '', cancel: null };
+        this.isDropdownVisible = false;
+        this.activeCountry = null;
+        this.onCountryChange = null;
+        this.onDropdownShow = null;
+        this.domManager = null;
+    }
+
     /**
      * Retorna o país selecionado
      */
@@ -500,22 +619,26 @@ export default class CountryManager {
     }
 
     /**
-     * Retorna dados do país selecionado
+     * Retorna dados do país selecionado, com o nome traduzido (localizedName) e o nome no idioma do país (nativeName)
      */
     getSelectedCountryData() {
-        return this.countries[this.selectedCountry];
-    }
+        const country = this.countries[this.selectedCountry];
+        if (!country) return country;
 
-    /**
-     * Ativa/desativa modo debug
-     */
-    setDebugMode(enabled) {
-        this.debugMode = enabled;
-        debug('Debug mode:', enabled ? 'ativado' : 'desativado');
+        return {
+            ...country,
+            localizedName: this.getCountryName(this.selectedCountry),
+            nativeName: getNativeName(this.selectedCountry, country)
+        };
     }
 
     /**
      * Callback para mudança de país (deve ser definido externamente)
      */
     onCountryChange = null;
+
+    /**
+     * Callback chamado depois que o dropdown abre e é desenhado (usado pelo modo diagnostics)
+     */
+    onDropdownShow = null;
 }
\ No newline at end of file
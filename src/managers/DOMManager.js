@@ -1,18 +1,72 @@
-import { debug } from '../utils/debug.js';
+import {
+    FLAG_MODES,
+    FLAG_SPRITE_ID,
+    getFlagEmoji,
+    getFlagImageUrl,
+    getFlagSprite,
+    getFlagSymbolId,
+    hasFlagSymbol
+} from '../utils/flags.js';
+import { createLogger } from '../utils/logger.js';
+import { STYLES_ID, THEMES, getStyles } from '../utils/styles.js';
 
 /**
  * DOMManager - Versão Robusta Anti-Conflito
  * Gerencia criação e manipulação de elementos DOM
  */
 
+/**
+ * Propriedades que, vindas do CSS da página, podem esconder ou deslocar o dropdown
+ */
+const CONFLICT_PROPERTIES = [
+    'display', 'visibility', 'opacity', 'position', 'z-index', 'transform',
+    'overflow', 'max-height', 'height', 'pointer-events', 'clip-path'
+];
+
+/**
+ * Atributos do input que o plugin altera (classes, placeholder, estado de validação), restaurados no destroy
+ */
+const INPUT_ATTRIBUTES = ['class', 'placeholder', 'aria-invalid'];
+
+/**
+ * Regras de estilo de uma lista de regras, entrando em @media e @supports
+ */
+const collectStyleRules = (rules) => Array.from(rules || []).flatMap((rule) => {
+    if (rule.selectorText) return [rule];
+    return rule.cssRules ? collectStyleRules(rule.cssRules) : [];
+});
+
+/**
+ * Verifica se o elemento casa com o seletor (seletores que o navegador não entende não casam)
+ */
+const matchesSelector = (element, selector) => {
+    try {
+        return element.matches(selector);
+    } catch (error) {
+        return false;
+    }
+};
+
 export default class DOMManager {
-    constructor(input, countries) {
+    constructor(input, countries, flagOptions = {}, logger = createLogger(false), styleOptions = {}) {
         this.input = input;
         this.countries = countries;
+        this.flagOptions = { flags: 'image', flagUrl: null, ...flagOptions };
+        this.styleOptions = { theme: 'light', injectStyles: true, ...styleOptions };
+        this.logger = logger;
+        this.root = null;
         this.wrapper = null;
         this.countryContainer = null;
         this.countryButton = null;
         this.dropdown = null;
+        this.listbox = null;
+        this.searchInput = null;
+        this.noResults = null;
+        this.suggestion = null;
+        this.hiddenInputs = {};
+        this.originalConstraints = null;
+        this.originalAttributes = null;
+        this.selectorLabel = 'Select country';
         this.uniqueId = 'tax-dropdown-' + Math.random().toString(36).substr(2, 9);
     }
 
@@ -20,6 +74,13 @@ export default class DOMManager {
      * Cria a estrutura DOM do plugin
      */
     createWrapper() {
+        const root = this.input.getRootNode?.();
+        this.root = root && root.nodeType === Node.DOCUMENT_FRAGMENT_NODE ? root : document;
+
+        this.originalAttributes = Object.fromEntries(INPUT_ATTRIBUTES.map(attribute => {
+            return [attribute, this.input.getAttribute(attribute)];
+        }));
+
         this.wrapper = document.createElement('div');
         this.wrapper.className = 'tax-document-input';
 
@@ -27,369 +88,681 @@ export default class DOMManager {
         this.wrapper.appendChild(this.input);
         this.input.className += ' tax-document-input__field';
 
-        this.addStyles();
+        this.applyTheme(this.wrapper);
+
+        if (this.styleOptions.injectStyles) {
+            this.addStyles();
+        }
+    }
+
+    /**
+     * Indica se o input está numa shadow root (ex.: web component)
+     * Nesse caso o dropdown, o sprite e os estilos ficam na própria shadow root, e não no body e no head
+     */
+    isInShadowRoot() {
+        return this.root !== document;
+    }
+
+    /**
+     * Elemento com foco dentro da raiz do plugin (document.activeElement só enxerga o host da shadow root)
+     */
+    getActiveElement() {
+        return this.root.activeElement;
+    }
+
+    /**
+     * Marca o elemento com o tema (data-tdi-theme); sem tema (modo unstyled), remove a marcação
+     */
+    applyTheme(element) {
+        if (!element) return;
+
+        if (THEMES.includes(this.styleOptions.theme)) {
+            element.setAttribute('data-tdi-theme', this.styleOptions.theme);
+        } else {
+            element.removeAttribute('data-tdi-theme');
+        }
+    }
+
+    /**
+     * Troca o tema do wrapper, do dropdown (que fica no body) e da sugestão
+     */
+    setTheme(theme) {
+        this.styleOptions = { ...this.styleOptions, theme };
+        [this.wrapper, this.dropdown, this.suggestion].forEach(element => this.applyTheme(element));
     }
 
     /**
      * Cria o seletor de país com dropdown
+     * Segue o padrão ARIA combobox: o botão controla a listbox e indica a opção ativa com aria-activedescendant
+     * Com searchLabel, o dropdown ganha um campo de busca no topo (também um combobox da mesma listbox)
      */
-    createCountrySelector() {
+    createCountrySelector(label = this.selectorLabel, searchLabel = null) {
+        this.selectorLabel = label;
+
         this.countryContainer = document.createElement('div');
         this.countryContainer.className = 'tax-document-input__country';
 
         this.countryButton = document.createElement('button');
         this.countryButton.type = 'button';
         this.countryButton.className = 'tax-document-input__country-button';
+        this.countryButton.setAttribute('role', 'combobox');
+        this.countryButton.setAttribute('aria-haspopup', 'listbox');
+        this.countryButton.setAttribute('aria-expanded', 'false');
+        this.countryButton.setAttribute('aria-controls', `${this.uniqueId}-listbox`);
+        this.countryButton.setAttribute('aria-label', label);
 
         // Criar o dropdown com ID único para evitar conflitos
-        this.dropdown = document.createElement('ul');
+        this.dropdown = document.createElement('div');
         this.dropdown.className = 'tax-document-input__dropdown';
         this.dropdown.id = this.uniqueId;
         this.dropdown.setAttribute('data-tax-dropdown', 'true');
+        this.dropdown.hidden = true;
+        this.applyTheme(this.dropdown);
 
-        // ESTILOS INLINE CRÍTICOS para evitar conflitos de CSS
-        this.applyInlineStyles();
+        if (searchLabel) {
+            this.createSearch(searchLabel);
+        }
+
+        this.listbox = document.createElement('ul');
+        this.listbox.className = 'tax-document-input__list';
+        this.listbox.id = `${this.uniqueId}-listbox`;
+        this.listbox.setAttribute('role', 'listbox');
+        this.listbox.setAttribute('aria-label', label);
+        this.listbox.tabIndex = -1;
+        this.dropdown.appendChild(this.listbox);
+
+        // Mensagem exibida quando a busca não encontra nenhum país
+        this.noResults = document.createElement('div');
+        this.noResults.className = 'tax-document-input__no-results';
+        this.noResults.setAttribute('role', 'status');
+        this.noResults.hidden = true;
+        this.dropdown.appendChild(this.noResults);
 
         this.countryContainer.appendChild(this.countryButton);
-        document.body.appendChild(this.dropdown);
+        (this.isInShadowRoot() ? this.root : document.body).appendChild(this.dropdown);
         this.wrapper.insertBefore(this.countryContainer, this.input);
 
-        debug('Dropdown criado com ID único:', this.uniqueId);
-    }
-
-    /**
-     * Aplica estilos inline críticos que não podem ser sobrescritos
-     */
-    applyInlineStyles() {
-        const criticalStyles = {
-            position: 'fixed',
-            zIndex: '2147483647', // Máximo z-index possível
-            margin: '0',
-            padding: '0',
-            listStyle: 'none',
-            display: 'none',
-            backgroundColor: 'white',
-            border: '1px solid #ccc',
-            borderRadius: '4px',
-            boxShadow: '0 4px 12px rgba(0,0,0,0.15)',
-            maxHeight: '200px',
-            overflowY: 'auto',
-            minWidth: '150px',
-            opacity: '1',
-            visibility: 'visible',
-            pointerEvents: 'auto',
-            fontSize: '14px',
-            fontFamily: 'Arial, sans-serif',
-            boxSizing: 'border-box'
-        };
-
-        Object.assign(this.dropdown.style, criticalStyles);
+        this.logger.debug('Dropdown criado', this.uniqueId);
     }
 
     /**
-     * Força a exibição do dropdown com estilos inline
+     * Cria o campo de busca no topo do dropdown
      */
-    forceShowDropdown() {
-        const forceStyles = {
-            display: 'block !important',
-            position: 'fixed !important',
-            zIndex: '2147483647 !important',
-            backgroundColor: 'white !important',
-            border: '2px solid #007bff !important',
-            visibility: 'visible !important',
-            opacity: '1 !important',
-            pointerEvents: 'auto !important'
-        };
-
-        // Aplicar via cssText para garantir !important
-        let cssText = '';
-        Object.entries(forceStyles).forEach(([prop, value]) => {
-            const cssProp = prop.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
-            cssText += `${cssProp}: ${value}; `;
-        });
+    createSearch(searchLabel) {
+        const container = document.createElement('div');
+        container.className = 'tax-document-input__search';
+
+        this.searchInput = document.createElement('input');
+        this.searchInput.type = 'search';
+        this.searchInput.className = 'tax-document-input__search-input';
+        this.searchInput.autocomplete = 'off';
+        this.searchInput.placeholder = searchLabel;
+        this.searchInput.setAttribute('role', 'combobox');
+        this.searchInput.setAttribute('aria-autocomplete', 'list');
+        this.searchInput.setAttribute('aria-expanded', 'false');
+        this.searchInput.setAttribute('aria-controls', `${this.uniqueId}-listbox`);
+        this.searchInput.setAttribute('aria-label', searchLabel);
+
+        container.appendChild(this.searchInput);
+        this.dropdown.appendChild(container);
+    }
 
-        this.dropdown.style.cssText += cssText;
+    /**
+     * Exibe ou esconde o dropdown pelo atributo hidden (funciona também sem a folha de estilos)
+     */
+    setDropdownVisible(visible) {
+        this.dropdown.hidden = !visible;
+    }
 
-        debug('Estilos forçados aplicados:', cssText);
+    /**
+     * Posiciona o dropdown pelas propriedades --tdi-dropdown-* (usadas pela folha de estilos ou pelo CSS da página)
+     */
+    setDropdownPosition({ top, left, width, maxHeight }) {
+        this.dropdown.style.setProperty('--tdi-dropdown-top', `${top}px`);
+        this.dropdown.style.setProperty('--tdi-dropdown-left', `${left}px`);
+        this.dropdown.style.setProperty('--tdi-dropdown-width', `${width}px`);
+        this.dropdown.style.setProperty('--tdi-dropdown-max-height', `${maxHeight}px`);
     }
 
     /**
      * Popula o dropdown com países disponíveis
+     * names traz o nome traduzido de cada país; sem ele, usa o nome de CountriesData
+     * Os primeiros preferredCount países (preferidos) ficam separados do resto da lista
      */
-    populateCountries(availableCountries, onCountrySelect) {
-        debug('DOMManager: populateCountries chamado com:', availableCountries);
+    populateCountries(availableCountries, onCountrySelect, names = {}, preferredCount = 0) {
+        this.listbox.innerHTML = '';
 
-        this.dropdown.innerHTML = '';
+        availableCountries.forEach((countryCode, index) => {
+            if (index === preferredCount && preferredCount > 0) {
+                this.listbox.appendChild(this.createSeparator());
+            }
 
-        availableCountries.forEach(countryCode => {
             if (this.countries[countryCode]) {
                 const country = this.countries[countryCode];
-                debug('Criando item para país:', country.name);
+                const name = this.escapeHtml(names[countryCode] || country.name);
 
                 const li = document.createElement('li');
                 li.className = 'tax-document-input__dropdown-item';
+                li.id = this.getOptionId(countryCode);
                 li.setAttribute('data-country', countryCode);
-
-                // Estilos inline para os itens também
-                Object.assign(li.style, {
-                    padding: '8px 12px',
-                    cursor: 'pointer',
-                    display: 'flex',
-                    alignItems: 'center',
-                    gap: '8px',
-                    backgroundColor: 'white',
-                    borderBottom: '1px solid #eee',
-                    fontSize: '14px',
-                    color: '#333',
-                    boxSizing: 'border-box'
-                });
+                li.setAttribute('role', 'option');
+                li.setAttribute('aria-selected', 'false');
 
                 li.innerHTML = `
-                    <img src="${country.flag}" alt="${country.name}"
-                         style="width: 20px; height: 15px; object-fit: cover; border-radius: 2px;" />
-                    <span style="font-size: 14px; color: #333;">${country.name}</span>
+                    ${this.renderFlag(countryCode, country)}
+                    <span class="tax-document-input__country-name">${name}</span>
                 `;
+                this.bindFlagFallback(li);
 
                 // Event listener com prevenção de propagação
                 li.addEventListener('click', (e) => {
                     e.preventDefault();
                     e.stopPropagation();
                     e.stopImmediatePropagation();
-                    debug('Item clicado:', countryCode);
                     if (onCountrySelect) {
                         onCountrySelect(countryCode);
                     }
                 });
 
-                // Hover effect inline
-                li.addEventListener('mouseenter', () => {
-                    li.style.backgroundColor = '#f5f5f5';
-                });
+                this.listbox.appendChild(li);
+            }
+        });
 
-                li.addEventListener('mouseleave', () => {
-                    li.style.backgroundColor = 'white';
-                });
+        this.logger.debug('Itens criados no dropdown', this.listbox.children.length);
+    }
 
-                this.dropdown.appendChild(li);
-            }
+    /**
+     * Cria o separador entre os países preferidos e o resto da lista
+     * Fica fora da árvore de acessibilidade: a listbox só expõe as opções
+     */
+    createSeparator() {
+        const separator = document.createElement('li');
+        separator.className = 'tax-document-input__separator';
+        separator.setAttribute('aria-hidden', 'true');
+
+        return separator;
+    }
+
+    /**
+     * Exibe apenas os países informados (busca); null exibe todos
+     * O separador dos preferidos só aparece com a lista completa
+     */
+    filterOptions(countryCodes, noResultsMessage = '') {
+        const visible = countryCodes ? new Set(countryCodes) : null;
+
+        this.listbox.querySelectorAll('[role="option"]').forEach(option => {
+            option.hidden = visible ? !visible.has(option.getAttribute('data-country')) : false;
+        });
+
+        const separator = this.listbox.querySelector('.tax-document-input__separator');
+        if (separator) {
+            separator.hidden = Boolean(visible);
+        }
+
+        this.noResults.hidden = !visible || visible.size > 0;
+        this.noResults.textContent = this.noResults.hidden ? '' : noResultsMessage;
+    }
+
+    /**
+     * Retorna o texto digitado na busca
+     */
+    getSearchQuery() {
+        return this.searchInput ? this.searchInput.value : '';
+    }
+
+    /**
+     * Limpa a busca e exibe a lista completa
+     */
+    clearSearch() {
+        if (this.searchInput) {
+            this.searchInput.value = '';
+        }
+
+        this.filterOptions(null);
+    }
+
+    /**
+     * Retorna o ID do item de um país no dropdown (usado em aria-activedescendant)
+     */
+    getOptionId(countryCode) {
+        return `${this.uniqueId}-${countryCode}`;
+    }
+
+    /**
+     * Retorna os códigos dos países na ordem exibida no dropdown
+     * Sem includeHidden, ignora os ocultos pela busca
+     */
+    getOptionCodes(includeHidden = false) {
+        const selector = includeHidden ? '[role="option"]' : '[role="option"]:not([hidden])';
+
+        return Array.from(this.listbox.querySelectorAll(selector))
+            .map(option => option.getAttribute('data-country'));
+    }
+
+    /**
+     * Atualiza aria-expanded do botão; ao fechar, remove a opção ativa
+     */
+    setExpanded(expanded) {
+        this.countryButton.setAttribute('aria-expanded', String(expanded));
+        this.searchInput?.setAttribute('aria-expanded', String(expanded));
+
+        if (!expanded) {
+            this.setActiveOption(null);
+        }
+    }
+
+    /**
+     * Destaca a opção ativa (navegação por teclado) e a anuncia com aria-activedescendant
+     */
+    setActiveOption(countryCode) {
+        this.listbox.querySelectorAll('[data-active="true"]').forEach(option => {
+            option.removeAttribute('data-active');
+        });
+
+        const option = countryCode ? this.root.getElementById(this.getOptionId(countryCode)) : null;
+
+        const controls = [this.countryButton, this.searchInput].filter(Boolean);
+
+        if (!option) {
+            controls.forEach(control => control.removeAttribute('aria-activedescendant'));
+            return;
+        }
+
+        option.setAttribute('data-active', 'true');
+        option.scrollIntoView?.({ block: 'nearest' });
+        controls.forEach(control => control.setAttribute('aria-activedescendant', option.id));
+    }
+
+    /**
+     * Marca a opção do país selecionado com aria-selected
+     */
+    setSelectedOption(countryCode) {
+        this.listbox.querySelectorAll('[role="option"]').forEach(option => {
+            option.setAttribute('aria-selected', String(option.getAttribute('data-country') === countryCode));
         });
+    }
+
+    /**
+     * Define o rótulo acessível do seletor (ex.: "Select country") e o da busca
+     */
+    setSelectorLabel(label, searchLabel = null) {
+        this.selectorLabel = label;
+        this.listbox?.setAttribute('aria-label', label);
+
+        if (this.searchInput && searchLabel) {
+            this.searchInput.placeholder = searchLabel;
+            this.searchInput.setAttribute('aria-label', searchLabel);
+        }
+    }
+
+    /**
+     * Devolve o foco ao campo do documento
+     */
+    focusInput() {
+        this.input.focus();
+    }
 
-        debug('Total de itens criados no dropdown:', this.dropdown.children.length);
+    /**
+     * Escapa um texto para uso em HTML (nomes vindos de substituições do usuário)
+     */
+    escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
     }
 
     /**
      * Atualiza a bandeira exibida no botão
      */
-    updateSelectedCountry(country) {
+    updateSelectedCountry(country, name = country?.name) {
         if (country) {
+            this.countryButton.setAttribute('aria-label', `${this.selectorLabel}: ${name}`);
             this.countryButton.innerHTML = `
-                <img src="${country.flag}" alt="${country.name}"
-                     style="width: 20px; height: 15px; object-fit: cover; border-radius: 2px;" />
-                <span style="font-size: 10px; color: #666;">▼</span>
+                ${this.renderFlag(country.iso2, country, name)}
+                <span class="tax-document-input__arrow" aria-hidden="true">▼</span>
             `;
+            this.bindFlagFallback(this.countryButton);
         }
     }
 
+    /**
+     * Define a estratégia das bandeiras ({ flags: 'image'|'sprite'|'emoji', flagUrl })
+     */
+    setFlagOptions(flagOptions = {}) {
+        this.flagOptions = { ...this.flagOptions, ...flagOptions };
+    }
+
+    /**
+     * Retorna a marcação da bandeira do país conforme a estratégia configurada
+     * alt vazio deixa a bandeira fora da árvore de acessibilidade (o nome já aparece ao lado)
+     */
+    renderFlag(countryCode, country, alt = '') {
+        const { flags, flagUrl } = this.flagOptions;
+        const mode = FLAG_MODES.includes(flags) ? flags : 'image';
+
+        if (mode === 'image') {
+            const src = getFlagImageUrl(countryCode, country, flagUrl);
+
+            if (src) {
+                return `<img class="tax-document-input__flag" src="${this.escapeHtml(src)}" alt="${this.escapeHtml(alt)}"
+                     data-flag="${this.escapeHtml(countryCode)}" />`;
+            }
+        }
+
+        if (mode === 'emoji' && getFlagEmoji(countryCode)) {
+            return this.renderEmojiFlag(countryCode, alt);
+        }
+
+        return this.renderFallbackFlag(countryCode, alt);
+    }
+
+    /**
+     * Bandeira sem imagem remota: sprite embutido, emoji ou, em último caso, o código do país
+     */
+    renderFallbackFlag(countryCode, alt = '') {
+        if (hasFlagSymbol(countryCode)) {
+            return this.renderSpriteFlag(countryCode, alt);
+        }
+
+        if (getFlagEmoji(countryCode)) {
+            return this.renderEmojiFlag(countryCode, alt);
+        }
+
+        return `<span class="tax-document-input__flag tax-document-input__flag--code" ${this.getFlagA11y(alt)}>${this.escapeHtml(countryCode.toUpperCase())}</span>`;
+    }
+
+    /**
+     * Bandeira do sprite SVG embutido (injetado uma vez por página)
+     */
+    renderSpriteFlag(countryCode, alt = '') {
+        this.ensureFlagSprite();
+
+        return `<svg class="tax-document-input__flag" width="20" height="15" ${this.getFlagA11y(alt)}><use href="#${getFlagSymbolId(countryCode)}"></use></svg>`;
+    }
+
+    /**
+     * Bandeira em emoji (indicadores regionais)
+     */
+    renderEmojiFlag(countryCode, alt = '') {
+        return `<span class="tax-document-input__flag tax-document-input__flag--emoji" ${this.getFlagA11y(alt)}>${getFlagEmoji(countryCode)}</span>`;
+    }
+
+    /**
+     * Atributos de acessibilidade de bandeiras que não são <img>
+     */
+    getFlagA11y(alt) {
+        return alt ? `role="img" aria-label="${this.escapeHtml(alt)}"` : 'aria-hidden="true"';
+    }
+
+    /**
+     * Injeta o sprite de bandeiras no documento (ou na shadow root), se ainda não existir
+     */
+    ensureFlagSprite() {
+        if (!this.root.getElementById(FLAG_SPRITE_ID)) {
+            const template = document.createElement('template');
+            template.innerHTML = getFlagSprite();
+            (this.isInShadowRoot() ? this.root : document.body).prepend(template.content);
+        }
+    }
+
+    /**
+     * Remove o sprite de bandeiras quando nenhuma bandeira do documento (ou da shadow root) o usa mais
+     */
+    removeUnusedFlagSprite() {
+        const sprite = this.root.getElementById(FLAG_SPRITE_ID);
+
+        if (sprite && !this.root.querySelector(`use[href^="#${FLAG_SPRITE_ID}-"]`)) {
+            sprite.remove();
+        }
+    }
+
+    /**
+     * Troca as imagens de bandeira que falharem (sem internet, CSP, URL inválida) pela bandeira offline
+     */
+    bindFlagFallback(container) {
+        container.querySelectorAll('img[data-flag]').forEach(img => {
+            img.addEventListener('error', () => {
+                img.outerHTML = this.renderFallbackFlag(img.getAttribute('data-flag'), img.alt);
+            }, { once: true });
+        });
+    }
+
     /**
      * Adiciona classe de estado de validação no input
      */
     setValidationState(isValid) {
         this.input.classList.remove('tax-document-input--valid', 'tax-document-input--invalid');
+        this.input.removeAttribute('aria-invalid');
 
         if (isValid === true) {
             this.input.classList.add('tax-document-input--valid');
         } else if (isValid === false) {
             this.input.classList.add('tax-document-input--invalid');
+            this.input.setAttribute('aria-invalid', 'true');
         }
     }
 
     /**
-     * Remove o plugin e restaura o input original
+     * Exibe a sugestão de correção abaixo do campo ("Did you mean 123.456.789-09?")
+     * A mensagem traduzida tem o marcador {value}, substituído por um botão; onAccept é chamado ao clicar nele
      */
-    destroy() {
-        // Remover dropdown do body
-        if (this.dropdown && document.body.contains(this.dropdown)) {
-            document.body.removeChild(this.dropdown);
-        }
+    showSuggestion(message, value, onAccept) {
+        this.hideSuggestion();
+
+        this.suggestion = document.createElement('div');
+        this.suggestion.className = 'tax-document-input__suggestion';
+        this.suggestion.setAttribute('role', 'status');
+        this.applyTheme(this.suggestion);
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'tax-document-input__suggestion-value';
+        button.textContent = value;
+        button.addEventListener('click', (e) => {
+            e.preventDefault();
+            onAccept?.();
+        });
 
-        if (this.wrapper && this.wrapper.parentNode) {
-            this.wrapper.parentNode.insertBefore(this.input, this.wrapper);
-            this.wrapper.remove();
-        }
+        const [before, after = ''] = message.split('{value}');
+        this.suggestion.append(before, button, after);
+        this.wrapper.parentNode.insertBefore(this.suggestion, this.wrapper.nextSibling);
+    }
 
-        this.input.className = this.input.className.replace('tax-document-input__field', '');
-        this.input.classList.remove('tax-document-input--valid', 'tax-document-input--invalid');
+    /**
+     * Remove a sugestão de correção, se houver
+     */
+    hideSuggestion() {
+        this.suggestion?.remove();
+        this.suggestion = null;
     }
 
     /**
-     * Adiciona os estilos CSS do plugin - Versão Robusta
+     * Cria os campos ocultos enviados com o formulário (ex.: { value: 'tax_id', country: 'tax_country' })
+     * Copia o atributo form do input, para funcionar também com inputs fora do <form>
      */
-    addStyles() {
-        if (document.getElementById('tax-document-input-styles')) return;
+    createHiddenInputs(names = {}) {
+        this.removeHiddenInputs();
 
-        const style = document.createElement('style');
-        style.id = 'tax-document-input-styles';
-
-        // CSS com especificidade alta e !important onde necessário
-        style.textContent = `
-            /* Reset e estilos base */
-            .tax-document-input {
-                width: 100% !important;
-                position: relative !important;
-                display: inline-flex !important;
-                align-items: center !important;
-                border: 1px solid #ccc !important;
-                border-radius: 4px !important;
-                background: white !important;
-                font-family: Arial, sans-serif !important;
-                box-sizing: border-box !important;
-            }
+        Object.entries(names).forEach(([field, name]) => {
+            if (!name) return;
 
-            .tax-document-input__country {
-                position: relative !important;
-                display: inline-block !important;
-            }
+            const hidden = document.createElement('input');
+            hidden.type = 'hidden';
+            hidden.name = name;
+            hidden.className = `tax-document-input__hidden tax-document-input__hidden--${field}`;
 
-            .tax-document-input__country-button {
-                background: none !important;
-                border: none !important;
-                padding: 8px 12px !important;
-                cursor: pointer !important;
-                display: flex !important;
-                align-items: center !important;
-                gap: 5px !important;
-                border-right: 1px solid #eee !important;
-                box-sizing: border-box !important;
-                font-family: inherit !important;
-                font-size: 14px !important;
+            if (this.input.hasAttribute('form')) {
+                hidden.setAttribute('form', this.input.getAttribute('form'));
             }
 
-            .tax-document-input__country-button:hover {
-                background-color: #f5f5f5 !important;
-            }
+            this.wrapper.appendChild(hidden);
+            this.hiddenInputs[field] = hidden;
+        });
+    }
 
-            .tax-document-input__field {
-                border: none !important;
-                outline: none !important;
-                padding: 8px 12px !important;
-                font-size: 14px !important;
-                flex: 1 !important;
-                min-width: 200px !important;
-                transition: border-color 0.2s ease !important;
-                box-sizing: border-box !important;
-                font-family: inherit !important;
-                background: transparent !important;
-            }
+    /**
+     * Atualiza os valores dos campos ocultos ({ value, country, documentType })
+     */
+    updateHiddenInputs(values = {}) {
+        Object.entries(this.hiddenInputs).forEach(([field, hidden]) => {
+            hidden.value = values[field] || '';
+        });
+    }
 
-            .tax-document-input__field:focus {
-                outline: none !important;
-                box-shadow: none !important;
-            }
+    /**
+     * Remove os campos ocultos
+     */
+    removeHiddenInputs() {
+        Object.values(this.hiddenInputs).forEach(hidden => hidden.remove());
+        this.hiddenInputs = {};
+    }
 
-            /* Estados de validação */
-            .tax-document-input--valid {
-                border-color: #28a745 !important;
-                box-shadow: 0 0 0 2px rgba(40, 167, 69, 0.2) !important;
-            }
+    /**
+     * Atualiza os atributos de validação nativa do input ({ minLength, maxLength, pattern })
+     * Valores nulos removem o atributo; os valores originais são guardados para o destroy
+     */
+    setConstraints(constraints = {}) {
+        if (!this.originalConstraints) {
+            this.originalConstraints = {};
+            ['minlength', 'maxlength', 'pattern'].forEach(attribute => {
+                this.originalConstraints[attribute] = this.input.getAttribute(attribute);
+            });
+        }
 
-            .tax-document-input--invalid {
-                border-color: #dc3545 !important;
-                box-shadow: 0 0 0 2px rgba(220, 53, 69, 0.2) !important;
-            }
+        const attributes = {
+            minlength: constraints.minLength,
+            maxlength: constraints.maxLength,
+            pattern: constraints.pattern
+        };
 
-            /* Dropdown - Máxima especificidade */
-            ul.tax-document-input__dropdown[data-tax-dropdown="true"] {
-                position: fixed !important;
-                background: white !important;
-                border: 1px solid #ccc !important;
-                border-radius: 4px !important;
-                max-height: 200px !important;
-                overflow-y: auto !important;
-                z-index: 2147483647 !important;
-                margin: 0 !important;
-                padding: 0 !important;
-                list-style: none !important;
-                box-shadow: 0 4px 12px rgba(0,0,0,0.15) !important;
-                min-width: 150px !important;
-                opacity: 1 !important;
-                visibility: visible !important;
-                pointer-events: auto !important;
-                font-family: Arial, sans-serif !important;
-                font-size: 14px !important;
-                box-sizing: border-box !important;
-                display: none !important;
+        Object.entries(attributes).forEach(([attribute, value]) => {
+            if (value === null || value === undefined) {
+                this.input.removeAttribute(attribute);
+            } else {
+                this.input.setAttribute(attribute, String(value));
             }
+        });
+    }
 
-            /* Quando visível - usar atributo para maior especificidade */
-            ul.tax-document-input__dropdown[data-tax-dropdown="true"][data-visible="true"] {
-                display: block !important;
-            }
+    /**
+     * Define a mensagem da validação nativa (vazia = válido), usada por checkValidity() e pelo envio do formulário
+     */
+    setCustomValidity(message) {
+        this.input.setCustomValidity?.(message || '');
+    }
 
-            /* Items do dropdown */
-            ul.tax-document-input__dropdown[data-tax-dropdown="true"] > li.tax-document-input__dropdown-item {
-                padding: 8px 12px !important;
-                cursor: pointer !important;
-                display: flex !important;
-                align-items: center !important;
-                gap: 8px !important;
-                background: white !important;
-                border-bottom: 1px solid #eee !important;
-                font-size: 14px !important;
-                color: #333 !important;
-                box-sizing: border-box !important;
-                list-style: none !important;
-                margin: 0 !important;
-            }
+    /**
+     * Restaura os atributos de validação originais e limpa a mensagem nativa
+     */
+    restoreConstraints() {
+        this.setCustomValidity('');
 
-            ul.tax-document-input__dropdown[data-tax-dropdown="true"] > li.tax-document-input__dropdown-item:hover {
-                background-color: #f5f5f5 !important;
-            }
+        if (!this.originalConstraints) return;
 
-            ul.tax-document-input__dropdown[data-tax-dropdown="true"] > li.tax-document-input__dropdown-item:last-child {
-                border-bottom: none !important;
+        Object.entries(this.originalConstraints).forEach(([attribute, value]) => {
+            if (value === null) {
+                this.input.removeAttribute(attribute);
+            } else {
+                this.input.setAttribute(attribute, value);
             }
+        });
+        this.originalConstraints = null;
+    }
 
-            /* Reset de possíveis conflitos */
-            .tax-document-input *,
-            .tax-document-input *::before,
-            .tax-document-input *::after {
-                box-sizing: border-box !important;
-            }
+    /**
+     * Retorna o primeiro campo inválido do formulário (validação nativa), ou o próprio input
+     */
+    getFirstInvalidField(form) {
+        const fields = Array.from(form?.elements || []);
+        return fields.find(field => field.willValidate && !field.validity.valid) || this.input;
+    }
+
+    /**
+     * Remove o plugin e restaura o input original
+     */
+    destroy() {
+        this.hideSuggestion();
+        this.removeHiddenInputs();
+        this.restoreConstraints();
 
-            /* Sobrescrever Bootstrap, Tailwind, etc. */
-            .tax-document-input .dropdown,
-            .tax-document-input .dropdown-menu,
-            .tax-document-input .dropdown-item {
-                position: static !important;
-                display: block !important;
-                border: none !important;
-                margin: 0 !important;
-                padding: 8px 12px !important;
-                background: transparent !important;
-                box-shadow: none !important;
-                transform: none !important;
+        // Remover dropdown do body (ou de onde estiver, se já tiver sido movido)
+        this.dropdown?.remove();
+        this.dropdown = null;
+        this.listbox = null;
+
+        if (this.wrapper && this.wrapper.parentNode) {
+            this.wrapper.parentNode.insertBefore(this.input, this.wrapper);
+            this.wrapper.remove();
+        }
+
+        this.removeUnusedFlagSprite();
+        this.restoreAttributes();
+    }
+
+    /**
+     * Devolve ao input os atributos que ele tinha antes do plugin (remove os que não existiam)
+     */
+    restoreAttributes() {
+        if (!this.originalAttributes) return;
+
+        Object.entries(this.originalAttributes).forEach(([attribute, value]) => {
+            if (value === null) {
+                this.input.removeAttribute(attribute);
+            } else {
+                this.input.setAttribute(attribute, value);
             }
-        `;
+        });
+        this.originalAttributes = null;
+    }
+
+    /**
+     * Injeta a folha de estilos do plugin (uma vez por página ou shadow root); os valores visuais vêm das propriedades --tdi-*
+     */
+    addStyles() {
+        if (this.root.getElementById(STYLES_ID)) return;
 
-        document.head.appendChild(style);
-        debug('Estilos CSS robustos adicionados');
+        const style = document.createElement('style');
+        style.id = STYLES_ID;
+        style.textContent = getStyles();
+
+        (this.isInShadowRoot() ? this.root : document.head).appendChild(style);
     }
 
     /**
-     * Debug completo do dropdown
+     * Relatório do dropdown: estilos calculados, posição, regras de CSS da página que o afetam e problemas
+     * Com expectVisible (dropdown aberto), aponta também se ele está escondido, sem tamanho ou fora da tela
      */
-    debugDropdown() {
-        debug('=== DEBUG DROPDOWN COMPLETO ===');
-        debug('Dropdown existe:', !!this.dropdown);
-        debug('Dropdown no DOM:', document.body.contains(this.dropdown));
-        debug('Dropdown ID:', this.dropdown?.id);
-        debug('Dropdown classes:', this.dropdown?.className);
+    getDropdownDiagnostics(expectVisible = true) {
+        if (!this.dropdown) return null;
+
+        const computed = getComputedStyle(this.dropdown);
+        const rect = this.dropdown.getBoundingClientRect();
+        const viewportWidth = window.innerWidth || document.documentElement.clientWidth;
+        const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+        const attached = this.dropdown.isConnected;
+        const inViewport = rect.top >= 0 && rect.left >= 0 && rect.bottom <= viewportHeight && rect.right <= viewportWidth;
+        const conflicts = this.findStyleConflicts();
+        const issues = [];
+
+        if (!attached) issues.push('NOT_ATTACHED');
+
+        if (expectVisible) {
+            if (computed.display === 'none' || computed.visibility === 'hidden' || computed.opacity === '0') {
+                issues.push('HIDDEN');
+            }
+
+            if (rect.width === 0 || rect.height === 0) {
+                issues.push('ZERO_SIZE');
+            } else if (!inViewport) {
+                issues.push('OUT_OF_VIEWPORT');
+            }
+        }
 
-        if (this.dropdown) {
-            const computed = getComputedStyle(this.dropdown);
-            const rect = this.dropdown.getBoundingClientRect();
+        if (conflicts.length > 0) issues.push('CSS_CONFLICT');
 
-            debug('Computed styles:', {
+        return {
+            id: this.uniqueId,
+            attached,
+            items: this.listbox ? this.listbox.querySelectorAll('[role="option"]').length : 0,
+            styles: {
                 display: computed.display,
                 position: computed.position,
                 zIndex: computed.zIndex,
@@ -399,28 +772,62 @@ export default class DOMManager {
                 left: computed.left,
                 width: computed.width,
                 height: computed.height
-            });
+            },
+            rect: { top: rect.top, left: rect.left, width: rect.width, height: rect.height },
+            inViewport,
+            conflicts,
+            issues
+        };
+    }
 
-            debug('Bounding rect:', rect);
-            debug('Style cssText:', this.dropdown.style.cssText);
-
-            // Verificar conflitos
-            const allRules = [];
-            for (let stylesheet of document.styleSheets) {
-                try {
-                    for (let rule of stylesheet.cssRules || stylesheet.rules) {
-                        if (rule.selectorText && rule.selectorText.includes('dropdown')) {
-                            allRules.push(rule.cssText);
-                        }
-                    }
-                } catch (e) {
-                    // Ignorar erros de CORS
-                }
+    /**
+     * Regras de CSS da página (fora dos estilos do plugin) que casam com o dropdown, a lista ou os itens
+     * e mudam propriedades de exibição; folhas de outra origem (CORS) não podem ser lidas e ficam de fora
+     */
+    findStyleConflicts() {
+        const targets = {
+            dropdown: this.dropdown,
+            list: this.listbox,
+            item: this.listbox?.querySelector('.tax-document-input__dropdown-item')
+        };
+        const conflicts = [];
+
+        const sheets = Array.from(this.root.querySelectorAll('style, link[rel="stylesheet"]'))
+            .filter(node => node.id !== STYLES_ID && node.sheet)
+            .map(node => node.sheet);
+
+        sheets.forEach((sheet) => {
+            let rules = [];
+            try {
+                rules = collectStyleRules(sheet.cssRules);
+            } catch (error) {
+                return;
             }
 
-            if (allRules.length > 0) {
-                debug('Regras CSS conflitantes encontradas:', allRules);
-            }
-        }
+            rules.forEach((rule) => {
+                const properties = {};
+                CONFLICT_PROPERTIES.forEach((property) => {
+                    const value = rule.style.getPropertyValue(property);
+                    if (value) {
+                        properties[property] = rule.style.getPropertyPriority(property) ? `${value} !important` : value;
+                    }
+                });
+
+                if (Object.keys(properties).length === 0) return;
+
+                Object.entries(targets).forEach(([element, target]) => {
+                    if (target && matchesSelector(target, rule.selectorText)) {
+                        conflicts.push({
+                            element,
+                            selector: rule.selectorText,
+                            properties,
+                            source: sheet.href || 'inline'
+                        });
+                    }
+                });
+            });
+        });
+
+        return conflicts;
     }
-}
\ No newline at end of file
+}
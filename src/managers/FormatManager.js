@@ -2,79 +2,126 @@
  * FormatManager - Gerencia formatação e máscaras de documentos
  */
 
+import { ValidatorInstance } from '../validators/Validator.js';
+import { isDocumentAllowed } from '../utils/documents.js';
+import { countMaskTokens } from '../utils/mask.js';
+import Disposer from '../utils/disposer.js';
+import {
+    cleanValue,
+    fitsMask,
+    applyMask,
+    getAllowedDocuments,
+    getMaxLength,
+    detectDocumentType,
+    formatValue,
+    getFormatConstraints
+} from '../utils/format.js';
+
 export default class FormatManager {
-    constructor(input, countries) {
+    constructor(input, countries, restrictions = {}, mode = 'document') {
         this.input = input;
         this.countries = countries;
+        this.restrictions = restrictions;
+        this.mode = mode;
+        this.validator = ValidatorInstance;
         this.selectedCountry = 'br';
         this.currentDocument = null;
+        this.forcedDocument = null;
+        this.disposer = new Disposer();
     }
 
     /**
-     * Detecta o tipo de documento baseado no comprimento atual
+     * Retorna os documentos permitidos do país atual, ordenados por prioridade
      */
-    detectDocumentType() {
-        const value = this.input.value.replace(/\D/g, '');
-        const country = this.countries[this.selectedCountry];
-        
-        if (!country) return;
-
-        // Ordenar documentos por prioridade (menor primeiro)
-        const documents = Object.entries(country.documents).sort((a, b) => {
-            return a[1].priority - b[1].priority;
-        });
-
-        // Se o valor está vazio, usar o primeiro documento (menor prioridade)
-        if (value.length === 0) {
-            this.currentDocument = documents[0][0];
-            return;
-        }
+    getAvailableDocuments() {
+        return getAllowedDocuments(this.countries[this.selectedCountry], this.restrictions);
+    }
 
-        // Determinar qual tipo de documento baseado no comprimento atual
-        for (const [docType, docConfig] of documents) {
-            if (value.length <= docConfig.length) {
-                this.currentDocument = docType;
-                return;
-            }
-        }
+    /**
+     * Opções de detecção da instância (restrições, tipo escolhido e dicas de conteúdo)
+     */
+    getDetectionOptions() {
+        return {
+            restrictions: this.restrictions,
+            forcedDocument: this.forcedDocument,
+            isPlausible: (value, docType) => this.validator.isPlausible(value, this.selectedCountry, docType)
+        };
+    }
 
-        // Se exceder todos os comprimentos, usar o último (maior)
-        this.currentDocument = documents[documents.length - 1][0];
+    /**
+     * Detecta o tipo de documento baseado no conteúdo e no comprimento atual
+     */
+    detectDocumentType(value = this.cleanValue(this.input.value)) {
+        this.currentDocument = detectDocumentType(
+            value,
+            this.countries[this.selectedCountry],
+            this.getDetectionOptions()
+        );
     }
 
     /**
      * Retorna o comprimento máximo para o país atual
      */
     getMaxLength() {
+        return getMaxLength(this.countries[this.selectedCountry], this.getDetectionOptions());
+    }
+
+    /**
+     * Restrições do valor formatado para a validação nativa (minlength, maxlength e pattern)
+     * minlength e pattern seguem o documento ativo; maxlength cobre o maior documento aceito,
+     * para não bloquear a digitação que passa de um documento a outro (ex.: de CPF para CNPJ)
+     */
+    getFormatConstraints() {
         const country = this.countries[this.selectedCountry];
-        if (!country) return 0;
-        return Math.max(...Object.values(country.documents).map(doc => doc.length));
+        const docConfig = country?.documents[this.currentDocument];
+        const prefix = this.mode === 'vat' ? country?.vatPrefix || '' : '';
+
+        let candidates;
+        if (this.mode === 'vat') {
+            // O prefixo digitado pode trocar o país, então vale o maior número de IVA entre os países
+            candidates = Object.values(this.countries)
+                .filter(vatCountry => vatCountry.documents.vat)
+                .map(vatCountry => [vatCountry.documents.vat, vatCountry.vatPrefix]);
+        } else {
+            const documents = this.getAvailableDocuments();
+            const forced = documents.filter(([docType]) => docType === this.forcedDocument);
+
+            candidates = (forced.length > 0 ? forced : documents).map(([, doc]) => [doc, '']);
+        }
+
+        const maxLength = candidates.length > 0
+            ? Math.max(...candidates.map(([doc, docPrefix]) => getFormatConstraints(doc, docPrefix).maxLength))
+            : null;
+
+        if (!docConfig) {
+            return { minLength: null, maxLength, pattern: null };
+        }
+
+        const { minLength, pattern } = getFormatConstraints(docConfig, prefix);
+        return { minLength, maxLength, pattern };
     }
 
     /**
      * Formata o input em tempo real
      */
     formatInput(e) {
+        if (this.mode === 'vat') {
+            this.formatVatInput(e);
+            return;
+        }
+
         const input = e.target;
         const cursorPosition = input.selectionStart;
-        let value = input.value.replace(/\D/g, '');
-        
+
         const country = this.countries[this.selectedCountry];
         if (!country) return;
 
-        // Limitar ao tamanho máximo do país
-        const maxLength = this.getMaxLength();
-        value = value.substring(0, maxLength);
-
-        // Detectar tipo de documento baseado no comprimento atual
-        this.detectDocumentType();
+        // Limpar, limitar ao tamanho máximo, detectar o documento e aplicar a máscara
+        const { formatted, documentType } = formatValue(input.value, country, this.getDetectionOptions());
 
-        const docConfig = country.documents[this.currentDocument];
-        if (!docConfig) return;
+        this.currentDocument = documentType;
+        if (!documentType) return;
 
-        // Aplicar máscara
-        const formatted = this.applyMask(value, docConfig.mask);
-        
         // Calcular nova posição do cursor
         const newCursorPosition = this.calculateCursorPosition(
             input.value, 
@@ -86,41 +133,146 @@ export default class FormatManager {
         input.value = formatted;
         
         // Definir nova posição do cursor
-        setTimeout(() => {
+        this.disposer.timeout(() => {
             input.setSelectionRange(newCursorPosition, newCursorPosition);
         }, 0);
 
         // Notificar sobre mudança de formato
-        this.onFormatChange?.(value, this.currentDocument);
+        this.onFormatChange?.(this.cleanValue(formatted), this.currentDocument);
     }
 
     /**
-     * Aplica a máscara ao valor
+     * Formata o número de IVA (modo VAT), sempre com o prefixo do país (ex.: PT123456789)
+     * O prefixo digitado seleciona o país; sem prefixo, o número é do país selecionado
      */
-    applyMask(value, mask) {
-        let formatted = '';
-        let valueIndex = 0;
+    formatVatInput(e) {
+        const input = e.target;
+        const cursorPosition = input.selectionStart;
+        const value = this.cleanValue(input.value).substring(0, this.getMaxVatLength());
+
+        const prefixCountry = this.findVatCountry(value.slice(0, 2));
+        if (prefixCountry && prefixCountry !== this.selectedCountry) {
+            this.onCountryDetected?.(prefixCountry);
+        }
+
+        const country = this.countries[this.selectedCountry];
+        if (!country) return;
+
+        let number = null;
+        if (prefixCountry && prefixCountry === this.selectedCountry) {
+            number = value.slice(2);
+        } else if (this.isVatNationalNumber(value, country)) {
+            number = value;
+        }
+
+        const docConfig = country.documents.vat;
+        let formatted = value;
+        let oldValue = input.value;
+        let oldCursor = cursorPosition;
 
-        for (let i = 0; i < mask.length && valueIndex < value.length; i++) {
-            if (mask[i] === 'X') {
-                formatted += value[valueIndex];
-                valueIndex++;
-            } else {
-                formatted += mask[i];
+        if (number === null || !docConfig || !isDocumentAllowed('vat', docConfig, this.restrictions)) {
+            // Prefixo incompleto ou desconhecido: manter o que foi digitado
+            this.currentDocument = null;
+        } else {
+            this.currentDocument = 'vat';
+
+            if (value.length > 0) {
+                const national = number.substring(0, countMaskTokens(docConfig.mask));
+                formatted = country.vatPrefix + this.applyMask(national, docConfig.mask, docConfig.align);
+            }
+
+            // Prefixo acrescentado automaticamente: o cursor avança junto
+            if (number === value && value.length > 0) {
+                oldValue = country.vatPrefix + oldValue;
+                oldCursor += country.vatPrefix.length;
             }
         }
 
-        return formatted;
+        const newCursorPosition = this.calculateCursorPosition(oldValue, formatted, oldCursor);
+
+        input.value = formatted;
+
+        this.disposer.timeout(() => {
+            input.setSelectionRange(newCursorPosition, newCursorPosition);
+        }, 0);
+
+        this.onFormatChange?.(this.cleanValue(formatted), this.currentDocument);
+    }
+
+    /**
+     * Retorna o país (ISO2) cujo prefixo de IVA é o informado, ou null
+     */
+    findVatCountry(prefix) {
+        if (!/^[A-Z]{2}$/.test(prefix)) return null;
+
+        return Object.keys(this.countries).find(code => this.countries[code].vatPrefix === prefix) || null;
+    }
+
+    /**
+     * Verifica se o valor é um número de IVA sem prefixo do país informado
+     * Uma letra isolada é tratada como início de prefixo (ex.: P de PT)
+     */
+    isVatNationalNumber(value, country) {
+        const docConfig = country.documents.vat;
+        if (!docConfig) return false;
+        if (value.length === 0) return true;
+        if (/^[A-Z]$/.test(value)) return false;
+
+        return this.fitsMask(value, docConfig.mask, docConfig.align);
+    }
+
+    /**
+     * Retorna o maior comprimento de número de IVA entre os países, prefixo incluído
+     */
+    getMaxVatLength() {
+        return Math.max(...Object.values(this.countries).map(country => country.documents.vat?.length || 0));
+    }
+
+    /**
+     * Remove a formatação, mantendo apenas dígitos, letras maiúsculas, Ñ e &
+     */
+    cleanValue(value) {
+        return cleanValue(value);
+    }
+
+    /**
+     * Verifica se o valor limpo cabe nas posições editáveis da máscara
+     */
+    fitsMask(value, mask, align = 'left') {
+        return fitsMask(value, mask, align);
+    }
+
+    /**
+     * Aplica a máscara ao valor
+     */
+    applyMask(value, mask, align = 'left') {
+        return applyMask(value, mask, align);
+    }
+
+    /**
+     * Formata um valor limpo com a máscara do documento informado, no país atual
+     * No modo VAT, o prefixo do país é mantido fora da máscara (ex.: PT123456789)
+     */
+    formatDocument(value, documentType) {
+        const country = this.countries[this.selectedCountry];
+        const docConfig = country?.documents[documentType];
+        if (!docConfig) return value;
+
+        if (this.mode === 'vat' && value.startsWith(country.vatPrefix)) {
+            return country.vatPrefix + this.applyMask(value.slice(country.vatPrefix.length), docConfig.mask, docConfig.align);
+        }
+
+        return this.applyMask(value, docConfig.mask, docConfig.align);
     }
 
     /**
      * Calcula a nova posição do cursor após formatação
      */
     calculateCursorPosition(oldValue, newValue, oldCursor) {
-        // Contar quantos números existem antes da posição do cursor no valor antigo
+        // Contar quantos caracteres úteis existem antes da posição do cursor no valor antigo
         let numbersBeforeCursor = 0;
         for (let i = 0; i < oldCursor && i < oldValue.length; i++) {
-            if (/\d/.test(oldValue[i])) {
+            if (/[0-9A-Za-zÑñ&]/.test(oldValue[i])) {
                 numbersBeforeCursor++;
             }
         }
@@ -130,7 +282,7 @@ export default class FormatManager {
         let numbersFound = 0;
         
         for (let i = 0; i < newValue.length; i++) {
-            if (/\d/.test(newValue[i])) {
+            if (/[0-9A-ZÑ&]/.test(newValue[i])) {
                 numbersFound++;
                 if (numbersFound > numbersBeforeCursor) {
                     break;
@@ -142,6 +294,29 @@ export default class FormatManager {
         return newCursor;
     }
 
+    /**
+     * Reaplica a formatação ao valor atual do input
+     */
+    refresh() {
+        this.formatInput({ target: this.input });
+    }
+
+    /**
+     * Define o tipo de documento explicitamente (null volta para detecção automática)
+     */
+    setDocumentType(documentType) {
+        this.forcedDocument = documentType || null;
+        this.refresh();
+    }
+
+    /**
+     * Define as restrições de documentos permitidos (tipos e/ou categoria)
+     */
+    setRestrictions(restrictions = {}) {
+        this.restrictions = restrictions;
+        this.refresh();
+    }
+
     /**
      * Define o país selecionado
      */
@@ -163,16 +338,17 @@ export default class FormatManager {
             type: this.currentDocument,
             category: docConfig.type,
             length: docConfig.length,
+            minLength: docConfig.minLength || docConfig.length,
             mask: docConfig.mask,
             country: this.selectedCountry
         };
     }
 
     /**
-     * Retorna o valor sem formatação (apenas números)
+     * Retorna o valor sem formatação (apenas números e letras maiúsculas)
      */
     getCleanValue() {
-        return this.input.value.replace(/\D/g, '');
+        return this.cleanValue(this.input.value);
     }
 
     /**
@@ -191,8 +367,22 @@ export default class FormatManager {
         this.detectDocumentType();
     }
 
+    /**
+     * Cancela os ajustes de cursor pendentes e desliga os callbacks
+     */
+    destroy() {
+        this.disposer.dispose();
+        this.onFormatChange = null;
+        this.onCountryDetected = null;
+    }
+
     /**
      * Callback para mudanças de formato (deve ser definido externamente)
      */
     onFormatChange = null;
+
+    /**
+     * Callback para o país identificado pelo prefixo de IVA (deve ser definido externamente)
+     */
+    onCountryDetected = null;
 }
\ No newline at end of file
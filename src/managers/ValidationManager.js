@@ -3,13 +3,86 @@
  */
 
 import { ValidatorInstance } from '../validators/Validator.js';
+import { MessageCatalogInstance } from '../MessageCatalog.js';
+import { isDocumentAllowed } from '../utils/documents.js';
+
+/**
+ * Códigos de erro quando o campo só aceita uma categoria de documento
+ */
+const CATEGORY_CODES = {
+    personal: 'PERSONAL_DOCUMENT_REQUIRED',
+    company: 'COMPANY_DOCUMENT_REQUIRED'
+};
 
 export default class ValidationManager {
-    constructor() {
+    constructor(countries = {}, restrictions = {}, locale = null) {
         this.validator = ValidatorInstance;
+        this.countries = countries;
+        this.restrictions = restrictions;
+        this.locale = locale;
         this.lastValidationResult = null;
     }
 
+    /**
+     * Define o idioma das mensagens de erro (ex.: pt-BR, en, es)
+     */
+    setLocale(locale) {
+        this.locale = locale;
+        this.clearValidationCache();
+    }
+
+    /**
+     * Traduz um código de erro no idioma da instância
+     */
+    getMessage(code, params = {}) {
+        return MessageCatalogInstance.format(code, params, this.locale);
+    }
+
+    /**
+     * Define as restrições de documentos permitidos (tipos e/ou categoria)
+     */
+    setRestrictions(restrictions = {}) {
+        this.restrictions = restrictions;
+        this.clearValidationCache();
+    }
+
+    /**
+     * Verifica se o tipo de documento é permitido para o país
+     */
+    isDocumentAllowed(country, documentType) {
+        const docConfig = this.countries[country]?.documents[documentType];
+        if (!docConfig) return true;
+
+        return isDocumentAllowed(documentType, docConfig, this.restrictions);
+    }
+
+    /**
+     * Retorna os tipos de documento permitidos para o país
+     */
+    getAllowedDocuments(country) {
+        const documents = this.countries[country]?.documents || {};
+
+        return Object.keys(documents).filter(docType => this.isDocumentAllowed(country, docType));
+    }
+
+    /**
+     * Identifica um documento não permitido que corresponde exatamente ao valor
+     * Ex.: CPF completo (11 dígitos) num campo que só aceita CNPJ
+     */
+    getRejectedDocument(cleanValue, country) {
+        const documents = this.countries[country]?.documents || {};
+        const sameLength = Object.entries(documents).filter(([, docConfig]) => {
+            return this.isLengthInRange(cleanValue, docConfig.length, docConfig.minLength);
+        });
+
+        if (sameLength.some(([docType]) => this.isDocumentAllowed(country, docType))) {
+            return null;
+        }
+
+        const rejected = sameLength.find(([docType]) => !this.isDocumentAllowed(country, docType));
+        return rejected ? rejected[0] : null;
+    }
+
     /**
      * Valida um documento usando o sistema de validação
      */
@@ -17,13 +90,40 @@ export default class ValidationManager {
         if (!country || !documentType) {
             return {
                 isValid: false,
-                error: 'País ou tipo de documento não definido',
+                code: 'MISSING_DOCUMENT',
+                params: {},
+                error: this.getMessage('MISSING_DOCUMENT'),
                 details: null
             };
         }
 
+        if (!this.isDocumentAllowed(country, documentType)) {
+            const allowedDocuments = this.getAllowedDocuments(country);
+            const code = CATEGORY_CODES[this.restrictions.documentCategory] || 'DOCUMENT_NOT_ALLOWED';
+            const params = {
+                document: documentType.toUpperCase(),
+                allowed: allowedDocuments.map(doc => doc.toUpperCase())
+            };
+
+            this.lastValidationResult = {
+                isValid: false,
+                code,
+                params,
+                error: this.getMessage(code, params),
+                details: {
+                    issue: 'document_not_allowed',
+                    documentCategory: this.countries[country].documents[documentType].type,
+                    allowedDocuments
+                },
+                documentType: documentType,
+                country: country
+            };
+
+            return this.lastValidationResult;
+        }
+
         // Usar o Validator para validação real
-        const result = this.validator.validate(cleanValue, country, documentType);
+        const result = this.validator.validate(cleanValue, country, documentType, { locale: this.locale });
         
         // Armazenar último resultado para consulta rápida
         this.lastValidationResult = {
@@ -35,15 +135,23 @@ export default class ValidationManager {
         return this.lastValidationResult;
     }
 
+    /**
+     * Verifica se o comprimento está entre o mínimo e o máximo do documento
+     * minLength é opcional e só existe em documentos de comprimento variável (ex.: RUT)
+     */
+    isLengthInRange(cleanValue, expectedLength, minLength = expectedLength) {
+        return cleanValue.length >= (minLength || expectedLength) && cleanValue.length <= expectedLength;
+    }
+
     /**
      * Validação rápida apenas por comprimento (para feedback em tempo real)
      */
-    validateLength(cleanValue, expectedLength) {
+    validateLength(cleanValue, expectedLength, minLength = expectedLength) {
         if (!cleanValue || !expectedLength) return null;
         
         if (cleanValue.length === 0) return null; // Neutro
-        if (cleanValue.length < expectedLength) return false; // Incompleto
-        if (cleanValue.length === expectedLength) return true; // Completo (ainda precisa validação real)
+        if (cleanValue.length < minLength) return false; // Incompleto
+        if (cleanValue.length <= expectedLength) return true; // Completo (ainda precisa validação real)
         
         return false; // Muito longo
     }
@@ -51,9 +159,9 @@ export default class ValidationManager {
     /**
      * Retorna se o documento está válido (comprimento correto + validação real)
      */
-    isDocumentValid(cleanValue, country, documentType, expectedLength) {
+    isDocumentValid(cleanValue, country, documentType, expectedLength, minLength = expectedLength) {
         // Primeiro, verificar comprimento
-        if (cleanValue.length !== expectedLength) {
+        if (!this.isLengthInRange(cleanValue, expectedLength, minLength)) {
             return false;
         }
 
@@ -66,16 +174,16 @@ export default class ValidationManager {
      * Retorna estado de validação para feedback visual
      * null = neutro, true = válido, false = inválido
      */
-    getValidationState(cleanValue, country, documentType, expectedLength) {
+    getValidationState(cleanValue, country, documentType, expectedLength, minLength = expectedLength) {
         if (!cleanValue || cleanValue.length === 0) {
             return null; // Neutro - campo vazio
         }
 
-        if (cleanValue.length < expectedLength) {
+        if (cleanValue.length < minLength) {
             return null; // Neutro - ainda digitando
         }
 
-        if (cleanValue.length === expectedLength) {
+        if (cleanValue.length <= expectedLength) {
             // Comprimento correto - validar usando Validator
             const result = this.validateDocument(cleanValue, country, documentType);
             return result.isValid;
@@ -110,7 +218,8 @@ export default class ValidationManager {
      * Retorna os tipos de documentos suportados para um país
      */
     getSupportedDocuments(country) {
-        return this.validator.getSupportedDocuments(country);
+        const documents = this.countries[country]?.documents || {};
+        return this.validator.getSupportedDocuments(country).filter(type => type in documents);
     }
 
     /**
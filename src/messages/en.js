@@ -0,0 +1,39 @@
+/**
+ * English validation messages
+ * Placeholders in braces are replaced by the params of the validation result
+ */
+
+export default {
+    INVALID_LENGTH: '{document} must contain exactly {expected} characters',
+    INVALID_LENGTH_RANGE: '{document} must contain between {min} and {max} characters',
+    INVALID_FORMAT: '{document} does not match the expected format',
+    REPEATED_DIGITS: '{document} cannot have all digits the same',
+    INVALID_PREFIX: '{document} cannot start with {prefix}',
+    CHECK_DIGIT: 'Invalid check digit',
+    CHECK_DIGIT_1: 'Invalid first check digit',
+    CHECK_DIGIT_2: 'Invalid second check digit',
+    CHECK_LETTER: 'Invalid control letter',
+    CHECK_CHARACTER: 'Invalid check character',
+    INVALID_DATE: '{document} contains an invalid date',
+    INVALID_STATE: '{document} contains an invalid birth state',
+    INVALID_AREA: '{document} area cannot be {area}',
+    INVALID_GROUP: '{document} group cannot be {group}',
+    INVALID_SERIAL: '{document} serial number cannot be {serial}',
+    COMPANY_RANGE: '{document} belongs to a legal entity',
+    PERSONAL_RANGE: '{document} belongs to an individual',
+    DOCUMENT_NOT_ALLOWED: '{document} is not accepted in this field, accepted documents: {allowed}',
+    PERSONAL_DOCUMENT_REQUIRED: '{document} is not accepted in this field, enter an individual\'s document',
+    COMPANY_DOCUMENT_REQUIRED: '{document} is not accepted in this field, enter a company document',
+    MISSING_DOCUMENT: 'Country or document type not defined',
+    UNSUPPORTED_COUNTRY: 'Unsupported country: {country}',
+    RULES_NOT_FOUND: 'Validation rules not found for country: {country}',
+    VALIDATOR_NOT_FOUND: 'Validator not found for type: {documentType}',
+    VALIDATION_ERROR: 'Error during validation: {message}',
+    EMPTY_VALUE: 'Empty value',
+    COLUMN_NOT_FOUND: 'Column "{column}" not found',
+    COUNTRY_NOT_DETECTED: 'Country could not be detected: no country rules accept this value',
+    SEARCH_COUNTRY: 'Search country',
+    NO_COUNTRIES_FOUND: 'No countries found for "{query}"',
+    SELECT_COUNTRY: 'Select country',
+    SUGGESTION: 'Did you mean {value}?'
+};
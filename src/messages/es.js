@@ -0,0 +1,39 @@
+/**
+ * Mensajes de validación en español
+ * Los marcadores entre llaves se sustituyen por los params del resultado de la validación
+ */
+
+export default {
+    INVALID_LENGTH: '{document} debe contener exactamente {expected} caracteres',
+    INVALID_LENGTH_RANGE: '{document} debe contener entre {min} y {max} caracteres',
+    INVALID_FORMAT: '{document} no tiene el formato esperado',
+    REPEATED_DIGITS: '{document} no puede tener todos los dígitos iguales',
+    INVALID_PREFIX: '{document} no puede empezar por {prefix}',
+    CHECK_DIGIT: 'Dígito verificador no válido',
+    CHECK_DIGIT_1: 'Primer dígito verificador no válido',
+    CHECK_DIGIT_2: 'Segundo dígito verificador no válido',
+    CHECK_LETTER: 'Letra de control no válida',
+    CHECK_CHARACTER: 'Carácter de control no válido',
+    INVALID_DATE: '{document} contiene una fecha no válida',
+    INVALID_STATE: '{document} contiene un estado de nacimiento no válido',
+    INVALID_AREA: 'El área del {document} no puede ser {area}',
+    INVALID_GROUP: 'El grupo del {document} no puede ser {group}',
+    INVALID_SERIAL: 'El número de serie del {document} no puede ser {serial}',
+    COMPANY_RANGE: '{document} pertenece a una persona jurídica',
+    PERSONAL_RANGE: '{document} pertenece a una persona física',
+    DOCUMENT_NOT_ALLOWED: '{document} no se acepta en este campo, documentos aceptados: {allowed}',
+    PERSONAL_DOCUMENT_REQUIRED: '{document} no se acepta en este campo, introduce un documento de persona física',
+    COMPANY_DOCUMENT_REQUIRED: '{document} no se acepta en este campo, introduce un documento de empresa',
+    MISSING_DOCUMENT: 'País o tipo de documento no definido',
+    UNSUPPORTED_COUNTRY: 'País no admitido: {country}',
+    RULES_NOT_FOUND: 'No se encontraron reglas de validación para el país: {country}',
+    VALIDATOR_NOT_FOUND: 'No se encontró un validador para el tipo: {documentType}',
+    VALIDATION_ERROR: 'Error durante la validación: {message}',
+    EMPTY_VALUE: 'Valor vacío',
+    COLUMN_NOT_FOUND: 'Columna "{column}" no encontrada',
+    COUNTRY_NOT_DETECTED: 'No se pudo detectar el país: ninguna regla de país acepta este valor',
+    SEARCH_COUNTRY: 'Buscar país',
+    NO_COUNTRIES_FOUND: 'No se encontraron países para "{query}"',
+    SELECT_COUNTRY: 'Seleccionar país',
+    SUGGESTION: '¿Quisiste decir {value}?'
+};
@@ -0,0 +1,39 @@
+/**
+ * Mensagens de validação em português do Brasil
+ * Os marcadores entre chaves são substituídos pelos params do resultado da validação
+ */
+
+export default {
+    INVALID_LENGTH: '{document} deve conter exatamente {expected} caracteres',
+    INVALID_LENGTH_RANGE: '{document} deve conter entre {min} e {max} caracteres',
+    INVALID_FORMAT: '{document} não está no formato esperado',
+    REPEATED_DIGITS: '{document} não pode ter todos os dígitos iguais',
+    INVALID_PREFIX: '{document} não pode começar com {prefix}',
+    CHECK_DIGIT: 'Dígito verificador inválido',
+    CHECK_DIGIT_1: 'Primeiro dígito verificador inválido',
+    CHECK_DIGIT_2: 'Segundo dígito verificador inválido',
+    CHECK_LETTER: 'Letra de controle inválida',
+    CHECK_CHARACTER: 'Caractere verificador inválido',
+    INVALID_DATE: '{document} contém uma data inválida',
+    INVALID_STATE: '{document} contém um estado de nascimento inválido',
+    INVALID_AREA: 'A área do {document} não pode ser {area}',
+    INVALID_GROUP: 'O grupo do {document} não pode ser {group}',
+    INVALID_SERIAL: 'O número de série do {document} não pode ser {serial}',
+    COMPANY_RANGE: '{document} pertence a uma pessoa jurídica',
+    PERSONAL_RANGE: '{document} pertence a uma pessoa física',
+    DOCUMENT_NOT_ALLOWED: '{document} não é aceito neste campo, documentos aceitos: {allowed}',
+    PERSONAL_DOCUMENT_REQUIRED: '{document} não é aceito neste campo, informe um documento de pessoa física',
+    COMPANY_DOCUMENT_REQUIRED: '{document} não é aceito neste campo, informe um documento de empresa',
+    MISSING_DOCUMENT: 'País ou tipo de documento não definido',
+    UNSUPPORTED_COUNTRY: 'País não suportado: {country}',
+    RULES_NOT_FOUND: 'Regras de validação não encontradas para o país: {country}',
+    VALIDATOR_NOT_FOUND: 'Validador não encontrado para o tipo: {documentType}',
+    VALIDATION_ERROR: 'Erro durante validação: {message}',
+    EMPTY_VALUE: 'Valor vazio',
+    COLUMN_NOT_FOUND: 'Coluna "{column}" não encontrada',
+    COUNTRY_NOT_DETECTED: 'País não detectado: nenhuma regra de país aceita este valor',
+    SEARCH_COUNTRY: 'Buscar país',
+    NO_COUNTRIES_FOUND: 'Nenhum país encontrado para "{query}"',
+    SELECT_COUNTRY: 'Selecionar país',
+    SUGGESTION: 'Você quis dizer {value}?'
+};
@@ -0,0 +1,293 @@
+/**
+ * React API - TaxDocumentInput component and useTaxDocument hook
+ * The plugin renders its own input inside an element owned by the hook, so React never
+ * reconciles the nodes the plugin moves, and each mount builds and destroys its own instance
+ * (safe under StrictMode double mounting)
+ * @version 1.0.0
+ * @license MIT
+ * @author Roni Sommerfeld
+ * @module react
+ * @requires react
+ * @requires TaxDocumentInput
+ */
+
+import { createElement, forwardRef, useCallback, useEffect, useImperativeHandle, useRef, useState } from 'react';
+import { TaxDocumentInput as TaxDocumentInputPlugin, clean } from './index.js';
+import { LIVE_OPTIONS } from './TaxDocumentInput.js';
+
+/**
+ * State before the plugin is mounted
+ * @private
+ */
+const EMPTY_STATE = {
+    cleanValue: '',
+    formattedValue: '',
+    country: null,
+    documentType: null,
+    isValid: false,
+    validation: null
+};
+
+/**
+ * Reads the document state from the plugin
+ * @private
+ * @param {TaxDocumentInputPlugin} plugin - Mounted instance
+ * @returns {Object} { cleanValue, formattedValue, country, documentType, isValid, validation }
+ */
+const readState = (plugin) => {
+    const cleanValue = plugin.getCleanValue();
+
+    return {
+        cleanValue,
+        formattedValue: plugin.getValue(),
+        country: plugin.getSelectedCountry(),
+        documentType: cleanValue ? plugin.getCurrentDocumentType() : null,
+        isValid: cleanValue ? plugin.isValid() : false,
+        validation: cleanValue ? plugin.validateDocument() : null
+    };
+};
+
+/**
+ * Options that differ from the previous render
+ * @description Functions (e.g. geoIpLookup, a logger sink) are read on mount only, since an inline
+ * function is a new value on every render
+ * @private
+ * @param {Object} previous - Options of the previous render
+ * @param {Object} next - Options of this render
+ * @returns {Object} Changed options
+ */
+const getChangedOptions = (previous, next) => {
+    const changed = {};
+
+    new Set([...Object.keys(previous), ...Object.keys(next)]).forEach((key) => {
+        if (typeof next[key] === 'function' || typeof previous[key] === 'function') return;
+
+        if (JSON.stringify(previous[key]) !== JSON.stringify(next[key])) {
+            changed[key] = next[key];
+        }
+    });
+
+    return changed;
+};
+
+/**
+ * Copies attributes (id, name, disabled, aria-*) to the plugin input
+ * @private
+ * @param {HTMLInputElement} input - Plugin input
+ * @param {Object} attributes - Attributes by name; false, null and undefined remove them
+ * @param {Object} previous - Attributes applied before, removed when missing now
+ * @returns {void}
+ */
+const applyInputProps = (input, attributes = {}, previous = {}) => {
+    Object.keys(previous).forEach((name) => {
+        if (!(name in attributes)) input.removeAttribute(name);
+    });
+
+    Object.entries(attributes).forEach(([name, value]) => {
+        if (value === false || value === null || value === undefined) {
+            input.removeAttribute(name);
+        } else {
+            input.setAttribute(name, value === true ? '' : String(value));
+        }
+    });
+};
+
+/**
+ * Mounts TaxDocumentInput and tracks the document state
+ * @description Attach `containerRef` to an empty element rendered with the component; the plugin
+ * renders its input inside it.
+ * With `value` and `country` the hook is controlled: prop changes are applied to the plugin
+ * without calling onChange or onCountryChange back, so updating state in them cannot loop, and an
+ * edit the parent does not take into `value` is undone.
+ * Other props are plugin options; changes are applied with updateOptions or, for options it
+ * does not support (e.g. mode), reinit
+ * @param {Object} [props] - Plugin options plus value, defaultValue, country, onChange,
+ * onCountryChange, onValidate and inputProps (attributes of the input)
+ * @method useTaxDocument
+ * @version 1.0.0
+ * @returns {Object} { containerRef, instance, cleanValue, formattedValue, country, documentType,
+ * isValid, validation, setValue, setCountry, clear }
+ */
+export function useTaxDocument(props = {}) {
+    const {
+        value,
+        defaultValue,
+        country,
+        onChange,
+        onCountryChange,
+        onValidate,
+        inputProps,
+        ...options
+    } = props;
+
+    const containerRef = useRef(null);
+    const [instance, setInstance] = useState(null);
+    const [state, setState] = useState(EMPTY_STATE);
+
+    // Latest props, read by the listeners and the mount effect without re-running them
+    const latest = useRef({});
+    latest.current = { value, defaultValue, country, onChange, onCountryChange, onValidate, inputProps, options };
+
+    const appliedOptions = useRef(options);
+    const appliedInputProps = useRef({});
+    // True while a prop is being pushed into the plugin, so its synthetic events are not reported back
+    const applying = useRef(false);
+
+    const apply = useCallback((plugin, action) => {
+        applying.current = true;
+        try {
+            action();
+        } finally {
+            applying.current = false;
+        }
+        setState(readState(plugin));
+    }, []);
+
+    useEffect(() => {
+        const container = containerRef.current;
+        if (!container) return undefined;
+
+        const initial = latest.current;
+        const input = document.createElement('input');
+        input.type = 'text';
+        applyInputProps(input, initial.inputProps);
+        appliedInputProps.current = initial.inputProps || {};
+        container.appendChild(input);
+
+        const plugin = new TaxDocumentInputPlugin(input, {
+            ...initial.options,
+            ...(initial.country ? { defaultCountry: initial.country } : {})
+        });
+        appliedOptions.current = initial.options;
+
+        const startValue = initial.value ?? initial.defaultValue;
+        if (startValue) {
+            apply(plugin, () => plugin.setValue(startValue));
+        }
+
+        // onChange before the state update, so the value effect below already sees the parent's answer
+        const handleInput = () => {
+            const next = readState(plugin);
+
+            if (!applying.current) {
+                latest.current.onChange?.(next.cleanValue, next);
+            }
+
+            setState(next);
+        };
+
+        const handleCountryChange = (e) => {
+            const next = readState(plugin);
+            setState(next);
+
+            if (!applying.current) {
+                latest.current.onCountryChange?.(e.detail.newCountry, e.detail);
+            }
+        };
+
+        const handleValidation = (e) => {
+            setState(readState(plugin));
+            latest.current.onValidate?.(e.detail);
+        };
+
+        input.addEventListener('input', handleInput);
+        input.addEventListener('countrychange', handleCountryChange);
+        input.addEventListener('validation', handleValidation);
+
+        setInstance(plugin);
+        setState(readState(plugin));
+
+        return () => {
+            input.removeEventListener('input', handleInput);
+            input.removeEventListener('countrychange', handleCountryChange);
+            input.removeEventListener('validation', handleValidation);
+
+            plugin.destroy();
+            input.remove();
+        };
+    }, [apply]);
+
+    // The country first: changing it clears the value, which the value prop then restores
+    useEffect(() => {
+        if (!instance || !country || country === instance.getSelectedCountry()) return;
+
+        apply(instance, () => {
+            instance.setCountry(country);
+
+            const current = latest.current.value;
+            if (current) instance.setValue(current);
+        });
+    }, [instance, country, apply]);
+
+    // Also runs after each edit: when the parent keeps `value` (refusing the edit), the input goes back to it
+    useEffect(() => {
+        if (!instance || value === undefined || value === null) return;
+
+        // Same document (e.g. the parent echoing the clean value from onChange): nothing to do
+        if (clean(String(value)) === instance.getCleanValue()) return;
+
+        apply(instance, () => instance.setValue(String(value)));
+    }, [instance, value, state.cleanValue, apply]);
+
+    useEffect(() => {
+        if (!instance) return;
+
+        const changed = getChangedOptions(appliedOptions.current, options);
+        appliedOptions.current = options;
+
+        if (Object.keys(changed).length === 0) return;
+
+        apply(instance, () => {
+            if (Object.keys(changed).every(key => LIVE_OPTIONS.includes(key))) {
+                instance.updateOptions(changed);
+            } else {
+                instance.reinit(changed);
+            }
+        });
+    });
+
+    useEffect(() => {
+        if (!instance) return;
+
+        applyInputProps(instance.input, inputProps, appliedInputProps.current);
+        appliedInputProps.current = inputProps || {};
+    });
+
+    const setValue = useCallback((next) => instance?.setValue(next), [instance]);
+    const setCountry = useCallback((next) => instance?.setCountry(next), [instance]);
+    const clear = useCallback(() => {
+        if (!instance) return;
+
+        instance.clear();
+
+        const next = readState(instance);
+        latest.current.onChange?.('', next);
+        setState(next);
+    }, [instance]);
+
+    return { containerRef, instance, ...state, setValue, setCountry, clear };
+}
+
+/**
+ * TaxDocumentInput as a React component
+ * @description Props are the plugin options plus `value` / `defaultValue`, `country`,
+ * `onChange(cleanValue, state)`, `onCountryChange(country, detail)`, `onValidate(validation)`,
+ * `className` for the container and `id`, `name`, `disabled`, `required` and `inputProps` for the
+ * input. The ref receives the plugin instance
+ * @method TaxDocumentInput
+ * @version 1.0.0
+ */
+export const TaxDocumentInput = forwardRef(function TaxDocumentInput(props, ref) {
+    const { className, id, name, disabled, required, inputProps, ...rest } = props;
+
+    const taxDocument = useTaxDocument({
+        ...rest,
+        inputProps: { id, name, disabled, required, ...inputProps }
+    });
+
+    useImperativeHandle(ref, () => taxDocument.instance, [taxDocument.instance]);
+
+    return createElement('div', { ref: taxDocument.containerRef, className });
+});
+
+export default TaxDocumentInput;
@@ -0,0 +1,78 @@
+/**
+ * Nomes de países traduzidos com Intl.DisplayNames e ordenação com Intl.Collator
+ * Sem suporte a Intl (ou para códigos que ele não conhece, ex.: XI), usa o `name` de CountriesData
+ */
+
+const displayNamesCache = new Map();
+
+/**
+ * Retorna o Intl.DisplayNames de regiões do idioma, ou null se o idioma for inválido ou sem suporte
+ */
+const getDisplayNames = (locale) => {
+    if (!displayNamesCache.has(locale)) {
+        let displayNames = null;
+
+        try {
+            if (typeof Intl !== 'undefined' && Intl.DisplayNames) {
+                displayNames = new Intl.DisplayNames([locale], { type: 'region', fallback: 'none' });
+            }
+        } catch (error) {
+            // Locale inválido: fica sem tradução
+        }
+
+        displayNamesCache.set(locale, displayNames);
+    }
+
+    return displayNamesCache.get(locale);
+};
+
+/**
+ * Traduz o nome de um país (ISO2) para o idioma informado
+ */
+const translateRegion = (countryCode, locale) => {
+    if (!locale) return null;
+
+    return getDisplayNames(locale)?.of(countryCode.toUpperCase()) || null;
+};
+
+/**
+ * Retorna o idioma mais provável do país (ex.: br → pt-BR, be → nl-BE)
+ */
+const getCountryLocale = (countryCode) => {
+    try {
+        const { language } = new Intl.Locale(`und-${countryCode.toUpperCase()}`).maximize();
+        return `${language}-${countryCode.toUpperCase()}`;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Nome do país no idioma da interface
+ * A substituição por país (ex.: { br: 'Brazil' }) tem prioridade sobre a tradução do Intl
+ */
+export const getLocalizedName = (countryCode, country, locale, overrides = {}) => {
+    return overrides[countryCode] || translateRegion(countryCode, locale) || country?.name || countryCode.toUpperCase();
+};
+
+/**
+ * Nome do país no seu próprio idioma (ex.: Brasil, España, Deutschland)
+ */
+export const getNativeName = (countryCode, country) => {
+    return translateRegion(countryCode, getCountryLocale(countryCode)) || country?.name || countryCode.toUpperCase();
+};
+
+/**
+ * Ordena os códigos de país pelo nome, com a ordem alfabética do idioma (ex.: Á junto de A)
+ */
+export const sortByName = (countryCodes, names, locale) => {
+    let compare;
+
+    try {
+        compare = new Intl.Collator(locale || undefined, { sensitivity: 'base' }).compare;
+    } catch (error) {
+        compare = (a, b) => a.localeCompare(b);
+    }
+
+    return [...countryCodes].sort((a, b) => compare(names[a], names[b]));
+};
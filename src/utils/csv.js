@@ -0,0 +1,69 @@
+/**
+ * Leitura e escrita de CSV (RFC 4180): campos entre aspas, aspas duplicadas e quebras de linha
+ * Usado pela linha de comando (src/cli.js)
+ */
+
+/**
+ * Converte o texto CSV em uma lista de linhas, cada uma com a lista de campos
+ */
+export const parseCsv = (text, delimiter = ',') => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    // Última linha sem quebra de linha no final
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Ignorar linhas em branco
+    return rows.filter(fields => fields.length > 1 || fields[0] !== '');
+};
+
+/**
+ * Converte uma lista de linhas em texto CSV, colocando entre aspas os campos que precisam
+ */
+export const stringifyCsv = (rows, delimiter = ',') => {
+    const escape = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+
+        return /["\r\n]/.test(text) || text.includes(delimiter)
+            ? `"${text.replace(/"/g, '""')}"`
+            : text;
+    };
+
+    return rows.map(fields => fields.map(escape).join(delimiter)).join('\n') + '\n';
+};
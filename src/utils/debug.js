@@ -1,3 +0,0 @@
-export const debug = (...args) => {
-    // console.log(...args);
-};
\ No newline at end of file
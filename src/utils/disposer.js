@@ -0,0 +1,80 @@
+/**
+ * Disposer - Guarda listeners, timers e outros recursos de uma instância para liberá-los juntos no destroy
+ * Cada registro retorna a função que o desfaz (mesmo formato de CountryRegistry.subscribe)
+ */
+
+export default class Disposer {
+    constructor() {
+        this.cleanups = new Set();
+    }
+
+    /**
+     * Registra uma função de limpeza e retorna a função que a executa antes do dispose
+     */
+    add(cleanup) {
+        let done = false;
+
+        const run = () => {
+            if (done) return;
+            done = true;
+            this.cleanups.delete(run);
+            cleanup();
+        };
+
+        this.cleanups.add(run);
+        return run;
+    }
+
+    /**
+     * Adiciona um event listener que é removido no dispose
+     */
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        return this.add(() => target.removeEventListener(type, handler, options));
+    }
+
+    /**
+     * setTimeout cancelado no dispose; depois de executado, sai da lista
+     */
+    timeout(callback, delay = 0) {
+        let cancel = null;
+        const id = setTimeout(() => {
+            this.cleanups.delete(cancel);
+            callback();
+        }, delay);
+
+        cancel = this.add(() => clearTimeout(id));
+        return cancel;
+    }
+
+    /**
+     * requestAnimationFrame cancelado no dispose (em ambientes sem ele, como jsdom, usa setTimeout)
+     */
+    frame(callback) {
+        if (typeof requestAnimationFrame !== 'function') return this.timeout(callback);
+
+        let cancel = null;
+        const id = requestAnimationFrame(() => {
+            this.cleanups.delete(cancel);
+            callback();
+        });
+
+        cancel = this.add(() => cancelAnimationFrame(id));
+        return cancel;
+    }
+
+    /**
+     * Quantidade de recursos ainda registrados (útil para auditar vazamentos)
+     */
+    get size() {
+        return this.cleanups.size;
+    }
+
+    /**
+     * Libera tudo, na ordem inversa do registro
+     */
+    dispose() {
+        Array.from(this.cleanups).reverse().forEach(cleanup => cleanup());
+        this.cleanups.clear();
+    }
+}
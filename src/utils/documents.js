@@ -0,0 +1,19 @@
+/**
+ * Verifica se um documento é permitido pelas restrições da instância
+ * @param {string} docType - Tipo do documento (cpf, cnpj, nif, etc.)
+ * @param {Object} docConfig - Configuração do documento em CountriesData
+ * @param {Object} restrictions - { documentTypes: [], documentCategory: null|'personal'|'company' }
+ */
+export const isDocumentAllowed = (docType, docConfig, restrictions = {}) => {
+    const { documentTypes = [], documentCategory = null } = restrictions;
+
+    if (documentTypes.length > 0 && !documentTypes.includes(docType)) {
+        return false;
+    }
+
+    if (documentCategory && docConfig.type !== documentCategory) {
+        return false;
+    }
+
+    return true;
+};
@@ -0,0 +1,69 @@
+/**
+ * Bandeiras sem depender de imagens remotas: sprite SVG embutido, emoji ou URL própria
+ */
+
+import FlagsData from '../FlagsData.js';
+
+/**
+ * Estratégias de exibição da bandeira
+ * image: URL de CountriesData (ou de flagUrl), sprite: SVG embutido, emoji: indicadores regionais
+ */
+export const FLAG_MODES = ['image', 'sprite', 'emoji'];
+
+/**
+ * ID do sprite injetado no documento e prefixo dos símbolos
+ */
+export const FLAG_SPRITE_ID = 'tax-document-input-flags';
+
+/**
+ * Países sem bandeira própria no sprite ou em emoji (ex.: XI, Irlanda do Norte, usa a do Reino Unido)
+ */
+const FLAG_ALIASES = { xi: 'gb' };
+
+/**
+ * Código usado no sprite e no emoji para o país
+ */
+export const getFlagCode = (countryCode) => FLAG_ALIASES[countryCode] || countryCode;
+
+/**
+ * Verifica se o sprite tem a bandeira do país
+ */
+export const hasFlagSymbol = (countryCode) => Boolean(FlagsData[getFlagCode(countryCode)]);
+
+/**
+ * ID do símbolo do país no sprite
+ */
+export const getFlagSymbolId = (countryCode) => `${FLAG_SPRITE_ID}-${getFlagCode(countryCode)}`;
+
+/**
+ * Bandeira em emoji (ex.: br → 🇧🇷), ou string vazia se o código não tiver duas letras
+ */
+export const getFlagEmoji = (countryCode) => {
+    const code = getFlagCode(countryCode).toUpperCase();
+    if (!/^[A-Z]{2}$/.test(code)) return '';
+
+    return String.fromCodePoint(...code.split('').map(letter => 0x1F1E6 + letter.charCodeAt(0) - 65));
+};
+
+/**
+ * URL da imagem da bandeira: flagUrl(iso2) tem prioridade sobre a URL de CountriesData
+ */
+export const getFlagImageUrl = (countryCode, country, flagUrl = null) => {
+    if (typeof flagUrl === 'function') {
+        return flagUrl(country?.iso2 || countryCode) || null;
+    }
+
+    return country?.flag || null;
+};
+
+/**
+ * Marcação do sprite com todas as bandeiras (um <symbol> por país)
+ */
+export const getFlagSprite = () => {
+    const symbols = Object.entries(FlagsData).map(([code, content]) => {
+        return `<symbol id="${FLAG_SPRITE_ID}-${code}" viewBox="0 0 30 20" preserveAspectRatio="xMidYMid slice">${content}</symbol>`;
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" id="${FLAG_SPRITE_ID}" aria-hidden="true" ` +
+        `style="position: absolute; width: 0; height: 0; overflow: hidden;">${symbols.join('')}</svg>`;
+};
@@ -0,0 +1,230 @@
+/**
+ * Funções puras de formatação, sem acesso a window ou document
+ * Usadas pelo FormatManager e pela API headless (src/headless.js)
+ */
+
+import { isDocumentAllowed } from './documents.js';
+import { MASK_TOKENS } from './mask.js';
+
+/**
+ * Remove a formatação, mantendo apenas dígitos, letras maiúsculas, Ñ e &
+ */
+export const cleanValue = (value) => {
+    return String(value ?? '').toUpperCase().replace(/[^0-9A-ZÑ&]/g, '');
+};
+
+/**
+ * Verifica se o valor limpo cabe nas posições editáveis da máscara
+ * Com align = 'right' o valor é comparado com as últimas posições (ex.: RUT chileno)
+ */
+export const fitsMask = (value, mask, align = 'left') => {
+    let tokens = mask.split('').filter(char => MASK_TOKENS[char]);
+
+    if (value.length > tokens.length) return false;
+
+    if (align === 'right') {
+        tokens = tokens.slice(tokens.length - value.length);
+    }
+
+    for (let i = 0; i < value.length; i++) {
+        if (!MASK_TOKENS[tokens[i]].test(value[i])) {
+            return false;
+        }
+    }
+
+    return true;
+};
+
+/**
+ * Aplica a máscara ao valor
+ * Caracteres que não cabem na posição da máscara são descartados
+ * Com align = 'right' a máscara é preenchida da direita para a esquerda,
+ * para documentos de comprimento variável (ex.: 1.234.567-K e 12.345.678-5)
+ */
+export const applyMask = (value, mask, align = 'left') => {
+    if (align === 'right') {
+        const reverse = (text) => text.split('').reverse().join('');
+        return reverse(applyMask(reverse(value), reverse(mask)));
+    }
+
+    let formatted = '';
+    let pending = '';
+    let valueIndex = 0;
+
+    for (let i = 0; i < mask.length && valueIndex < value.length; i++) {
+        const token = MASK_TOKENS[mask[i]];
+
+        if (!token) {
+            pending += mask[i];
+            continue;
+        }
+
+        while (valueIndex < value.length && !token.test(value[valueIndex])) {
+            valueIndex++;
+        }
+
+        if (valueIndex >= value.length) break;
+
+        formatted += pending + value[valueIndex];
+        pending = '';
+        valueIndex++;
+    }
+
+    return formatted;
+};
+
+/**
+ * Caractere de amostra de cada posição editável, usado para medir o valor formatado
+ */
+const SAMPLE_CHARS = { 'X': '0', 'A': 'A', '*': '0', 'L': 'A', 'K': '0' };
+
+/**
+ * Classe de caracteres de cada posição editável no atributo pattern
+ * O & vai como \u0026, válido tanto com a flag u quanto com a flag v usada pelos navegadores
+ */
+const PATTERN_CLASSES = { 'X': '[0-9]', 'A': '[A-Z]', '*': '[0-9A-Z]', 'L': '[A-Z\\u00D1\\u0026]', 'K': '[0-9K]' };
+
+/**
+ * Escapa os caracteres especiais de expressão regular (apenas os aceitos pela flag u)
+ */
+const escapePattern = (text) => text.replace(/[\\^$.*+?()[\]{}|/]/g, '\\$&');
+
+/**
+ * Expressão (sem âncoras) do valor formatado com `length` posições preenchidas
+ * Ex.: XXX.XXX.XXX-XX com 11 posições → [0-9]{3}\.[0-9]{3}\.[0-9]{3}-[0-9]{2}
+ */
+const getLayoutPattern = (mask, length, align = 'left') => {
+    const tokens = mask.split('').filter(char => MASK_TOKENS[char]);
+    const used = align === 'right' ? tokens.slice(tokens.length - length) : tokens.slice(0, length);
+    const formatted = applyMask(used.map(token => SAMPLE_CHARS[token]).join(''), mask, align);
+
+    // Os separadores das máscaras nunca são letras ou dígitos
+    let tokenIndex = 0;
+    const parts = formatted.split('').map(char => {
+        return /[0-9A-Z]/.test(char) ? PATTERN_CLASSES[used[tokenIndex++]] : escapePattern(char);
+    });
+
+    // Agrupar repetições ([0-9][0-9][0-9] → [0-9]{3})
+    let pattern = '';
+    for (let i = 0; i < parts.length;) {
+        let count = 1;
+        while (parts[i + count] === parts[i] && parts[i].length > 1) count++;
+
+        pattern += count > 1 ? `${parts[i]}{${count}}` : parts[i];
+        i += count;
+    }
+
+    return { pattern, length: formatted.length };
+};
+
+/**
+ * Restrições do valor formatado de um documento para a validação nativa do navegador
+ * prefix é o texto antes da máscara (ex.: PT no modo VAT), já incluído em length e minLength
+ * @param {Object} docConfig - Configuração do documento (length, minLength, mask, align)
+ * @param {string} prefix - Prefixo fora da máscara
+ * @returns {Object} { minLength, maxLength, pattern } do valor formatado
+ */
+export const getFormatConstraints = (docConfig, prefix = '') => {
+    const maxTokens = docConfig.length - prefix.length;
+    const minTokens = (docConfig.minLength || docConfig.length) - prefix.length;
+    const layouts = [];
+
+    // Documentos de comprimento variável (ex.: RUT) têm uma alternativa por comprimento
+    for (let length = minTokens; length <= maxTokens; length++) {
+        layouts.push(getLayoutPattern(docConfig.mask, length, docConfig.align));
+    }
+
+    const alternatives = layouts.map(layout => layout.pattern);
+    const body = alternatives.length > 1 ? `(?:${alternatives.join('|')})` : alternatives[0];
+
+    return {
+        minLength: prefix.length + Math.min(...layouts.map(layout => layout.length)),
+        maxLength: prefix.length + Math.max(...layouts.map(layout => layout.length)),
+        pattern: escapePattern(prefix) + body
+    };
+};
+
+/**
+ * Retorna os documentos permitidos de um país, ordenados por prioridade (menor primeiro)
+ * @param {Object} country - Dados do país (CountriesData)
+ * @param {Object} restrictions - { documentTypes: [], documentCategory: null|'personal'|'company' }
+ * @returns {Array} Pares [docType, docConfig]
+ */
+export const getAllowedDocuments = (country, restrictions = {}) => {
+    if (!country) return [];
+
+    return Object.entries(country.documents)
+        .filter(([docType, docConfig]) => isDocumentAllowed(docType, docConfig, restrictions))
+        .sort((a, b) => a[1].priority - b[1].priority);
+};
+
+/**
+ * Retorna o comprimento máximo aceito (do documento escolhido ou do maior documento permitido)
+ */
+export const getMaxLength = (country, options = {}) => {
+    const { restrictions = {}, forcedDocument = null } = options;
+    const documents = getAllowedDocuments(country, restrictions);
+    if (documents.length === 0) return 0;
+
+    const forced = documents.find(([docType]) => docType === forcedDocument);
+    if (forced) return forced[1].length;
+
+    return Math.max(...documents.map(([, doc]) => doc.length));
+};
+
+/**
+ * Detecta o tipo de documento baseado no conteúdo e no comprimento do valor limpo
+ * @param {string} value - Valor limpo, possivelmente incompleto
+ * @param {Object} country - Dados do país (CountriesData)
+ * @param {Object} options - { restrictions, forcedDocument, isPlausible(value, docType) }
+ * @returns {string|null} Tipo de documento ou null se o país não tem documentos permitidos
+ */
+export const detectDocumentType = (value, country, options = {}) => {
+    const { restrictions = {}, forcedDocument = null, isPlausible = () => true } = options;
+    const documents = getAllowedDocuments(country, restrictions);
+
+    if (documents.length === 0) return null;
+
+    // Tipo escolhido explicitamente tem precedência sobre a detecção
+    const forced = documents.find(([docType]) => docType === forcedDocument);
+    if (forced) return forced[0];
+
+    // Se o valor está vazio, usar o primeiro documento (menor prioridade)
+    if (value.length === 0) return documents[0][0];
+
+    // Preferir documentos cuja máscara aceita o valor (ex.: letras só no CNPJ),
+    // desempatando pelas dicas de conteúdo de cada regra (ex.: primeiro dígito do NIF)
+    const fitting = documents.filter(([, docConfig]) => fitsMask(value, docConfig.mask, docConfig.align));
+    if (fitting.length > 0) {
+        const plausible = fitting.find(([docType]) => isPlausible(value, docType));
+        return (plausible || fitting[0])[0];
+    }
+
+    // Determinar qual tipo de documento baseado no comprimento atual
+    const byLength = documents.find(([, docConfig]) => value.length <= docConfig.length);
+    if (byLength) return byLength[0];
+
+    // Se exceder todos os comprimentos, usar o último (maior)
+    return documents[documents.length - 1][0];
+};
+
+/**
+ * Limpa, limita ao comprimento máximo, detecta o documento e aplica a máscara
+ * @param {string} value - Valor digitado, com ou sem formatação
+ * @param {Object} country - Dados do país (CountriesData)
+ * @param {Object} options - Mesmas opções de detectDocumentType
+ * @returns {Object} { formatted, clean, documentType }
+ */
+export const formatValue = (value, country, options = {}) => {
+    const clean = cleanValue(value).substring(0, getMaxLength(country, options));
+    const documentType = detectDocumentType(clean, country, options);
+    const docConfig = country?.documents[documentType];
+
+    if (!docConfig) {
+        return { formatted: clean, clean, documentType: null };
+    }
+
+    const formatted = applyMask(clean, docConfig.mask, docConfig.align);
+
+    return { formatted, clean: cleanValue(formatted), documentType };
+};
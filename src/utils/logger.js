@@ -0,0 +1,77 @@
+/**
+ * Logger do plugin: níveis e destino (sink) configuráveis pela opção logger
+ * O sink recebe uma entrada { level, message, data, timestamp }, pronta para breadcrumbs (ex.: Sentry)
+ */
+
+/**
+ * Níveis em ordem crescente; silent desliga tudo
+ */
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+/**
+ * Nível usado quando a opção logger não define um
+ */
+export const DEFAULT_LOG_LEVEL = 'warn';
+
+/**
+ * Sink padrão: console, com o nome do plugin na frente da mensagem
+ */
+const consoleSink = ({ level, message, data }) => {
+    if (typeof console === 'undefined') return;
+
+    const write = typeof console[level] === 'function' ? console[level] : console.log;
+    const text = `[TaxDocumentInput] ${message}`;
+
+    if (data === undefined) {
+        write.call(console, text);
+    } else {
+        write.call(console, text, data);
+    }
+};
+
+/**
+ * Normaliza a opção logger em { level, sink }
+ * false: silencioso; true: tudo no console; 'info' etc.: nível no console;
+ * função: sink próprio com todos os níveis; { level, sink }: os dois
+ */
+const resolveLoggerOptions = (option) => {
+    if (option === false) return { level: 'silent', sink: consoleSink };
+    if (option === true) return { level: 'debug', sink: consoleSink };
+    if (typeof option === 'string') return { level: option, sink: consoleSink };
+    if (typeof option === 'function') return { level: 'debug', sink: option };
+
+    return {
+        level: option?.level || DEFAULT_LOG_LEVEL,
+        sink: typeof option?.sink === 'function' ? option.sink : consoleSink
+    };
+};
+
+/**
+ * Cria um logger a partir da opção logger (nível desconhecido volta para o padrão)
+ */
+export const createLogger = (option) => {
+    const resolved = resolveLoggerOptions(option);
+    const level = LOG_LEVELS.includes(resolved.level) ? resolved.level : DEFAULT_LOG_LEVEL;
+    const threshold = LOG_LEVELS.indexOf(level);
+
+    const isEnabled = (entryLevel) => LOG_LEVELS.indexOf(entryLevel) >= threshold;
+
+    const log = (entryLevel, message, data) => {
+        if (!isEnabled(entryLevel)) return;
+
+        try {
+            resolved.sink({ level: entryLevel, message, data, timestamp: Date.now() });
+        } catch (error) {
+            // Um sink com erro não pode quebrar o input
+        }
+    };
+
+    return {
+        level,
+        isEnabled,
+        debug: (message, data) => log('debug', message, data),
+        info: (message, data) => log('info', message, data),
+        warn: (message, data) => log('warn', message, data),
+        error: (message, data) => log('error', message, data)
+    };
+};
@@ -0,0 +1,20 @@
+/**
+ * Caracteres da máscara que representam posições editáveis
+ * X = dígito, A = letra maiúscula, * = letra maiúscula ou dígito (ex.: CNPJ alfanumérico),
+ * L = letra de nome, que também aceita Ñ e & (ex.: RFC mexicano),
+ * K = dígito verificador que pode ser K (ex.: RUN/RUT chileno)
+ */
+export const MASK_TOKENS = {
+    'X': /\d/,
+    'A': /[A-Z]/,
+    '*': /[0-9A-Z]/,
+    'L': /[A-ZÑ&]/,
+    'K': /[0-9K]/
+};
+
+/**
+ * Conta as posições editáveis de uma máscara
+ */
+export const countMaskTokens = (mask) => {
+    return mask.split('').filter(char => MASK_TOKENS[char]).length;
+};
@@ -0,0 +1,328 @@
+/**
+ * Folha de estilos do plugin e temas
+ * Todo valor visual vem de uma propriedade customizada --tdi-*; o valor entre parênteses de cada var() é o tema claro
+ */
+
+/**
+ * ID do <style> injetado no documento (um por página, compartilhado pelas instâncias)
+ */
+export const STYLES_ID = 'tax-document-input-styles';
+
+/**
+ * Temas embutidos; auto segue prefers-color-scheme
+ */
+export const THEMES = ['light', 'dark', 'auto'];
+
+/**
+ * Tema claro (padrão): valores usados quando a propriedade não foi definida
+ */
+export const LIGHT_THEME = {
+    '--tdi-font-family': 'Arial, sans-serif',
+    '--tdi-font-size': '14px',
+    '--tdi-text-color': '#333',
+    '--tdi-muted-color': '#666',
+    '--tdi-background': 'white',
+    '--tdi-border': '1px solid #ccc',
+    '--tdi-radius': '4px',
+    '--tdi-padding': '8px 12px',
+    '--tdi-divider-color': '#eee',
+    '--tdi-hover-background': '#f5f5f5',
+    '--tdi-shadow': '0 4px 12px rgba(0, 0, 0, 0.15)',
+    '--tdi-z-index': '2147483647',
+    '--tdi-field-min-width': '200px',
+    '--tdi-valid-color': '#28a745',
+    '--tdi-valid-ring': 'rgba(40, 167, 69, 0.2)',
+    '--tdi-invalid-color': '#dc3545',
+    '--tdi-invalid-ring': 'rgba(220, 53, 69, 0.2)',
+    '--tdi-link-color': '#007bff',
+    '--tdi-flag-width': '20px',
+    '--tdi-flag-height': '15px',
+    '--tdi-flag-radius': '2px',
+    '--tdi-flag-code-background': '#eee',
+    '--tdi-flag-code-color': '#555'
+};
+
+/**
+ * Tema escuro: só as cores mudam
+ */
+export const DARK_THEME = {
+    '--tdi-text-color': '#e6e6e6',
+    '--tdi-muted-color': '#a0a0a0',
+    '--tdi-background': '#1f2328',
+    '--tdi-border': '1px solid #444c56',
+    '--tdi-divider-color': '#30363d',
+    '--tdi-hover-background': '#2d333b',
+    '--tdi-shadow': '0 4px 12px rgba(0, 0, 0, 0.5)',
+    '--tdi-valid-color': '#3fb950',
+    '--tdi-valid-ring': 'rgba(63, 185, 80, 0.3)',
+    '--tdi-invalid-color': '#f85149',
+    '--tdi-invalid-ring': 'rgba(248, 81, 73, 0.3)',
+    '--tdi-link-color': '#58a6ff',
+    '--tdi-flag-code-background': '#30363d',
+    '--tdi-flag-code-color': '#c9d1d9'
+};
+
+/**
+ * var() com o valor do tema claro como reserva (ex.: v('background') → var(--tdi-background, white))
+ */
+const v = (name) => `var(--tdi-${name}, ${LIGHT_THEME[`--tdi-${name}`]})`;
+
+/**
+ * Declarações de um tema, para um bloco de regra
+ */
+const declarations = (theme) => Object.entries(theme).map(([name, value]) => `${name}: ${value};`).join('\n                ');
+
+/**
+ * CSS completo do plugin, também exposto para quem prefere servir o arquivo (ex.: CSP sem estilos inline)
+ * Os temas usam :where() para não ganhar de nenhuma regra da página que redefina as propriedades
+ */
+export const getStyles = () => `
+            /* Temas */
+            :where([data-tdi-theme="dark"]) {
+                ${declarations(DARK_THEME)}
+                color-scheme: dark;
+            }
+
+            @media (prefers-color-scheme: dark) {
+                :where([data-tdi-theme="auto"]) {
+                    ${declarations(DARK_THEME)}
+                    color-scheme: dark;
+                }
+            }
+
+            /* Reset e estilos base */
+            .tax-document-input {
+                width: 100% !important;
+                position: relative !important;
+                display: inline-flex !important;
+                align-items: center !important;
+                border: ${v('border')} !important;
+                border-radius: ${v('radius')} !important;
+                background: ${v('background')} !important;
+                color: ${v('text-color')} !important;
+                font-family: ${v('font-family')} !important;
+                box-sizing: border-box !important;
+            }
+
+            .tax-document-input__country {
+                position: relative !important;
+                display: inline-block !important;
+            }
+
+            .tax-document-input__country-button {
+                background: none !important;
+                border: none !important;
+                padding: ${v('padding')} !important;
+                cursor: pointer !important;
+                display: flex !important;
+                align-items: center !important;
+                gap: 5px !important;
+                border-right: 1px solid ${v('divider-color')} !important;
+                box-sizing: border-box !important;
+                color: inherit !important;
+                font-family: inherit !important;
+                font-size: ${v('font-size')} !important;
+            }
+
+            .tax-document-input__country-button:hover {
+                background-color: ${v('hover-background')} !important;
+            }
+
+            .tax-document-input__arrow {
+                font-size: 10px !important;
+                color: ${v('muted-color')} !important;
+            }
+
+            .tax-document-input__field {
+                border: none !important;
+                outline: none !important;
+                padding: ${v('padding')} !important;
+                font-size: ${v('font-size')} !important;
+                flex: 1 !important;
+                min-width: ${v('field-min-width')} !important;
+                transition: border-color 0.2s ease !important;
+                box-sizing: border-box !important;
+                font-family: inherit !important;
+                color: inherit !important;
+                background: transparent !important;
+            }
+
+            .tax-document-input__field:focus {
+                outline: none !important;
+                box-shadow: none !important;
+            }
+
+            /* Estados de validação */
+            .tax-document-input--valid {
+                border-color: ${v('valid-color')} !important;
+                box-shadow: 0 0 0 2px ${v('valid-ring')} !important;
+            }
+
+            .tax-document-input--invalid {
+                border-color: ${v('invalid-color')} !important;
+                box-shadow: 0 0 0 2px ${v('invalid-ring')} !important;
+            }
+
+            /* Bandeiras */
+            .tax-document-input__flag {
+                display: inline-block !important;
+                flex-shrink: 0 !important;
+                width: ${v('flag-width')} !important;
+                height: ${v('flag-height')} !important;
+                border-radius: ${v('flag-radius')} !important;
+                object-fit: cover !important;
+            }
+
+            .tax-document-input__flag--emoji {
+                height: auto !important;
+                font-size: 15px !important;
+                line-height: ${v('flag-height')} !important;
+                text-align: center !important;
+            }
+
+            .tax-document-input__flag--code {
+                font-size: 9px !important;
+                line-height: ${v('flag-height')} !important;
+                text-align: center !important;
+                background: ${v('flag-code-background')} !important;
+                color: ${v('flag-code-color')} !important;
+            }
+
+            /* Sugestão de correção abaixo do campo */
+            .tax-document-input__suggestion {
+                margin-top: 4px !important;
+                font-family: ${v('font-family')} !important;
+                font-size: 13px !important;
+                color: ${v('muted-color')} !important;
+            }
+
+            .tax-document-input__suggestion-value {
+                background: none !important;
+                border: none !important;
+                padding: 0 !important;
+                cursor: pointer !important;
+                font: inherit !important;
+                color: ${v('link-color')} !important;
+                text-decoration: underline !important;
+            }
+
+            /* Dropdown - Máxima especificidade; a posição vem das propriedades --tdi-dropdown-* definidas pelo plugin */
+            .tax-document-input__dropdown[data-tax-dropdown="true"] {
+                position: fixed !important;
+                top: var(--tdi-dropdown-top, 0) !important;
+                left: var(--tdi-dropdown-left, 0) !important;
+                width: var(--tdi-dropdown-width, auto) !important;
+                background: ${v('background')} !important;
+                color: ${v('text-color')} !important;
+                border: ${v('border')} !important;
+                border-radius: ${v('radius')} !important;
+                max-height: var(--tdi-dropdown-max-height, 200px) !important;
+                overflow-y: auto !important;
+                z-index: ${v('z-index')} !important;
+                margin: 0 !important;
+                padding: 0 !important;
+                box-shadow: ${v('shadow')} !important;
+                min-width: 150px !important;
+                opacity: 1 !important;
+                visibility: visible !important;
+                pointer-events: auto !important;
+                font-family: ${v('font-family')} !important;
+                font-size: ${v('font-size')} !important;
+                box-sizing: border-box !important;
+                display: block !important;
+            }
+
+            .tax-document-input__dropdown[data-tax-dropdown="true"][hidden] {
+                display: none !important;
+            }
+
+            /* Busca no topo do dropdown (fixa ao rolar a lista) */
+            .tax-document-input__dropdown[data-tax-dropdown="true"] .tax-document-input__search {
+                position: sticky !important;
+                top: 0 !important;
+                padding: 6px !important;
+                background: ${v('background')} !important;
+                border-bottom: 1px solid ${v('divider-color')} !important;
+            }
+
+            .tax-document-input__dropdown[data-tax-dropdown="true"] .tax-document-input__search-input {
+                width: 100% !important;
+                padding: 6px 8px !important;
+                border: ${v('border')} !important;
+                border-radius: ${v('radius')} !important;
+                background: ${v('background')} !important;
+                color: inherit !important;
+                font: inherit !important;
+                box-sizing: border-box !important;
+            }
+
+            .tax-document-input__dropdown[data-tax-dropdown="true"] > ul.tax-document-input__list {
+                margin: 0 !important;
+                padding: 0 !important;
+                list-style: none !important;
+            }
+
+            .tax-document-input__dropdown[data-tax-dropdown="true"] li.tax-document-input__separator {
+                height: 0 !important;
+                margin: 0 !important;
+                padding: 0 !important;
+                border-bottom: ${v('border')} !important;
+                list-style: none !important;
+            }
+
+            .tax-document-input__dropdown[data-tax-dropdown="true"] [hidden],
+            .tax-document-input__dropdown[data-tax-dropdown="true"] li.tax-document-input__dropdown-item[hidden] {
+                display: none !important;
+            }
+
+            .tax-document-input__dropdown[data-tax-dropdown="true"] .tax-document-input__no-results {
+                padding: ${v('padding')} !important;
+                color: ${v('muted-color')} !important;
+            }
+
+            /* Items do dropdown */
+            .tax-document-input__dropdown[data-tax-dropdown="true"] li.tax-document-input__dropdown-item {
+                padding: ${v('padding')} !important;
+                cursor: pointer !important;
+                display: flex !important;
+                align-items: center !important;
+                gap: 8px !important;
+                background: ${v('background')} !important;
+                border-bottom: 1px solid ${v('divider-color')} !important;
+                font-size: ${v('font-size')} !important;
+                color: ${v('text-color')} !important;
+                box-sizing: border-box !important;
+                list-style: none !important;
+                margin: 0 !important;
+            }
+
+            .tax-document-input__dropdown[data-tax-dropdown="true"] li.tax-document-input__dropdown-item:hover,
+            .tax-document-input__dropdown[data-tax-dropdown="true"] li.tax-document-input__dropdown-item[data-active="true"] {
+                background-color: ${v('hover-background')} !important;
+            }
+
+            .tax-document-input__dropdown[data-tax-dropdown="true"] li.tax-document-input__dropdown-item:last-child {
+                border-bottom: none !important;
+            }
+
+            /* Reset de possíveis conflitos */
+            .tax-document-input *,
+            .tax-document-input *::before,
+            .tax-document-input *::after {
+                box-sizing: border-box !important;
+            }
+
+            /* Sobrescrever Bootstrap, Tailwind, etc. */
+            .tax-document-input .dropdown,
+            .tax-document-input .dropdown-menu,
+            .tax-document-input .dropdown-item {
+                position: static !important;
+                display: block !important;
+                border: none !important;
+                margin: 0 !important;
+                padding: 8px 12px !important;
+                background: transparent !important;
+                box-shadow: none !important;
+                transform: none !important;
+            }
+        `;
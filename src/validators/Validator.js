@@ -5,11 +5,85 @@
  * @license MIT
  * @author Roni Sommerfeld
  * @module Validator
+ * @requires MessageCatalog
  */
 
+import { MessageCatalogInstance } from '../MessageCatalog.js';
+
+/**
+ * Maximum number of typo suggestions returned for a check digit failure
+ */
+const MAX_SUGGESTIONS = 5;
+
+/**
+ * Keyboard rows (main keys and numeric keypad) used to rank substitutions of neighbouring keys
+ */
+const KEYBOARD_ROWS = [
+    ['1234567890', 'QWERTYUIOP', 'ASDFGHJKL', 'ZXCVBNM'],
+    ['789', '456', '123', '0']
+];
+
+/**
+ * Checks if two characters are next to each other on one of the keyboards
+ * @private
+ * @param {string} a - Typed character
+ * @param {string} b - Replacement character
+ * @returns {boolean} True if the keys are neighbours
+ */
+const areNeighbourKeys = (a, b) => KEYBOARD_ROWS.some(rows => {
+    const find = (char) => {
+        const row = rows.findIndex(keys => keys.includes(char));
+        return row === -1 ? null : [row, rows[row].indexOf(char)];
+    };
+
+    const positionA = find(a);
+    const positionB = find(b);
+    if (!positionA || !positionB) return false;
+
+    return Math.abs(positionA[0] - positionB[0]) <= 1 && Math.abs(positionA[1] - positionB[1]) <= 1;
+});
+
+/**
+ * Lists the values one typo away from a document, most likely first
+ * @description Substitutions keep the kind of character (digit or letter). A swap of two adjacent
+ * characters is the most likely slip, followed by a neighbouring key and then any other substitution
+ * @private
+ * @param {string} document - Clean document
+ * @returns {Array} Candidate values
+ */
+const getTypoCandidates = (document) => {
+    const candidates = [];
+
+    for (let i = 0; i < document.length; i++) {
+        const char = document.charAt(i);
+        const alphabet = /\d/.test(char) ? '0123456789' : 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+        for (const replacement of alphabet) {
+            if (replacement === char) continue;
+
+            candidates.push({
+                value: document.slice(0, i) + replacement + document.slice(i + 1),
+                rank: areNeighbourKeys(char, replacement) ? 1 : 2
+            });
+        }
+
+        const next = document.charAt(i + 1);
+        if (next && next !== char) {
+            candidates.push({
+                value: document.slice(0, i) + next + char + document.slice(i + 2),
+                rank: 0
+            });
+        }
+    }
+
+    return candidates.sort((a, b) => a.rank - b.rank).map(candidate => candidate.value);
+};
+
 export default class Validator {
     constructor() {
         this.rules = new Map();
+        this.hints = new Map();
+        this.checkDigits = new Map();
         this.loadRules();
     }
 
@@ -38,53 +112,283 @@ export default class Validator {
         this.rules.set(countryCode.toLowerCase(), rules);
     }
 
+    /**
+     * Registers the validation rule of a single document type
+     * @description Adds the validator to the rules already registered for the country,
+     * keeping the other document types (e.g. adds `vat` next to Portugal's nif and nipc)
+     * @param {string} countryCode - ISO2 country code
+     * @param {string} documentType - Document type (vat, cpf, nif, etc.)
+     * @param {Function} validator - Validation function returning isValid, error and details
+     * @method registerDocumentRule
+     * @version 1.0.0
+     * @returns {void}
+     */
+    registerDocumentRule(countryCode, documentType, validator) {
+        const code = countryCode.toLowerCase();
+
+        this.rules.set(code, {
+            ...(this.rules.get(code) || {}),
+            [documentType]: validator
+        });
+    }
+
+    /**
+     * Registers content hints for a country
+     * @description Stores functions that tell, from a partial value, whether it can still be a given
+     * document type. Used to choose between documents that share the same length (e.g. NIF and NIPC)
+     * @param {string} countryCode - ISO2 country code
+     * @param {Object} hints - Object mapping document types to functions returning false when the value cannot be that document
+     * @method registerHints
+     * @version 1.0.0
+     * @returns {void}
+     */
+    registerHints(countryCode, hints) {
+        this.hints.set(countryCode.toLowerCase(), hints);
+    }
+
+    /**
+     * Checks if a value may belong to a document type
+     * @description Runs the registered content hint; documents without hints are always plausible
+     * @param {string} value - Clean document value, possibly incomplete
+     * @param {string} countryCode - ISO2 country code
+     * @param {string} documentType - Document type (cpf, cnpj, nif, etc.)
+     * @method isPlausible
+     * @version 1.0.0
+     * @returns {boolean} False only when the hint rules the document type out
+     */
+    isPlausible(value, countryCode, documentType) {
+        const hints = this.hints.get(countryCode.toLowerCase());
+        const hint = hints?.[documentType];
+
+        if (typeof hint !== 'function') return true;
+
+        return hint(value) !== false;
+    }
+
+    /**
+     * Registers check digit completion for a country
+     * @description Stores functions that receive a document without its check characters and
+     * return them, sharing the algorithm used by the validation rules. Check characters that are
+     * not at the end (e.g. the key of a French VAT number) take `{ compute, insert }`, where
+     * insert(partial, checkDigits) returns the complete document
+     * @param {string} countryCode - ISO2 country code
+     * @param {Object} checkDigits - Object mapping document types to functions returning the check characters or null
+     * @method registerCheckDigits
+     * @version 1.0.0
+     * @returns {void}
+     */
+    registerCheckDigits(countryCode, checkDigits) {
+        this.checkDigits.set(countryCode.toLowerCase(), checkDigits);
+    }
+
+    /**
+     * Registers check digit completion for a single document type
+     * @description Adds the completion to the ones already registered for the country,
+     * keeping the other document types (e.g. adds `vat` next to Portugal's nif and nipc)
+     * @param {string} countryCode - ISO2 country code
+     * @param {string} documentType - Document type (vat, cpf, nif, etc.)
+     * @param {Function|Object} checkDigits - Completion function, or { compute, insert }
+     * @method registerDocumentCheckDigits
+     * @version 1.0.0
+     * @returns {void}
+     */
+    registerDocumentCheckDigits(countryCode, documentType, checkDigits) {
+        const code = countryCode.toLowerCase();
+
+        this.checkDigits.set(code, {
+            ...(this.checkDigits.get(code) || {}),
+            [documentType]: checkDigits
+        });
+    }
+
+    /**
+     * Gets the check digit completion of a document type
+     * @description `insert(partial, checkDigits)` returns the whole document, with the check
+     * characters in their position (appended unless the completion places them elsewhere)
+     * @param {string} countryCode - ISO2 country code
+     * @param {string} documentType - Document type (cpf, cnpj, nif, etc.)
+     * @method getCheckDigits
+     * @version 1.0.0
+     * @returns {Object|null} { compute, insert } or null
+     */
+    getCheckDigits(countryCode, documentType) {
+        const entry = this.checkDigits.get(countryCode.toLowerCase())?.[documentType];
+        const compute = typeof entry === 'function' ? entry : entry?.compute;
+
+        if (typeof compute !== 'function') return null;
+
+        return {
+            compute,
+            insert: typeof entry.insert === 'function' ? entry.insert : (partial, checkDigits) => partial + checkDigits
+        };
+    }
+
+    /**
+     * Computes the check characters of a partial document
+     * @description The completed document must also pass the validation rule, so bases the rule
+     * rejects (invalid prefixes, dates, ranges) or that have no possible check digit return null
+     * @param {string} partial - Clean document without its check characters
+     * @param {string} countryCode - ISO2 country code
+     * @param {string} documentType - Document type (cpf, cnpj, nif, etc.)
+     * @method computeCheckDigits
+     * @version 1.0.0
+     * @returns {string|null} Check characters (e.g. 09 for CPF 123456789) or null
+     */
+    computeCheckDigits(partial, countryCode, documentType) {
+        const completion = this.getCheckDigits(countryCode, documentType);
+
+        if (!completion) return null;
+
+        const checkDigits = completion.compute(partial);
+        if (checkDigits === null || checkDigits === undefined) return null;
+
+        const document = completion.insert(partial, String(checkDigits));
+
+        return this.validate(document, countryCode, documentType).isValid
+            ? String(checkDigits)
+            : null;
+    }
+
+    /**
+     * Checks if a document type has check digit completion
+     * @param {string} countryCode - ISO2 country code
+     * @param {string} documentType - Document type (cpf, cnpj, nif, etc.)
+     * @method hasCheckDigits
+     * @version 1.0.0
+     * @returns {boolean} True if a completion function is registered
+     */
+    hasCheckDigits(countryCode, documentType) {
+        return this.getCheckDigits(countryCode, documentType) !== null;
+    }
+
+    /**
+     * Builds a failed validation result with a translated message
+     * @description Has the same keys as a rule result, documentType and countryCode included
+     * @private
+     * @param {string} code - Error code
+     * @param {Object} params - Message params
+     * @param {string|null} locale - Message locale
+     * @param {string|null} [countryCode] - ISO2 country code, null when unknown
+     * @param {string|null} [documentType] - Document type, null when unknown
+     * @method failure
+     * @version 1.1.0
+     * @returns {Object} Validation result
+     */
+    failure(code, params, locale, countryCode = null, documentType = null) {
+        return {
+            isValid: false,
+            code,
+            params,
+            error: MessageCatalogInstance.format(code, params, locale),
+            details: null,
+            documentType: documentType ?? null,
+            countryCode: countryCode ?? null
+        };
+    }
+
     /**
      * Validates a tax document
-     * @description Performs validation using the appropriate country-specific validator
+     * @description Performs validation using the appropriate country-specific validator. Rules return
+     * a stable error code with params, translated into `error` with the message catalog of the locale;
+     * rules that still return an `error` string without a code keep it
      * @param {string} document - Document without formatting (numbers only)
      * @param {string} countryCode - ISO2 country code
      * @param {string} documentType - Document type (cpf, cnpj, nif, etc.)
+     * @param {Object} [options] - { locale } for the error message (e.g. pt-BR), English by default
      * @method validate
-     * @version 1.0.0
-     * @returns {Object} Validation result with isValid, error, and details
+     * @version 1.1.0
+     * @returns {Object} Validation result with isValid, code, params, error, details, documentType
+     * and countryCode
      */
-    validate(document, countryCode, documentType) {
+    validate(document, countryCode, documentType, options = {}) {
+        const { locale = null } = options;
         const rules = this.rules.get(countryCode.toLowerCase());
 
         if (!rules) {
-            return {
-                isValid: false,
-                error: `Regras de validação não encontradas para o país: ${countryCode}`,
-                details: null
-            };
+            return this.failure('RULES_NOT_FOUND', { country: countryCode }, locale, countryCode, documentType);
         }
 
         const validator = rules[documentType];
 
         if (!validator || typeof validator !== 'function') {
-            return {
-                isValid: false,
-                error: `Validador não encontrado para o tipo: ${documentType}`,
-                details: null
-            };
+            return this.failure('VALIDATOR_NOT_FOUND', { documentType }, locale, countryCode, documentType);
         }
 
         try {
-            const result = validator(document);
-            return {
+            const result = validator.call(rules, document);
+            const code = result.isValid ? null : result.code || null;
+            const validation = {
                 isValid: result.isValid,
-                error: result.error || null,
+                code,
+                params: code ? result.params || {} : null,
+                error: code ? MessageCatalogInstance.format(code, result.params, locale) : result.error || null,
                 details: result.details || null,
                 documentType: documentType,
                 countryCode: countryCode
             };
+
+            if (this.isCheckDigitFailure(validation)) {
+                validation.suggestions = this.suggest(document, countryCode, documentType);
+            }
+
+            return validation;
         } catch (error) {
-            return {
-                isValid: false,
-                error: `Erro durante validação: ${error.message}`,
-                details: null
-            };
+            return this.failure('VALIDATION_ERROR', { message: error.message }, locale, countryCode, documentType);
+        }
+    }
+
+    /**
+     * Checks if a validation result failed on the check digits
+     * @description Uses the CHECK_DIGIT, CHECK_DIGIT_1/2, CHECK_LETTER and CHECK_CHARACTER codes; for
+     * rules without codes, the calculated check characters or the invalid_check_digit issue
+     * @param {Object} result - Validation result
+     * @method isCheckDigitFailure
+     * @version 1.0.0
+     * @returns {boolean} True if only the check digits are wrong
+     */
+    isCheckDigitFailure(result) {
+        if (!result || result.isValid) return false;
+        if (result.code) return /^CHECK_(DIGIT|LETTER|CHARACTER)/.test(result.code);
+        if (!result.details) return false;
+
+        return 'calculated' in result.details || result.details.issue === 'invalid_check_digit';
+    }
+
+    /**
+     * Suggests the valid documents one typo away
+     * @description Tries every single-character substitution and adjacent transposition, keeping the
+     * values that pass the rule and the content hints, ranked by likelihood
+     * (swapped characters, then neighbouring key, then any other substitution)
+     * @param {string} document - Clean document that failed on its check digits
+     * @param {string} countryCode - ISO2 country code
+     * @param {string} documentType - Document type (cpf, cnpj, nif, etc.)
+     * @method suggest
+     * @version 1.0.0
+     * @returns {Array} Up to MAX_SUGGESTIONS clean documents (e.g. ['12345678909'])
+     */
+    suggest(document, countryCode, documentType) {
+        const rules = this.rules.get(countryCode.toLowerCase());
+        const validator = rules?.[documentType];
+
+        if (typeof validator !== 'function') return [];
+
+        const suggestions = [];
+
+        for (const candidate of getTypoCandidates(document)) {
+            if (suggestions.length >= MAX_SUGGESTIONS) break;
+            if (suggestions.includes(candidate)) continue;
+
+            try {
+                if (validator.call(rules, candidate).isValid
+                    && this.isPlausible(candidate, countryCode, documentType)) {
+                    suggestions.push(candidate);
+                }
+            } catch (error) {
+                // Candidatos que quebram a regra são ignorados
+            }
         }
+
+        return suggestions;
     }
 
     /**
@@ -124,8 +428,4 @@ export default class Validator {
     }
 }
 
-export const ValidatorInstance = new Validator();
-
-if (typeof window !== 'undefined') {
-    window.TaxDocumentValidator = ValidatorInstance;
-}
\ No newline at end of file
+export const ValidatorInstance = new Validator();
\ No newline at end of file
@@ -0,0 +1,183 @@
+/**
+ * ArgentinaRules - Argentine tax document validation rules
+ * Provides validation algorithms for CUIL and CUIT with correct check digit calculations
+ * @version 1.0.0
+ * @license MIT
+ * @author Roni Sommerfeld
+ * @module ArgentinaRules
+ * @requires ValidatorInstance
+ */
+
+import { ValidatorInstance } from '../Validator.js';
+
+/**
+ * Type prefixes for individuals (20 male, 27 female, 23/24 when the check digit collides)
+ */
+const PERSONAL_PREFIXES = ['20', '23', '24', '27'];
+
+/**
+ * Type prefixes for legal entities (30 companies, 33/34 when the check digit collides)
+ */
+const COMPANY_PREFIXES = ['30', '33', '34'];
+
+/**
+ * CUIT prefixes: AFIP issues CUITs to individuals and legal entities alike
+ */
+const CUIT_PREFIXES = [...PERSONAL_PREFIXES, ...COMPANY_PREFIXES];
+
+const WEIGHTS = [5, 4, 3, 2, 7, 6, 5, 4, 3, 2];
+
+/**
+ * Computes the CUIT/CUIL check digit
+ * @param {string} base - First ten digits (prefix and number)
+ * @returns {number} Check digit, 10 when the base has none
+ */
+const cuitCheckDigit = (base) => {
+    let sum = 0;
+    for (let i = 0; i < 10; i++) {
+        sum += parseInt(base.charAt(i)) * WEIGHTS[i];
+    }
+
+    const checkDigit = 11 - (sum % 11);
+    return checkDigit === 11 ? 0 : checkDigit;
+};
+
+/**
+ * Validates the shared CUIT/CUIL structure
+ * @description Both documents are 11 digits: type prefix, DNI or company number and a mod-11 check digit
+ * @param {string} value - Document with numbers only
+ * @param {string} name - Document name used in error messages
+ * @param {Array} validPrefixes - Type prefixes accepted for the document
+ * @returns {Object} Validation result with isValid, code, params and details
+ */
+const validateCuit = (value, name, validPrefixes) => {
+    value = value.replace(/\D/g, '');
+
+    if (value.length !== 11) {
+        return {
+            isValid: false,
+            code: 'INVALID_LENGTH',
+            params: { document: name, expected: 11 },
+            details: { length: value.length, expected: 11 }
+        };
+    }
+
+    if (/^(\d)\1{10}$/.test(value)) {
+        return {
+            isValid: false,
+            code: 'REPEATED_DIGITS',
+            params: { document: name },
+            details: { pattern: 'repeated_digits' }
+        };
+    }
+
+    const prefix = value.slice(0, 2);
+
+    if (!validPrefixes.includes(prefix)) {
+        return {
+            isValid: false,
+            code: 'INVALID_PREFIX',
+            params: { document: name, prefix, prefixes: validPrefixes },
+            details: { prefix, validPrefixes, issue: 'invalid_prefix' }
+        };
+    }
+
+    const checkDigit = cuitCheckDigit(value.slice(0, 10));
+
+    // A result of 10 is never issued: AFIP changes the prefix to 23/24 or 33/34 instead
+    if (checkDigit === 10 || checkDigit !== parseInt(value.charAt(10))) {
+        return {
+            isValid: false,
+            code: 'CHECK_DIGIT',
+            params: { document: name },
+            details: { calculated: checkDigit, provided: parseInt(value.charAt(10)) }
+        };
+    }
+
+    return {
+        isValid: true,
+        code: null,
+        details: {
+            formatted: `${prefix}-${value.slice(2, 10)}-${value.charAt(10)}`,
+            country: 'AR',
+            parts: { prefix, number: value.slice(2, 10), checkDigit: value.charAt(10) }
+        }
+    };
+};
+
+const ArgentinaRules = {
+    /**
+     * Validates CUIL (Código Único de Identificación Laboral) - Individual
+     * @description Validates Argentine individual labor identification code
+     * @param {string} cuil - CUIL with numbers only
+     * @returns {Object} Validation result with isValid, code, params and details
+     * @version 1.0.0
+     */
+    cuil: function(cuil) {
+        const result = validateCuit(cuil, 'CUIL', PERSONAL_PREFIXES);
+
+        if (result.isValid) {
+            result.details.type = 'personal';
+        }
+
+        return result;
+    },
+
+    /**
+     * Validates CUIT (Clave Única de Identificación Tributaria)
+     * @description Validates Argentine taxpayer identification key of companies and of individuals
+     * with a taxable activity; `details.type` follows the prefix
+     * @param {string} cuit - CUIT with numbers only
+     * @returns {Object} Validation result with isValid, code, params and details
+     * @version 1.1.0
+     */
+    cuit: function(cuit) {
+        const result = validateCuit(cuit, 'CUIT', CUIT_PREFIXES);
+
+        if (result.isValid) {
+            result.details.type = COMPANY_PREFIXES.includes(result.details.parts.prefix) ? 'company' : 'personal';
+        }
+
+        return result;
+    }
+};
+
+/**
+ * ArgentinaHints - Content hints to tell CUIL and CUIT apart
+ * @description Both have 11 digits; an individual's prefix (2x) is detected as CUIL and a company
+ * prefix (3x) as CUIT, although CUIT rules accept both
+ */
+export const ArgentinaHints = {
+    cuil: (value) => PERSONAL_PREFIXES.some(prefix => prefix.startsWith(value.slice(0, 2))),
+    cuit: (value) => COMPANY_PREFIXES.some(prefix => prefix.startsWith(value.slice(0, 2)))
+};
+
+/**
+ * Completes a CUIT/CUIL base
+ * @param {string} base - First ten digits
+ * @returns {string|null} Check digit, or null for a malformed base or one that would need a 10
+ */
+const completeCuit = (base) => {
+    if (!/^\d{10}$/.test(base)) return null;
+
+    const checkDigit = cuitCheckDigit(base);
+    return checkDigit === 10 ? null : String(checkDigit);
+};
+
+/**
+ * ArgentinaCheckDigits - Check digit completion for CUIL and CUIT
+ */
+export const ArgentinaCheckDigits = {
+    cuil: completeCuit,
+    cuit: completeCuit
+};
+
+ValidatorInstance.registerRules('ar', ArgentinaRules);
+ValidatorInstance.registerHints('ar', ArgentinaHints);
+ValidatorInstance.registerCheckDigits('ar', ArgentinaCheckDigits);
+
+if (typeof window !== 'undefined' && window.TaxDocumentValidator) {
+    window.TaxDocumentValidator.registerRules('ar', ArgentinaRules);
+}
+
+export default ArgentinaRules;
@@ -1,6 +1,6 @@
 /**
  * BrazilRules - Brazilian tax document validation rules
- * Provides validation algorithms for CPF and CNPJ with correct check digit calculations
+ * Provides validation algorithms for CPF and CNPJ (numeric and alphanumeric) with correct check digit calculations
  * @version 1.0.0
  * @license MIT
  * @author Roni Sommerfeld
@@ -10,12 +10,49 @@
 
 import { ValidatorInstance } from '../Validator.js';
 
+/**
+ * Weights of the second check digit; the first one uses the same list without its first weight
+ */
+const CPF_WEIGHTS = [11, 10, 9, 8, 7, 6, 5, 4, 3, 2];
+const CNPJ_WEIGHTS = [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+
+/**
+ * Computes a mod-11 check digit
+ * @description Each character is weighted by its ASCII code minus 48 (the digit itself for
+ * numbers, 17-42 for letters of the alphanumeric CNPJ); remainders 0 and 1 give 0
+ * @param {string} value - Characters before the check digit
+ * @param {Array} weights - One weight per character
+ * @returns {Object} { digit, sum, remainder }
+ */
+const mod11CheckDigit = (value, weights) => {
+    let sum = 0;
+    for (let i = 0; i < value.length; i++) {
+        sum += (value.charCodeAt(i) - 48) * weights[i];
+    }
+
+    const remainder = sum % 11;
+    return { digit: remainder < 2 ? 0 : 11 - remainder, sum, remainder };
+};
+
+/**
+ * Computes both check digits of a CPF or CNPJ base
+ * @param {string} base - Document without its two check digits
+ * @param {Array} weights - CPF_WEIGHTS or CNPJ_WEIGHTS
+ * @returns {string} The two check digits
+ */
+const computeCheckDigits = (base, weights) => {
+    const digit1 = mod11CheckDigit(base, weights.slice(1)).digit;
+    const digit2 = mod11CheckDigit(base + digit1, weights).digit;
+
+    return `${digit1}${digit2}`;
+};
+
 const BrazilRules = {
     /**
      * Validates CPF (Cadastro de Pessoas Físicas)
      * @description Validates Brazilian individual taxpayer registry using correct algorithm
      * @param {string} cpf - CPF with numbers only
-     * @returns {Object} Validation result with isValid, error and details
+     * @returns {Object} Validation result with isValid, code, params and details
      * @version 1.0.0
      */
     cpf: function(cpf) {
@@ -24,7 +61,8 @@ const BrazilRules = {
         if (cpf.length !== 11) {
             return {
                 isValid: false,
-                error: 'CPF deve conter exatamente 11 dígitos',
+                code: 'INVALID_LENGTH',
+                params: { document: 'CPF', expected: 11 },
                 details: { length: cpf.length, expected: 11 }
             };
         }
@@ -32,56 +70,47 @@ const BrazilRules = {
         if (/^(\d)\1{10}$/.test(cpf)) {
             return {
                 isValid: false,
-                error: 'CPF não pode ter todos os dígitos iguais',
+                code: 'REPEATED_DIGITS',
+                params: { document: 'CPF' },
                 details: { pattern: 'repeated_digits' }
             };
         }
 
-        let sum = 0;
-        for (let i = 0; i < 9; i++) {
-            sum += parseInt(cpf.charAt(i)) * (10 - i);
-        }
-
-        let remainder = sum % 11;
-        let digit1 = remainder < 2 ? 0 : 11 - remainder;
+        const first = mod11CheckDigit(cpf.slice(0, 9), CPF_WEIGHTS.slice(1));
 
-        if (digit1 !== parseInt(cpf.charAt(9))) {
+        if (first.digit !== parseInt(cpf.charAt(9))) {
             return {
                 isValid: false,
-                error: 'Primeiro dígito verificador inválido',
+                code: 'CHECK_DIGIT_1',
+                params: { document: 'CPF' },
                 details: {
-                    calculated: digit1,
+                    calculated: first.digit,
                     provided: parseInt(cpf.charAt(9)),
-                    sum: sum,
-                    remainder: remainder
+                    sum: first.sum,
+                    remainder: first.remainder
                 }
             };
         }
 
-        sum = 0;
-        for (let i = 0; i < 10; i++) {
-            sum += parseInt(cpf.charAt(i)) * (11 - i);
-        }
-
-        remainder = sum % 11;
-        let digit2 = remainder < 2 ? 0 : 11 - remainder;
+        const second = mod11CheckDigit(cpf.slice(0, 10), CPF_WEIGHTS);
 
-        if (digit2 !== parseInt(cpf.charAt(10))) {
+        if (second.digit !== parseInt(cpf.charAt(10))) {
             return {
                 isValid: false,
-                error: 'Segundo dígito verificador inválido',
+                code: 'CHECK_DIGIT_2',
+                params: { document: 'CPF' },
                 details: {
-                    calculated: digit2,
+                    calculated: second.digit,
                     provided: parseInt(cpf.charAt(10)),
-                    sum: sum,
-                    remainder: remainder
+                    sum: second.sum,
+                    remainder: second.remainder
                 }
             };
         }
 
         return {
             isValid: true,
-            error: null,
+            code: null,
             details: {
                 formatted: `${cpf.slice(0,3)}.${cpf.slice(3,6)}.${cpf.slice(6,9)}-${cpf.slice(9,11)}`,
                 type: 'personal',
@@ -92,89 +121,100 @@ const BrazilRules = {
 
     /**
      * Validates CNPJ (Cadastro Nacional da Pessoa Jurídica)
-     * @description Validates Brazilian company taxpayer registry using correct algorithm
-     * @param {string} cnpj - CNPJ with numbers only
-     * @returns {Object} Validation result with isValid, error and details
-     * @version 1.0.0
+     * @description Validates Brazilian company taxpayer registry, including the alphanumeric
+     * format issued from July 2026. Each character is weighted by its ASCII code minus 48,
+     * so numeric CNPJs keep the exact same check digits.
+     * @param {string} cnpj - CNPJ with numbers and uppercase letters only
+     * @returns {Object} Validation result with isValid, code, params and details
+     * @version 1.1.0
      */
     cnpj: function(cnpj) {
-        cnpj = cnpj.replace(/\D/g, '');
+        cnpj = cnpj.toUpperCase().replace(/[^0-9A-Z]/g, '');
         
         if (cnpj.length !== 14) {
             return {
                 isValid: false,
-                error: 'CNPJ deve conter exatamente 14 dígitos',
+                code: 'INVALID_LENGTH',
+                params: { document: 'CNPJ', expected: 14 },
                 details: { length: cnpj.length, expected: 14 }
             };
         }
 
-        if (/^(\d)\1{13}$/.test(cnpj)) {
+        if (!/^[0-9A-Z]{12}\d{2}$/.test(cnpj)) {
             return {
                 isValid: false,
-                error: 'CNPJ não pode ter todos os dígitos iguais',
-                details: { pattern: 'repeated_digits' }
+                code: 'INVALID_FORMAT',
+                params: { document: 'CNPJ' },
+                details: { pattern: 'invalid_characters' }
             };
         }
 
-        const weights1 = [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
-        
-        let sum = 0;
-        for (let i = 0; i < 12; i++) {
-            sum += parseInt(cnpj.charAt(i)) * weights1[i];
+        if (/^(\d)\1{13}$/.test(cnpj)) {
+            return {
+                isValid: false,
+                code: 'REPEATED_DIGITS',
+                params: { document: 'CNPJ' },
+                details: { pattern: 'repeated_digits' }
+            };
         }
 
-        let remainder = sum % 11;
-        let digit1 = remainder < 2 ? 0 : 11 - remainder;
+        const first = mod11CheckDigit(cnpj.slice(0, 12), CNPJ_WEIGHTS.slice(1));
 
-        if (digit1 !== parseInt(cnpj.charAt(12))) {
+        if (first.digit !== parseInt(cnpj.charAt(12))) {
             return {
                 isValid: false,
-                error: 'Primeiro dígito verificador inválido',
+                code: 'CHECK_DIGIT_1',
+                params: { document: 'CNPJ' },
                 details: {
-                    calculated: digit1,
+                    calculated: first.digit,
                     provided: parseInt(cnpj.charAt(12)),
-                    sum: sum,
-                    remainder: remainder
+                    sum: first.sum,
+                    remainder: first.remainder
                 }
             };
         }
 
-        const weights2 = [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
-        
-        sum = 0;
-        for (let i = 0; i < 13; i++) {
-            sum += parseInt(cnpj.charAt(i)) * weights2[i];
-        }
+        const second = mod11CheckDigit(cnpj.slice(0, 13), CNPJ_WEIGHTS);
 
-        remainder = sum % 11;
-        let digit2 = remainder < 2 ? 0 : 11 - remainder;
-
-        if (digit2 !== parseInt(cnpj.charAt(13))) {
+        if (second.digit !== parseInt(cnpj.charAt(13))) {
             return {
                 isValid: false,
-                error: 'Segundo dígito verificador inválido',
+                code: 'CHECK_DIGIT_2',
+                params: { document: 'CNPJ' },
                 details: {
-                    calculated: digit2,
+                    calculated: second.digit,
                     provided: parseInt(cnpj.charAt(13)),
-                    sum: sum,
-                    remainder: remainder
+                    sum: second.sum,
+                    remainder: second.remainder
                 }
             };
         }
 
         return {
             isValid: true,
-            error: null,
+            code: null,
             details: {
                 formatted: `${cnpj.slice(0,2)}.${cnpj.slice(2,5)}.${cnpj.slice(5,8)}/${cnpj.slice(8,12)}-${cnpj.slice(12,14)}`,
                 type: 'company',
-                country: 'BR'
+                country: 'BR',
+                alphanumeric: /[A-Z]/.test(cnpj)
             }
         };
     }
 };
 
+/**
+ * BrazilCheckDigits - Check digit completion for CPF and CNPJ
+ * @description Receives the document without its check digits (9 CPF digits, or the 12-character
+ * CNPJ root and branch) and returns the two check digits, or null for a malformed base
+ */
+export const BrazilCheckDigits = {
+    cpf: (base) => /^\d{9}$/.test(base) ? computeCheckDigits(base, CPF_WEIGHTS) : null,
+    cnpj: (base) => /^[0-9A-Z]{12}$/.test(base) ? computeCheckDigits(base, CNPJ_WEIGHTS) : null
+};
+
 ValidatorInstance.registerRules('br', BrazilRules);
+ValidatorInstance.registerCheckDigits('br', BrazilCheckDigits);
 
 if (typeof window !== 'undefined' && window.TaxDocumentValidator) {
     window.TaxDocumentValidator.registerRules('br', BrazilRules);
@@ -0,0 +1,181 @@
+/**
+ * ChileRules - Chilean tax document validation rules
+ * Provides validation algorithms for RUN and RUT with correct check digit calculations
+ * @version 1.0.0
+ * @license MIT
+ * @author Roni Sommerfeld
+ * @module ChileRules
+ * @requires ValidatorInstance
+ */
+
+import { ValidatorInstance } from '../Validator.js';
+
+/**
+ * Bodies from this number up are assigned to legal entities, lower ones to individuals
+ */
+const COMPANY_BODY_START = 50000000;
+
+/**
+ * Computes the RUN/RUT check digit
+ * @description Multipliers 2 to 7 from the rightmost digit; 11 gives 0 and 10 gives K
+ * @param {string} body - Digits before the check digit
+ * @returns {string} Check digit (0-9 or K)
+ */
+const rutCheckDigit = (body) => {
+    let sum = 0;
+    let multiplier = 2;
+    for (let i = body.length - 1; i >= 0; i--) {
+        sum += parseInt(body.charAt(i)) * multiplier;
+        multiplier = multiplier === 7 ? 2 : multiplier + 1;
+    }
+
+    const remainder = 11 - (sum % 11);
+    return remainder === 11 ? '0' : remainder === 10 ? 'K' : String(remainder);
+};
+
+/**
+ * Validates the shared RUN/RUT structure
+ * @description A variable-length body (7 or 8 digits) followed by a mod-11 check digit that can be K.
+ * Only the separators are removed: any other letter is an invalid format, not something to drop
+ * @param {string} value - Document, formatted or not
+ * @param {string} name - Document name used in error messages
+ * @returns {Object} Validation result with isValid, code, params and details
+ */
+const validateRut = (value, name) => {
+    value = value.toUpperCase().replace(/[\s.-]/g, '');
+
+    if (value.length < 8 || value.length > 9) {
+        return {
+            isValid: false,
+            code: 'INVALID_LENGTH_RANGE',
+            params: { document: name, min: 8, max: 9 },
+            details: { length: value.length, expected: [8, 9] }
+        };
+    }
+
+    if (!/^\d+[0-9K]$/.test(value)) {
+        return {
+            isValid: false,
+            code: 'INVALID_FORMAT',
+            params: { document: name },
+            details: { pattern: 'invalid_format' }
+        };
+    }
+
+    const body = value.slice(0, -1);
+    const provided = value.slice(-1);
+
+    if (/^(\d)\1+$/.test(body)) {
+        return {
+            isValid: false,
+            code: 'REPEATED_DIGITS',
+            params: { document: name },
+            details: { pattern: 'repeated_digits' }
+        };
+    }
+
+    const checkDigit = rutCheckDigit(body);
+
+    if (checkDigit !== provided) {
+        return {
+            isValid: false,
+            code: 'CHECK_DIGIT',
+            params: { document: name },
+            details: { calculated: checkDigit, provided }
+        };
+    }
+
+    const formattedBody = body.replace(/\B(?=(\d{3})+(?!\d))/g, '.');
+
+    return {
+        isValid: true,
+        code: null,
+        details: {
+            formatted: `${formattedBody}-${checkDigit}`,
+            country: 'CL',
+            parts: { body, checkDigit }
+        }
+    };
+};
+
+const ChileRules = {
+    /**
+     * Validates RUN (Rol Único Nacional) - Individual
+     * @description Validates Chilean individual taxpayer number, issued below 50.000.000
+     * @param {string} run - RUN with numbers and K only
+     * @returns {Object} Validation result with isValid, code, params and details
+     * @version 1.0.0
+     */
+    run: function(run) {
+        const result = validateRut(run, 'RUN');
+
+        if (result.isValid && parseInt(result.details.parts.body, 10) >= COMPANY_BODY_START) {
+            return {
+                isValid: false,
+                code: 'COMPANY_RANGE',
+                params: { document: 'RUN' },
+                details: { body: result.details.parts.body, issue: 'company_range' }
+            };
+        }
+
+        if (result.isValid) {
+            result.details.type = 'personal';
+        }
+
+        return result;
+    },
+
+    /**
+     * Validates RUT (Rol Único Tributario) - Company
+     * @description Validates Chilean legal entity taxpayer number, issued from 50.000.000 up
+     * @param {string} rut - RUT with numbers and K only
+     * @returns {Object} Validation result with isValid, code, params and details
+     * @version 1.0.0
+     */
+    rut: function(rut) {
+        const result = validateRut(rut, 'RUT');
+
+        if (result.isValid && parseInt(result.details.parts.body, 10) < COMPANY_BODY_START) {
+            return {
+                isValid: false,
+                code: 'PERSONAL_RANGE',
+                params: { document: 'RUT' },
+                details: { body: result.details.parts.body, issue: 'personal_range' }
+            };
+        }
+
+        if (result.isValid) {
+            result.details.type = 'company';
+        }
+
+        return result;
+    }
+};
+
+/**
+ * ChileHints - Content hints to tell RUN and RUT apart
+ * @description Company bodies always have 8 digits and start at 50.000.000
+ */
+export const ChileHints = {
+    run: (value) => value.length < 9 || parseInt(value.slice(0, 8), 10) < COMPANY_BODY_START,
+    rut: (value) => value.length === 9 && parseInt(value.slice(0, 8), 10) >= COMPANY_BODY_START
+};
+
+/**
+ * ChileCheckDigits - Check digit completion for RUN and RUT
+ * @description Receives the 7 or 8 digit body and returns the check digit, or null for a malformed body
+ */
+export const ChileCheckDigits = {
+    run: (body) => /^\d{7,8}$/.test(body) ? rutCheckDigit(body) : null,
+    rut: (body) => /^\d{8}$/.test(body) ? rutCheckDigit(body) : null
+};
+
+ValidatorInstance.registerRules('cl', ChileRules);
+ValidatorInstance.registerHints('cl', ChileHints);
+ValidatorInstance.registerCheckDigits('cl', ChileCheckDigits);
+
+if (typeof window !== 'undefined' && window.TaxDocumentValidator) {
+    window.TaxDocumentValidator.registerRules('cl', ChileRules);
+}
+
+export default ChileRules;
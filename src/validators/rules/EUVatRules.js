@@ -0,0 +1,524 @@
+/**
+ * EUVatRules - European Union VAT number validation rules
+ * Provides format and check digit validation for the VAT numbers of the 27 member states
+ * and Northern Ireland (XI), registered as the `vat` document of each country
+ * @version 1.0.0
+ * @license MIT
+ * @author Roni Sommerfeld
+ * @module EUVatRules
+ * @requires ValidatorInstance
+ * @requires SpainRules
+ * @requires PortugalRules
+ */
+
+import { ValidatorInstance } from '../Validator.js';
+import SpainRules, { SpainCheckDigits } from './SpainRules.js';
+import PortugalRules, { PortugalCheckDigits } from './PortugalRules.js';
+
+/**
+ * Converts a string of digits into an array of numbers
+ */
+const toDigits = (value) => value.split('').map(digit => parseInt(digit, 10));
+
+/**
+ * Sums the digits multiplied by the weight in the same position
+ */
+const weightedSum = (value, weights) => {
+    return toDigits(value).reduce((sum, digit, i) => sum + digit * weights[i], 0);
+};
+
+/**
+ * Remainder of a long numeric string, computed digit by digit to avoid precision loss
+ */
+const mod = (value, divisor) => {
+    return toDigits(value).reduce((remainder, digit) => (remainder * 10 + digit) % divisor, 0);
+};
+
+/**
+ * Luhn checksum: 0 means the number, check digit included, is valid
+ */
+const luhnChecksum = (value) => {
+    return toDigits(value).reverse().reduce((sum, digit, i) => {
+        if (i % 2 === 0) return sum + digit;
+        const doubled = digit * 2;
+        return sum + Math.floor(doubled / 10) + (doubled % 10);
+    }, 0) % 10;
+};
+
+/**
+ * ISO 7064 Mod 11,10 check digit (Germany, Croatia)
+ */
+const mod11_10 = (value) => {
+    let product = 10;
+    toDigits(value).forEach(digit => {
+        let sum = (digit + product) % 10;
+        if (sum === 0) sum = 10;
+        product = (2 * sum) % 11;
+    });
+    return (11 - product) % 10;
+};
+
+/**
+ * Check digit of an Irish VAT number: a letter over 7 digits and the optional extra letter
+ */
+const irishCheckLetter = (digits, extra) => {
+    const alphabet = 'WABCDEFGHIJKLMNOPQRSTUV';
+    const sum = weightedSum(digits.padStart(7, '0'), [8, 7, 6, 5, 4, 3, 2]) + 9 * Math.max(alphabet.indexOf(extra), 0);
+    return alphabet.charAt(sum % 23);
+};
+
+/**
+ * Bulgarian 10-digit numbers accept the check digit of a personal number (EGN), a foreigner
+ * number (PNF) or other entities
+ */
+const bulgarianCheckDigits = (base) => {
+    const egn = (weightedSum(base, [2, 4, 8, 5, 10, 9, 7, 3, 6]) % 11) % 10;
+    const pnf = weightedSum(base, [21, 19, 17, 13, 11, 9, 7, 3, 1]) % 10;
+    const other = (11 - (weightedSum(base, [4, 3, 2, 7, 6, 5, 4, 3, 2]) % 11)) % 11;
+
+    return [egn, pnf, other].filter(digit => digit < 10).map(String);
+};
+
+/**
+ * Checks the date of a Czech birth number (rodné číslo); months get 50 (women) or 20 (since 2004) added
+ */
+const isCzechBirthDate = (number) => {
+    const month = parseInt(number.slice(2, 4), 10) % 50 % 20;
+    const day = parseInt(number.slice(4, 6), 10);
+    return month >= 1 && month <= 12 && day >= 1 && day <= 31;
+};
+
+/**
+ * Digit or null, for algorithms whose result can be 10
+ */
+const singleDigit = (value) => value >= 0 && value <= 9 ? String(value) : null;
+
+/**
+ * Check digit algorithms by VAT prefix
+ * Each entry has the expected format of the national part and the two halves of the algorithm:
+ * complete returns the check characters of a number without them (or null), and check returns
+ * true when a full number is valid. Without check, the last checkLength characters (1 by default)
+ * must be the ones complete returns. checkPosition is where the check characters go when they
+ * are not at the end (e.g. the French key comes first)
+ */
+const VAT_FORMATS = {
+    AT: {
+        pattern: /^U\d{8}$/,
+        complete: (base) => /^U\d{7}$/.test(base) ? String((((6 - luhnChecksum(base.slice(1))) % 10) + 10) % 10) : null
+    },
+    BE: {
+        pattern: /^[01]\d{9}$/,
+        checkLength: 2,
+        complete: (base) => /^[01]\d{7}$/.test(base) ? String(97 - (parseInt(base, 10) % 97)).padStart(2, '0') : null
+    },
+    BG: {
+        pattern: /^\d{9,10}$/,
+        complete: (base) => {
+            if (/^\d{9}$/.test(base)) return bulgarianCheckDigits(base)[0] || null;
+            if (!/^\d{8}$/.test(base)) return null;
+
+            let check = weightedSum(base, [1, 2, 3, 4, 5, 6, 7, 8]) % 11;
+            if (check === 10) {
+                check = weightedSum(base, [3, 4, 5, 6, 7, 8, 9, 10]) % 11;
+            }
+            return String(check % 10);
+        },
+        check: (number) => {
+            const base = number.slice(0, -1);
+            const last = number.slice(-1);
+
+            return number.length === 9
+                ? VAT_FORMATS.BG.complete(base) === last
+                : bulgarianCheckDigits(base).includes(last);
+        }
+    },
+    CY: {
+        pattern: /^[013459]\d{7}[A-Z]$/,
+        complete: (base) => {
+            if (!/^\d{8}$/.test(base) || base.startsWith('12')) return null;
+
+            const translation = [1, 0, 5, 7, 9, 13, 15, 17, 19, 21];
+            const sum = toDigits(base).reduce((total, digit, i) => {
+                return total + (i % 2 === 0 ? translation[digit] : digit);
+            }, 0);
+
+            return 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.charAt(sum % 26);
+        }
+    },
+    CZ: {
+        pattern: /^\d{8,10}$/,
+        complete: (base) => {
+            // Legal entities
+            if (/^\d{7}$/.test(base)) {
+                if (base.startsWith('9')) return null;
+                const check = (11 - (weightedSum(base, [8, 7, 6, 5, 4, 3, 2]) % 11)) % 11;
+                return String((check || 1) % 10);
+            }
+
+            // Individuals without a birth number
+            if (/^6\d{7}$/.test(base)) {
+                const difference = 11 - (weightedSum(base.slice(1), [8, 7, 6, 5, 4, 3, 2]) % 11);
+                return String([8, 7, 6, 5, 4, 3, 2, 1, 0, 9, 8][difference - 1]);
+            }
+
+            // Individuals: 10-digit birth number, divisible by 11 (a remainder of 10 takes 0)
+            if (/^\d{9}$/.test(base) && isCzechBirthDate(base)) {
+                const check = (11 - ((mod(base, 11) * 10) % 11)) % 11;
+                return check === 10 ? '0' : String(check);
+            }
+
+            return null;
+        },
+        check: (number) => {
+            // Birth numbers issued until 1954 have 9 digits and no check digit
+            if (number.length === 9 && !number.startsWith('6')) return isCzechBirthDate(number);
+
+            return VAT_FORMATS.CZ.complete(number.slice(0, -1)) === number.slice(-1);
+        }
+    },
+    DE: {
+        pattern: /^[1-9]\d{8}$/,
+        complete: (base) => /^[1-9]\d{7}$/.test(base) ? String(mod11_10(base)) : null
+    },
+    DK: {
+        pattern: /^[1-9]\d{7}$/,
+        complete: (base) => /^[1-9]\d{6}$/.test(base)
+            ? singleDigit((11 - (weightedSum(base, [2, 7, 6, 5, 4, 3, 2]) % 11)) % 11)
+            : null
+    },
+    EE: {
+        pattern: /^10\d{7}$/,
+        complete: (base) => /^10\d{6}$/.test(base)
+            ? String((10 - (weightedSum(base, [3, 7, 1, 3, 7, 1, 3, 7]) % 10)) % 10)
+            : null
+    },
+    EL: {
+        pattern: /^\d{9}$/,
+        complete: (base) => {
+            if (!/^\d{8}$/.test(base)) return null;
+
+            const sum = toDigits(base).reduce((total, digit, i) => total + digit * Math.pow(2, 8 - i), 0);
+            return String((sum % 11) % 10);
+        }
+    },
+    ES: {
+        pattern: /^[0-9A-Z]\d{7}[0-9A-Z]$/,
+        complete: (base) => {
+            if (!/^[0-9A-Z]\d{7}$/.test(base)) return null;
+
+            // K, L and M NIFs use the DNI control letter over their 7 digits
+            const candidates = /^[KLM]/.test(base)
+                ? [SpainCheckDigits.nif(`0${base.slice(1)}`)]
+                : [SpainCheckDigits.nif(base), SpainCheckDigits.nie(base), SpainCheckDigits.cif(base)];
+
+            return candidates.find(check => check && VAT_FORMATS.ES.check(base + check)) || null;
+        },
+        check: (number) => {
+            if (/^[KLM]\d{7}[A-Z]$/.test(number)) {
+                return SpainRules.nif(`0${number.slice(1)}`).isValid;
+            }
+
+            return SpainRules.nif(number).isValid
+                || SpainRules.nie(number).isValid
+                || SpainRules.cif(number).isValid;
+        }
+    },
+    FI: {
+        pattern: /^\d{8}$/,
+        complete: (base) => /^\d{7}$/.test(base)
+            ? singleDigit((11 - (weightedSum(base, [7, 9, 10, 5, 8, 4, 2]) % 11)) % 11)
+            : null
+    },
+    FR: {
+        pattern: /^[0-9A-HJ-NP-Z]{2}\d{9}$/,
+        checkPosition: 0,
+        // Completion gives the numeric key; keys with letters are older and only validated
+        complete: (siren) => {
+            if (!/^\d{9}$/.test(siren)) return null;
+            if (!siren.startsWith('000') && luhnChecksum(siren) !== 0) return null;
+
+            return String((12 + 3 * mod(siren, 97)) % 97).padStart(2, '0');
+        },
+        check: (number) => {
+            const key = number.slice(0, 2);
+            const siren = number.slice(2);
+
+            // Monaco numbers are valid VAT numbers but not SIREN numbers
+            if (!siren.startsWith('000') && luhnChecksum(siren) !== 0) return false;
+
+            if (/^\d{2}$/.test(key)) {
+                return VAT_FORMATS.FR.complete(siren) === key;
+            }
+
+            const alphabet = '0123456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+            const check = /\d/.test(key.charAt(0))
+                ? alphabet.indexOf(key.charAt(0)) * 24 + alphabet.indexOf(key.charAt(1)) - 10
+                : alphabet.indexOf(key.charAt(0)) * 34 + alphabet.indexOf(key.charAt(1)) - 100;
+
+            return (mod(siren, 11) + 1 + Math.floor(check / 11)) % 11 === check % 11;
+        }
+    },
+    HR: {
+        pattern: /^\d{11}$/,
+        complete: (base) => /^\d{10}$/.test(base) ? String(mod11_10(base)) : null
+    },
+    HU: {
+        pattern: /^\d{8}$/,
+        complete: (base) => /^\d{7}$/.test(base)
+            ? String((10 - (weightedSum(base, [9, 7, 3, 1, 9, 7, 3]) % 10)) % 10)
+            : null
+    },
+    IE: {
+        pattern: /^(\d{7}[A-W][A-IW]?|\d[A-Z]\d{5}[A-W])$/,
+        checkPosition: 7,
+        complete: (base) => {
+            if (/^\d{7}[A-IW]?$/.test(base)) return irishCheckLetter(base.slice(0, 7), base.charAt(7));
+
+            // Old format: the second character is a letter and the first digit moves to the end
+            if (/^\d[A-Z]\d{5}$/.test(base)) return irishCheckLetter(base.slice(2) + base.charAt(0), '');
+
+            return null;
+        },
+        check: (number) => VAT_FORMATS.IE.complete(number.slice(0, 7) + number.slice(8)) === number.charAt(7)
+    },
+    IT: {
+        pattern: /^\d{11}$/,
+        complete: (base) => {
+            if (!/^\d{10}$/.test(base) || /^0{7}/.test(base)) return null;
+
+            const office = parseInt(base.slice(7, 10), 10);
+            if (!((office >= 1 && office <= 100) || [120, 121, 888, 999].includes(office))) return null;
+
+            return String((10 - luhnChecksum(`${base}0`)) % 10);
+        }
+    },
+    LT: {
+        pattern: /^(\d{9}|\d{12})$/,
+        complete: (base) => {
+            if (!/^(\d{8}|\d{11})$/.test(base) || !base.endsWith('1')) return null;
+
+            let check = toDigits(base).reduce((sum, digit, i) => sum + (1 + (i % 9)) * digit, 0) % 11;
+            if (check === 10) {
+                check = toDigits(base).reduce((sum, digit, i) => sum + (1 + ((i + 2) % 9)) * digit, 0) % 11;
+            }
+
+            return String(check % 10);
+        }
+    },
+    LU: {
+        pattern: /^\d{8}$/,
+        checkLength: 2,
+        complete: (base) => /^\d{6}$/.test(base) ? String(parseInt(base, 10) % 89).padStart(2, '0') : null
+    },
+    LV: {
+        pattern: /^\d{11}$/,
+        complete: (base) => {
+            if (!/^\d{10}$/.test(base)) return null;
+
+            // Legal entities: the weighted sum of the 11 digits leaves 3
+            if (parseInt(base.charAt(0), 10) > 3) {
+                return singleDigit((3 - (weightedSum(base, [9, 1, 4, 8, 3, 10, 2, 5, 7, 6]) % 11) + 11) % 11);
+            }
+
+            // Personal codes issued since 2017 carry no date nor check digit
+            if (base.startsWith('32')) return null;
+
+            const day = parseInt(base.slice(0, 2), 10);
+            const month = parseInt(base.slice(2, 4), 10);
+            if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+            return String((1 + weightedSum(base, [10, 5, 8, 4, 2, 1, 6, 3, 7, 9])) % 11 % 10);
+        },
+        check: (number) => {
+            if (number.startsWith('32')) return true;
+
+            return VAT_FORMATS.LV.complete(number.slice(0, -1)) === number.slice(-1);
+        }
+    },
+    MT: {
+        pattern: /^[1-9]\d{7}$/,
+        checkLength: 2,
+        complete: (base) => /^[1-9]\d{5}$/.test(base)
+            ? String((37 - (weightedSum(base, [3, 4, 6, 7, 8, 9]) % 37)) % 37).padStart(2, '0')
+            : null,
+        // The two check digits are read as one number, so 37 more is also accepted (e.g. 05 and 42)
+        check: (number) => weightedSum(number, [3, 4, 6, 7, 8, 9, 10, 1]) % 37 === 0
+    },
+    NL: {
+        pattern: /^\d{9}B\d{2}$/,
+        checkPosition: 8,
+        complete: (base) => /^\d{8}B\d{2}$/.test(base)
+            ? singleDigit(weightedSum(base.slice(0, 8), [9, 8, 7, 6, 5, 4, 3, 2]) % 11)
+            : null,
+        check: (number) => {
+            if (VAT_FORMATS.NL.complete(number.slice(0, 8) + number.slice(9)) === number.charAt(8)) return true;
+
+            // Numbers issued to sole proprietors since 2020 use ISO 7064 Mod 97,10 over NL + number
+            const numeric = `NL${number}`.replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+            return mod(numeric, 97) === 1;
+        }
+    },
+    PL: {
+        pattern: /^\d{10}$/,
+        complete: (base) => /^\d{9}$/.test(base)
+            ? singleDigit(weightedSum(base, [6, 5, 7, 2, 3, 4, 5, 6, 7]) % 11)
+            : null
+    },
+    PT: {
+        pattern: /^\d{9}$/,
+        complete: (base) => PortugalCheckDigits.nif(base),
+        check: (number) => PortugalRules.nif(number).isValid
+    },
+    RO: {
+        pattern: /^\d{2,10}$/,
+        complete: (base) => {
+            if (!/^\d{1,9}$/.test(base)) return null;
+
+            const padded = base.padStart(9, '0');
+            return String((weightedSum(padded, [7, 5, 3, 2, 1, 7, 5, 3, 2]) * 10) % 11 % 10);
+        }
+    },
+    SE: {
+        pattern: /^\d{10}01$/,
+        checkPosition: 9,
+        // The check digit is the last one of the organisation number, before the 01 suffix
+        complete: (base) => /^\d{9}01$/.test(base) ? String((10 - luhnChecksum(`${base.slice(0, 9)}0`)) % 10) : null,
+        check: (number) => VAT_FORMATS.SE.complete(number.slice(0, 9) + number.slice(10)) === number.charAt(9)
+    },
+    SI: {
+        pattern: /^[1-9]\d{7}$/,
+        complete: (base) => {
+            if (!/^[1-9]\d{6}$/.test(base)) return null;
+
+            const check = 11 - (weightedSum(base, [8, 7, 6, 5, 4, 3, 2]) % 11);
+            return check === 10 ? '0' : singleDigit(check);
+        }
+    },
+    SK: {
+        pattern: /^[1-9]\d[2346789]\d{7}$/,
+        // The whole number is divisible by 11
+        complete: (base) => /^[1-9]\d[2346789]\d{6}$/.test(base)
+            ? singleDigit((11 - ((mod(base, 11) * 10) % 11)) % 11)
+            : null
+    },
+    XI: {
+        pattern: /^(\d{9}|\d{12}|GD[0-4]\d{2}|HA[5-9]\d{2})$/,
+        checkPosition: 7,
+        // Two check digits after the first seven, then an optional 3-digit branch
+        complete: (base) => /^\d{7}(\d{3})?$/.test(base)
+            ? String((97 - (weightedSum(base.slice(0, 7), [8, 7, 6, 5, 4, 3, 2]) % 97)) % 97).padStart(2, '0')
+            : null,
+        check: (number) => {
+            // Government departments (GD) and health authorities (HA) have no check digits
+            if (/^(GD|HA)/.test(number)) return true;
+
+            // Numbers issued since 2010 leave 42 instead of 0
+            const remainder = weightedSum(number.slice(0, 9), [8, 7, 6, 5, 4, 3, 2, 10, 1]) % 97;
+            return remainder === 0 || remainder === 42;
+        }
+    }
+};
+
+/**
+ * Validation half of a VAT format: its own check, or the last checkLength characters
+ * compared with the ones complete returns
+ */
+const checkNumber = (format, number) => {
+    if (format.check) return format.check(number);
+
+    const size = format.checkLength || 1;
+    return format.complete(number.slice(0, -size)) === number.slice(-size);
+};
+
+/**
+ * Builds the validator of one member state
+ * @param {string} prefix - VAT prefix (e.g. PT, EL, XI)
+ * @param {string} iso2 - ISO2 code of the country in the VAT data
+ * @returns {Function} Validator receiving the number with or without the prefix
+ */
+const createVatValidator = (prefix, iso2) => {
+    const format = VAT_FORMATS[prefix];
+
+    return function(vat) {
+        vat = vat.toUpperCase().replace(/[^0-9A-Z]/g, '');
+        const number = vat.startsWith(prefix) ? vat.slice(prefix.length) : vat;
+
+        if (!format.pattern.test(number)) {
+            return {
+                isValid: false,
+                code: 'INVALID_FORMAT',
+                params: { document: `VAT ${prefix}` },
+                details: { prefix, pattern: 'invalid_format' }
+            };
+        }
+
+        if (!checkNumber(format, number)) {
+            return {
+                isValid: false,
+                code: 'CHECK_DIGIT',
+                params: { document: `VAT ${prefix}` },
+                details: { prefix, issue: 'invalid_check_digit' }
+            };
+        }
+
+        return {
+            isValid: true,
+            code: null,
+            details: {
+                formatted: `${prefix}${number}`,
+                type: 'company',
+                country: iso2.toUpperCase(),
+                parts: { prefix, number }
+            }
+        };
+    };
+};
+
+/**
+ * Builds the check digit completion of one member state
+ * @param {string} prefix - VAT prefix (e.g. PT, EL, XI)
+ * @returns {Object} { compute, insert }: the partial number may carry the prefix, and insert puts
+ * the check characters back in their position
+ */
+const createVatCheckDigits = (prefix) => {
+    const format = VAT_FORMATS[prefix];
+    const toNumber = (partial) => {
+        const vat = partial.toUpperCase().replace(/[^0-9A-Z]/g, '');
+        return vat.startsWith(prefix) ? vat.slice(prefix.length) : vat;
+    };
+
+    return {
+        compute: (partial) => format.complete(toNumber(partial)),
+        insert: (partial, checkDigits) => {
+            const number = toNumber(partial);
+            const position = format.checkPosition ?? number.length;
+            return prefix + number.slice(0, position) + checkDigits + number.slice(position);
+        }
+    };
+};
+
+/**
+ * VAT prefix of each country, when it differs from the ISO2 code
+ */
+const VAT_PREFIXES = { gr: 'EL' };
+
+const EUVatRules = {};
+
+const EUVatCheckDigits = {};
+
+Object.keys(VAT_FORMATS).forEach(prefix => {
+    const iso2 = Object.keys(VAT_PREFIXES).find(code => VAT_PREFIXES[code] === prefix) || prefix.toLowerCase();
+    EUVatRules[iso2] = createVatValidator(prefix, iso2);
+    EUVatCheckDigits[iso2] = createVatCheckDigits(prefix);
+});
+
+Object.entries(EUVatRules).forEach(([iso2, validator]) => {
+    ValidatorInstance.registerDocumentRule(iso2, 'vat', validator);
+    ValidatorInstance.registerDocumentCheckDigits(iso2, 'vat', EUVatCheckDigits[iso2]);
+
+    if (typeof window !== 'undefined' && window.TaxDocumentValidator) {
+        window.TaxDocumentValidator.registerDocumentRule(iso2, 'vat', validator);
+    }
+});
+
+export default EUVatRules;
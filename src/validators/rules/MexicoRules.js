@@ -0,0 +1,274 @@
+/**
+ * MexicoRules - Mexican tax document validation rules
+ * Provides validation algorithms for RFC (individuals and companies) and CURP,
+ * checking the embedded date and the check character
+ * @version 1.0.0
+ * @license MIT
+ * @author Roni Sommerfeld
+ * @module MexicoRules
+ * @requires ValidatorInstance
+ */
+
+import { ValidatorInstance } from '../Validator.js';
+
+/**
+ * Character values used by the SAT to compute the RFC check character
+ */
+const RFC_ALPHABET = '0123456789ABCDEFGHIJKLMN&OPQRSTUVWXYZ Ñ';
+
+/**
+ * Character values used by RENAPO to compute the CURP check digit
+ */
+const CURP_ALPHABET = '0123456789ABCDEFGHIJKLMNÑOPQRSTUVWXYZ';
+
+/**
+ * Generic RFCs issued by the SAT for the general public and foreign residents
+ */
+const GENERIC_RFCS = ['XAXX010101000', 'XEXX010101000'];
+
+/**
+ * Birth state codes used in the CURP (NE = born abroad)
+ */
+const CURP_STATES = [
+    'AS', 'BC', 'BS', 'CC', 'CL', 'CM', 'CS', 'CH', 'DF', 'DG', 'GT', 'GR', 'HG', 'JC', 'MC', 'MN',
+    'MS', 'NT', 'NL', 'OC', 'PL', 'QT', 'QR', 'SP', 'SL', 'SR', 'TC', 'TS', 'TL', 'VZ', 'YN', 'ZS', 'NE'
+];
+
+/**
+ * Checks a YYMMDD date
+ * @description The century is not part of the document, so a date is accepted when it exists
+ * in one of the given centuries (29 February depends on it)
+ * @param {string} yymmdd - Date with 6 digits
+ * @param {Array} centuries - Candidate centuries (e.g. [1900, 2000])
+ * @returns {boolean} True if the date exists
+ */
+const isValidDate = (yymmdd, centuries) => {
+    const year = parseInt(yymmdd.slice(0, 2), 10);
+    const month = parseInt(yymmdd.slice(2, 4), 10);
+    const day = parseInt(yymmdd.slice(4, 6), 10);
+
+    return centuries.some(century => {
+        const date = new Date(Date.UTC(century + year, month - 1, day));
+
+        return date.getUTCFullYear() === century + year
+            && date.getUTCMonth() === month - 1
+            && date.getUTCDate() === day;
+    });
+};
+
+/**
+ * Computes the RFC check character
+ * @description Company RFCs are padded with a leading space to the 12 characters of individuals
+ * @param {string} rfc - RFC without its check character (11 or 12 characters)
+ * @returns {string} Expected check character (0-9 or A)
+ */
+const rfcCheckCharacter = (rfc) => {
+    const base = rfc.padStart(12, ' ');
+
+    let sum = 0;
+    for (let i = 0; i < 12; i++) {
+        sum += RFC_ALPHABET.indexOf(base.charAt(i)) * (13 - i);
+    }
+
+    const check = (11 - (sum % 11)) % 11;
+    return check === 10 ? 'A' : String(check);
+};
+
+/**
+ * Computes the CURP check digit
+ * @param {string} curp - The first 17 characters of the CURP
+ * @returns {number} Expected check digit
+ */
+const curpCheckDigit = (curp) => {
+    let sum = 0;
+    for (let i = 0; i < 17; i++) {
+        sum += CURP_ALPHABET.indexOf(curp.charAt(i)) * (18 - i);
+    }
+
+    return (10 - (sum % 10)) % 10;
+};
+
+/**
+ * Validates the shared RFC structure
+ * @param {string} rfc - RFC with digits and uppercase letters only
+ * @param {number} length - 13 for individuals, 12 for companies
+ * @returns {Object} Validation result with isValid, code, params and details
+ */
+const validateRfc = (rfc, length) => {
+    rfc = rfc.toUpperCase().replace(/[^0-9A-ZÑ&]/g, '');
+    const name = length === 13 ? 'RFC (persona física)' : 'RFC (persona moral)';
+    const letters = length - 9;
+
+    if (rfc.length !== length) {
+        return {
+            isValid: false,
+            code: 'INVALID_LENGTH',
+            params: { document: name, expected: length },
+            details: { length: rfc.length, expected: length }
+        };
+    }
+
+    if (!new RegExp(`^[A-ZÑ&]{${letters}}\\d{6}[A-Z0-9]{2}[0-9A]$`).test(rfc)) {
+        return {
+            isValid: false,
+            code: 'INVALID_FORMAT',
+            params: { document: name },
+            details: { pattern: 'invalid_format' }
+        };
+    }
+
+    const date = rfc.slice(letters, letters + 6);
+
+    if (!isValidDate(date, [1900, 2000])) {
+        return {
+            isValid: false,
+            code: 'INVALID_DATE',
+            params: { document: name, date },
+            details: { date, issue: 'invalid_date' }
+        };
+    }
+
+    const generic = GENERIC_RFCS.includes(rfc);
+    const checkCharacter = rfcCheckCharacter(rfc.slice(0, -1));
+
+    if (!generic && checkCharacter !== rfc.charAt(length - 1)) {
+        return {
+            isValid: false,
+            code: 'CHECK_CHARACTER',
+            params: { document: name },
+            details: { calculated: checkCharacter, provided: rfc.charAt(length - 1) }
+        };
+    }
+
+    return {
+        isValid: true,
+        code: null,
+        details: {
+            formatted: `${rfc.slice(0, letters)}-${date}-${rfc.slice(letters + 6)}`,
+            type: length === 13 ? 'personal' : 'company',
+            country: 'MX',
+            generic,
+            parts: { name: rfc.slice(0, letters), date, homoclave: rfc.slice(letters + 6) }
+        }
+    };
+};
+
+const MexicoRules = {
+    /**
+     * Validates RFC (Registro Federal de Contribuyentes) - Individual
+     * @description Validates Mexican individual taxpayer registry: 4 letters, date and homoclave
+     * @param {string} rfc - RFC with digits and uppercase letters only
+     * @returns {Object} Validation result with isValid, code, params and details
+     * @version 1.0.0
+     */
+    rfc_pf: function(rfc) {
+        return validateRfc(rfc, 13);
+    },
+
+    /**
+     * Validates RFC (Registro Federal de Contribuyentes) - Company
+     * @description Validates Mexican company taxpayer registry: 3 letters, date and homoclave
+     * @param {string} rfc - RFC with digits and uppercase letters only
+     * @returns {Object} Validation result with isValid, code, params and details
+     * @version 1.0.0
+     */
+    rfc_pm: function(rfc) {
+        return validateRfc(rfc, 12);
+    },
+
+    /**
+     * Validates CURP (Clave Única de Registro de Población)
+     * @description Validates Mexican population registry key: name letters, birth date, sex,
+     * birth state, internal consonants, century differentiator and check digit
+     * @param {string} curp - CURP with digits and uppercase letters only
+     * @returns {Object} Validation result with isValid, code, params and details
+     * @version 1.0.0
+     */
+    curp: function(curp) {
+        curp = curp.toUpperCase().replace(/[^0-9A-ZÑ]/g, '');
+
+        if (curp.length !== 18) {
+            return {
+                isValid: false,
+                code: 'INVALID_LENGTH',
+                params: { document: 'CURP', expected: 18 },
+                details: { length: curp.length, expected: 18 }
+            };
+        }
+
+        if (!/^[A-Z]{4}\d{6}[HMX][A-Z]{2}[B-DF-HJ-NP-TV-ZÑ]{3}[0-9A-Z]\d$/.test(curp)) {
+            return {
+                isValid: false,
+                code: 'INVALID_FORMAT',
+                params: { document: 'CURP' },
+                details: { pattern: 'invalid_format' }
+            };
+        }
+
+        const state = curp.slice(11, 13);
+
+        if (!CURP_STATES.includes(state)) {
+            return {
+                isValid: false,
+                code: 'INVALID_STATE',
+                params: { document: 'CURP', state },
+                details: { state, issue: 'invalid_state' }
+            };
+        }
+
+        // A digit differentiator means born before 2000, a letter from 2000 on
+        const date = curp.slice(4, 10);
+        const century = /\d/.test(curp.charAt(16)) ? 1900 : 2000;
+
+        if (!isValidDate(date, [century])) {
+            return {
+                isValid: false,
+                code: 'INVALID_DATE',
+                params: { document: 'CURP', date },
+                details: { date, century, issue: 'invalid_date' }
+            };
+        }
+
+        const checkDigit = curpCheckDigit(curp.slice(0, 17));
+
+        if (checkDigit !== parseInt(curp.charAt(17), 10)) {
+            return {
+                isValid: false,
+                code: 'CHECK_DIGIT',
+                params: { document: 'CURP' },
+                details: { calculated: checkDigit, provided: parseInt(curp.charAt(17), 10) }
+            };
+        }
+
+        return {
+            isValid: true,
+            code: null,
+            details: {
+                formatted: curp,
+                type: 'personal',
+                country: 'MX',
+                parts: { name: curp.slice(0, 4), date, sex: curp.charAt(10), state }
+            }
+        };
+    }
+};
+
+/**
+ * MexicoCheckDigits - Check character completion for RFC and CURP
+ * @description Receives the document without its last character (12 characters for individual RFCs,
+ * 11 for company RFCs, 17 for the CURP) and returns it, or null for a malformed base
+ */
+export const MexicoCheckDigits = {
+    rfc_pf: (base) => /^[0-9A-ZÑ&]{12}$/.test(base) ? rfcCheckCharacter(base) : null,
+    rfc_pm: (base) => /^[0-9A-ZÑ&]{11}$/.test(base) ? rfcCheckCharacter(base) : null,
+    curp: (base) => /^[0-9A-ZÑ]{17}$/.test(base) ? String(curpCheckDigit(base)) : null
+};
+
+ValidatorInstance.registerRules('mx', MexicoRules);
+ValidatorInstance.registerCheckDigits('mx', MexicoCheckDigits);
+
+if (typeof window !== 'undefined' && window.TaxDocumentValidator) {
+    window.TaxDocumentValidator.registerRules('mx', MexicoRules);
+}
+
+export default MexicoRules;
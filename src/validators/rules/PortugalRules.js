@@ -10,12 +10,30 @@
 
 import { ValidatorInstance } from '../Validator.js';
 
+const WEIGHTS = [9, 8, 7, 6, 5, 4, 3, 2];
+
+/**
+ * Computes the NIF/NIPC check digit
+ * @description Weights 9 to 2 over the first eight digits; remainders 0 and 1 give 0
+ * @param {string} base - First eight digits
+ * @returns {number} Check digit
+ */
+const mod11CheckDigit = (base) => {
+    let sum = 0;
+    for (let i = 0; i < 8; i++) {
+        sum += parseInt(base.charAt(i)) * WEIGHTS[i];
+    }
+
+    const remainder = sum % 11;
+    return remainder < 2 ? 0 : 11 - remainder;
+};
+
 const PortugalRules = {
     /**
      * Validates NIF (Número de Identificação Fiscal)
      * @description Validates Portuguese taxpayer identification number for all entity types
      * @param {string} nif - NIF with numbers only
-     * @returns {Object} Validation result with isValid, error and details
+     * @returns {Object} Validation result with isValid, code, params and details
      * @version 1.0.1
      */
     nif: function(nif) {
@@ -24,7 +42,8 @@ const PortugalRules = {
         if (nif.length !== 9) {
             return {
                 isValid: false,
-                error: 'NIF must contain exactly 9 digits',
+                code: 'INVALID_LENGTH',
+                params: { document: 'NIF', expected: 9 },
                 details: { length: nif.length, expected: 9 }
             };
         }
@@ -32,7 +51,8 @@ const PortugalRules = {
         if (/^(\d)\1{8}$/.test(nif)) {
             return {
                 isValid: false,
-                error: 'NIF cannot have all digits the same',
+                code: 'REPEATED_DIGITS',
+                params: { document: 'NIF' },
                 details: { pattern: 'repeated_digits' }
             };
         }
@@ -41,29 +61,19 @@ const PortugalRules = {
         if (!validFirstDigits.includes(nif.charAt(0))) {
             return {
                 isValid: false,
-                error: 'NIF must start with 1, 2, 3, 5, 6, 7, 8 or 9',
-                details: { firstDigit: nif.charAt(0), validFirstDigits }
+                code: 'INVALID_PREFIX',
+                params: { document: 'NIF', prefix: nif.charAt(0), prefixes: validFirstDigits },
+                details: { firstDigit: nif.charAt(0), validFirstDigits, issue: 'invalid_prefix' }
             };
         }
 
-        const weights = [9, 8, 7, 6, 5, 4, 3, 2];
-        let sum = 0;
-        
-        for (let i = 0; i < 8; i++) {
-            sum += parseInt(nif.charAt(i)) * weights[i];
-        }
-        
-        const remainder = sum % 11;
-        let checkDigit = 11 - remainder;
-        
-        if (remainder < 2) {
-            checkDigit = 0;
-        }
+        const checkDigit = mod11CheckDigit(nif.slice(0, 8));
 
         if (checkDigit !== parseInt(nif.charAt(8))) {
             return {
                 isValid: false,
-                error: 'Invalid check digit',
+                code: 'CHECK_DIGIT',
+                params: { document: 'NIF' },
                 details: { calculated: checkDigit, provided: parseInt(nif.charAt(8)) }
             };
         }
@@ -72,7 +82,7 @@ const PortugalRules = {
 
         return {
             isValid: true,
-            error: null,
+            code: null,
             details: {
                 formatted: `${nif.slice(0,3)} ${nif.slice(3,6)} ${nif.slice(6,9)}`,
                 type: entityType,
@@ -85,7 +95,7 @@ const PortugalRules = {
      * Validates NIPC (Número de Identificação de Pessoa Coletiva) - Company
      * @description Validates Portuguese company taxpayer identification number
      * @param {string} nipc - NIPC with numbers only
-     * @returns {Object} Validation result with isValid, error and details
+     * @returns {Object} Validation result with isValid, code, params and details
      * @version 1.0.0
      */
     nipc: function(nipc) {
@@ -94,7 +104,8 @@ const PortugalRules = {
         if (nipc.length !== 9) {
             return {
                 isValid: false,
-                error: 'NIPC must contain exactly 9 digits',
+                code: 'INVALID_LENGTH',
+                params: { document: 'NIPC', expected: 9 },
                 details: { length: nipc.length, expected: 9 }
             };
         }
@@ -102,7 +113,8 @@ const PortugalRules = {
         if (/^(\d)\1{8}$/.test(nipc)) {
             return {
                 isValid: false,
-                error: 'NIPC cannot have all digits the same',
+                code: 'REPEATED_DIGITS',
+                params: { document: 'NIPC' },
                 details: { pattern: 'repeated_digits' }
             };
         }
@@ -111,36 +123,26 @@ const PortugalRules = {
         if (!validFirstDigits.includes(nipc.charAt(0))) {
             return {
                 isValid: false,
-                error: 'NIPC must start with 5, 6, 7, 8 or 9',
-                details: { firstDigit: nipc.charAt(0), validFirstDigits }
+                code: 'INVALID_PREFIX',
+                params: { document: 'NIPC', prefix: nipc.charAt(0), prefixes: validFirstDigits },
+                details: { firstDigit: nipc.charAt(0), validFirstDigits, issue: 'invalid_prefix' }
             };
         }
 
-        const weights = [9, 8, 7, 6, 5, 4, 3, 2];
-        let sum = 0;
-        
-        for (let i = 0; i < 8; i++) {
-            sum += parseInt(nipc.charAt(i)) * weights[i];
-        }
-        
-        const remainder = sum % 11;
-        let checkDigit = 11 - remainder;
-        
-        if (remainder < 2) {
-            checkDigit = 0;
-        }
+        const checkDigit = mod11CheckDigit(nipc.slice(0, 8));
 
         if (checkDigit !== parseInt(nipc.charAt(8))) {
             return {
                 isValid: false,
-                error: 'Invalid check digit',
+                code: 'CHECK_DIGIT',
+                params: { document: 'NIPC' },
                 details: { calculated: checkDigit, provided: parseInt(nipc.charAt(8)) }
             };
         }
 
         return {
             isValid: true,
-            error: null,
+            code: null,
             details: {
                 formatted: `${nipc.slice(0,3)} ${nipc.slice(3,6)} ${nipc.slice(6,9)}`,
                 type: 'company',
@@ -172,7 +174,28 @@ const PortugalRules = {
     }
 };
 
+/**
+ * PortugalHints - Content hints to tell NIF and NIPC apart
+ * @description NIF and NIPC share the same length, so the first digit decides:
+ * 1-3 are individuals (NIF) and 5-9 are collective entities (NIPC)
+ */
+export const PortugalHints = {
+    nif: (value) => value.length === 0 || ['1', '2', '3'].includes(value.charAt(0)),
+    nipc: (value) => value.length === 0 || ['5', '6', '7', '8', '9'].includes(value.charAt(0))
+};
+
+/**
+ * PortugalCheckDigits - Check digit completion for NIF and NIPC
+ * @description Receives the first eight digits and returns the ninth, or null for a malformed base
+ */
+export const PortugalCheckDigits = {
+    nif: (base) => /^\d{8}$/.test(base) ? String(mod11CheckDigit(base)) : null,
+    nipc: (base) => /^\d{8}$/.test(base) ? String(mod11CheckDigit(base)) : null
+};
+
 ValidatorInstance.registerRules('pt', PortugalRules);
+ValidatorInstance.registerHints('pt', PortugalHints);
+ValidatorInstance.registerCheckDigits('pt', PortugalCheckDigits);
 
 if (typeof window !== 'undefined' && window.TaxDocumentValidator) {
     window.TaxDocumentValidator.registerRules('pt', PortugalRules);
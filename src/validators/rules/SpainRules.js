@@ -0,0 +1,286 @@
+/**
+ * SpainRules - Spanish tax document validation rules
+ * Provides validation algorithms for NIF (DNI), NIE and CIF with correct control character calculations
+ * @version 1.0.0
+ * @license MIT
+ * @author Roni Sommerfeld
+ * @module SpainRules
+ * @requires ValidatorInstance
+ */
+
+import { ValidatorInstance } from '../Validator.js';
+
+/**
+ * Control letters indexed by the DNI number modulo 23
+ */
+const DNI_LETTERS = 'TRWAGMYFPDXBNJZSQVHLCKE';
+
+/**
+ * NIE prefixes and the digit each one stands for in the control calculation
+ */
+const NIE_PREFIXES = { X: '0', Y: '1', Z: '2' };
+
+/**
+ * Organization letters accepted as the first CIF character
+ */
+const CIF_LETTERS = 'ABCDEFGHJNPQRSUVW';
+
+/**
+ * CIF control letters indexed by the control digit
+ */
+const CIF_CONTROL_LETTERS = 'JABCDEFGHI';
+
+/**
+ * Computes the DNI/NIE control letter
+ * @param {string} number - DNI digits, or the NIE digits with the prefix already replaced
+ * @returns {string} Control letter
+ */
+const dniLetter = (number) => DNI_LETTERS.charAt(parseInt(number, 10) % 23);
+
+/**
+ * Computes the CIF control character in both forms
+ * @description Digits in odd positions are doubled and their digits added, even positions are added as is
+ * @param {string} digits - The 7 digits after the organization letter
+ * @returns {Object} { digit, letter }
+ */
+const cifControl = (digits) => {
+    let sum = 0;
+    for (let i = 1; i <= 7; i++) {
+        const digit = parseInt(digits.charAt(i - 1), 10);
+
+        if (i % 2 === 0) {
+            sum += digit;
+        } else {
+            const doubled = digit * 2;
+            sum += Math.floor(doubled / 10) + (doubled % 10);
+        }
+    }
+
+    const controlDigit = (10 - (sum % 10)) % 10;
+    return { digit: String(controlDigit), letter: CIF_CONTROL_LETTERS.charAt(controlDigit) };
+};
+
+const SpainRules = {
+    /**
+     * Validates NIF (Número de Identificación Fiscal) based on the DNI
+     * @description Validates Spanish individual taxpayer number: 8 digits and a control letter
+     * @param {string} nif - NIF with digits and uppercase letters only
+     * @returns {Object} Validation result with isValid, code, params and details
+     * @version 1.0.0
+     */
+    nif: function(nif) {
+        nif = nif.toUpperCase().replace(/[^0-9A-Z]/g, '');
+
+        if (nif.length !== 9) {
+            return {
+                isValid: false,
+                code: 'INVALID_LENGTH',
+                params: { document: 'NIF', expected: 9 },
+                details: { length: nif.length, expected: 9 }
+            };
+        }
+
+        if (!/^\d{8}[A-Z]$/.test(nif)) {
+            return {
+                isValid: false,
+                code: 'INVALID_FORMAT',
+                params: { document: 'NIF' },
+                details: { pattern: 'invalid_format' }
+            };
+        }
+
+        const letter = dniLetter(nif.slice(0, 8));
+
+        if (letter !== nif.charAt(8)) {
+            return {
+                isValid: false,
+                code: 'CHECK_LETTER',
+                params: { document: 'NIF' },
+                details: { calculated: letter, provided: nif.charAt(8) }
+            };
+        }
+
+        return {
+            isValid: true,
+            code: null,
+            details: {
+                formatted: nif,
+                type: 'personal',
+                country: 'ES'
+            }
+        };
+    },
+
+    /**
+     * Validates NIE (Número de Identidad de Extranjero)
+     * @description Validates Spanish foreigner identification number: X, Y or Z, 7 digits and a control letter
+     * @param {string} nie - NIE with digits and uppercase letters only
+     * @returns {Object} Validation result with isValid, code, params and details
+     * @version 1.0.0
+     */
+    nie: function(nie) {
+        nie = nie.toUpperCase().replace(/[^0-9A-Z]/g, '');
+
+        if (nie.length !== 9) {
+            return {
+                isValid: false,
+                code: 'INVALID_LENGTH',
+                params: { document: 'NIE', expected: 9 },
+                details: { length: nie.length, expected: 9 }
+            };
+        }
+
+        if (!NIE_PREFIXES[nie.charAt(0)]) {
+            return {
+                isValid: false,
+                code: 'INVALID_PREFIX',
+                params: { document: 'NIE', prefix: nie.charAt(0), prefixes: Object.keys(NIE_PREFIXES) },
+                details: { prefix: nie.charAt(0), issue: 'invalid_prefix' }
+            };
+        }
+
+        if (!/^[XYZ]\d{7}[A-Z]$/.test(nie)) {
+            return {
+                isValid: false,
+                code: 'INVALID_FORMAT',
+                params: { document: 'NIE' },
+                details: { pattern: 'invalid_format' }
+            };
+        }
+
+        const number = NIE_PREFIXES[nie.charAt(0)] + nie.slice(1, 8);
+        const letter = dniLetter(number);
+
+        if (letter !== nie.charAt(8)) {
+            return {
+                isValid: false,
+                code: 'CHECK_LETTER',
+                params: { document: 'NIE' },
+                details: { calculated: letter, provided: nie.charAt(8) }
+            };
+        }
+
+        return {
+            isValid: true,
+            code: null,
+            details: {
+                formatted: nie,
+                type: 'personal',
+                country: 'ES'
+            }
+        };
+    },
+
+    /**
+     * Validates CIF (Código de Identificación Fiscal) - Company
+     * @description Validates Spanish legal entity number: organization letter, 7 digits and a
+     * control character that is a digit or a letter depending on the organization type
+     * @param {string} cif - CIF with digits and uppercase letters only
+     * @returns {Object} Validation result with isValid, code, params and details
+     * @version 1.0.0
+     */
+    cif: function(cif) {
+        cif = cif.toUpperCase().replace(/[^0-9A-Z]/g, '');
+
+        if (cif.length !== 9) {
+            return {
+                isValid: false,
+                code: 'INVALID_LENGTH',
+                params: { document: 'CIF', expected: 9 },
+                details: { length: cif.length, expected: 9 }
+            };
+        }
+
+        const organization = cif.charAt(0);
+
+        if (!CIF_LETTERS.includes(organization)) {
+            return {
+                isValid: false,
+                code: 'INVALID_PREFIX',
+                params: { document: 'CIF', prefix: organization, prefixes: CIF_LETTERS.split('') },
+                details: { prefix: organization, issue: 'invalid_prefix' }
+            };
+        }
+
+        if (!/^[A-Z]\d{7}[0-9A-J]$/.test(cif)) {
+            return {
+                isValid: false,
+                code: 'INVALID_FORMAT',
+                params: { document: 'CIF' },
+                details: { pattern: 'invalid_format' }
+            };
+        }
+
+        const control = cifControl(cif.slice(1, 8));
+        const provided = cif.charAt(8);
+
+        // P, Q, R, S, N and W use a letter; A, B, E and H use a digit; the others accept both
+        let valid;
+        if ('PQRSNW'.includes(organization)) {
+            valid = provided === control.letter;
+        } else if ('ABEH'.includes(organization)) {
+            valid = provided === control.digit;
+        } else {
+            valid = provided === control.letter || provided === control.digit;
+        }
+
+        if (!valid) {
+            return {
+                isValid: false,
+                code: 'CHECK_CHARACTER',
+                params: { document: 'CIF' },
+                details: {
+                    calculated: control,
+                    provided: provided
+                }
+            };
+        }
+
+        return {
+            isValid: true,
+            code: null,
+            details: {
+                formatted: cif,
+                type: 'company',
+                country: 'ES'
+            }
+        };
+    }
+};
+
+/**
+ * SpainHints - Content hints to tell NIF, NIE and CIF apart
+ * @description All three have 9 characters: NIF starts with a digit, NIE with X, Y or Z
+ * and CIF with an organization letter
+ */
+export const SpainHints = {
+    nif: (value) => value.length === 0 || /^\d/.test(value),
+    nie: (value) => value.length === 0 || Boolean(NIE_PREFIXES[value.charAt(0)]),
+    cif: (value) => value.length === 0 || CIF_LETTERS.includes(value.charAt(0))
+};
+
+/**
+ * SpainCheckDigits - Control character completion for NIF, NIE and CIF
+ * @description Receives the first eight characters and returns the control character, or null for a
+ * malformed base. CIF organizations that accept both forms get the digit
+ */
+export const SpainCheckDigits = {
+    nif: (base) => /^\d{8}$/.test(base) ? dniLetter(base) : null,
+    nie: (base) => /^[XYZ]\d{7}$/.test(base) ? dniLetter(NIE_PREFIXES[base.charAt(0)] + base.slice(1)) : null,
+    cif: (base) => {
+        if (!/^[A-Z]\d{7}$/.test(base)) return null;
+
+        const control = cifControl(base.slice(1));
+        return 'PQRSNW'.includes(base.charAt(0)) ? control.letter : control.digit;
+    }
+};
+
+ValidatorInstance.registerRules('es', SpainRules);
+ValidatorInstance.registerHints('es', SpainHints);
+ValidatorInstance.registerCheckDigits('es', SpainCheckDigits);
+
+if (typeof window !== 'undefined' && window.TaxDocumentValidator) {
+    window.TaxDocumentValidator.registerRules('es', SpainRules);
+}
+
+export default SpainRules;
@@ -10,12 +10,27 @@
 
 import { ValidatorInstance } from '../Validator.js';
 
+/**
+ * Campus prefixes assigned by the IRS to EINs
+ */
+const EIN_PREFIXES = [
+    '01', '02', '03', '04', '05', '06', '10', '11', '12', '13', '14', '15', '16',
+    '20', '21', '22', '23', '24', '25', '26', '27',
+    '30', '31', '32', '33', '34', '35', '36', '37', '38', '39',
+    '40', '41', '42', '43', '44', '45', '46', '47', '48',
+    '50', '51', '52', '53', '54', '55', '56', '57', '58', '59',
+    '60', '61', '62', '63', '64', '65', '66', '67', '68',
+    '71', '72', '73', '74', '75', '76', '77',
+    '80', '81', '82', '83', '84', '85', '86', '87', '88',
+    '90', '91', '92', '93', '94', '95', '96', '98', '99'
+];
+
 const USARules = {
     /**
      * Validates SSN (Social Security Number) - Individual
      * @description Validates American individual taxpayer identification number
      * @param {string} ssn - SSN with numbers only
-     * @returns {Object} Validation result with isValid, error and details
+     * @returns {Object} Validation result with isValid, code, params and details
      * @version 1.0.0
      */
     ssn: function(ssn) {
@@ -24,7 +39,8 @@ const USARules = {
         if (ssn.length !== 9) {
             return {
                 isValid: false,
-                error: 'SSN must contain exactly 9 digits',
+                code: 'INVALID_LENGTH',
+                params: { document: 'SSN', expected: 9 },
                 details: { length: ssn.length, expected: 9 }
             };
         }
@@ -32,7 +48,8 @@ const USARules = {
         if (/^(\d)\1{8}$/.test(ssn)) {
             return {
                 isValid: false,
-                error: 'SSN cannot have all digits the same',
+                code: 'REPEATED_DIGITS',
+                params: { document: 'SSN' },
                 details: { pattern: 'repeated_digits' }
             };
         }
@@ -44,7 +61,8 @@ const USARules = {
         if (area === '000') {
             return {
                 isValid: false,
-                error: 'SSN area cannot be 000',
+                code: 'INVALID_AREA',
+                params: { document: 'SSN', area },
                 details: { area, issue: 'invalid_area_000' }
             };
         }
@@ -52,7 +70,8 @@ const USARules = {
         if (area === '666') {
             return {
                 isValid: false,
-                error: '',
+                code: 'INVALID_AREA',
+                params: { document: 'SSN', area },
                 details: { area, issue: 'invalid_area_666' }
             };
         }
@@ -60,7 +79,8 @@ const USARules = {
         if (area.charAt(0) === '9') {
             return {
                 isValid: false,
-                error: 'SSN area cannot start with 9',
+                code: 'INVALID_AREA',
+                params: { document: 'SSN', area },
                 details: { area, issue: 'invalid_area_starts_with_9' }
             };
         }
@@ -68,7 +88,8 @@ const USARules = {
         if (group === '00') {
             return {
                 isValid: false,
-                error: 'SSN group cannot be 00',
+                code: 'INVALID_GROUP',
+                params: { document: 'SSN', group },
                 details: { group, issue: 'invalid_group_00' }
             };
         }
@@ -76,14 +97,15 @@ const USARules = {
         if (serial === '0000') {
             return {
                 isValid: false,
-                error: 'SSN serial number cannot be 0000',
+                code: 'INVALID_SERIAL',
+                params: { document: 'SSN', serial },
                 details: { serial, issue: 'invalid_serial_0000' }
             };
         }
 
         return {
             isValid: true,
-            error: null,
+            code: null,
             details: {
                 formatted: `${area}-${group}-${serial}`,
                 type: 'personal',
@@ -97,7 +119,7 @@ const USARules = {
      * Validates EIN (Employer Identification Number) - Company
      * @description Validates American company taxpayer identification number
      * @param {string} ein - EIN with numbers only
-     * @returns {Object} Validation result with isValid, error and details
+     * @returns {Object} Validation result with isValid, code, params and details
      * @version 1.0.0
      */
     ein: function(ein) {
@@ -106,7 +128,8 @@ const USARules = {
         if (ein.length !== 9) {
             return {
                 isValid: false,
-                error: 'EIN must contain exactly 9 digits',
+                code: 'INVALID_LENGTH',
+                params: { document: 'EIN', expected: 9 },
                 details: { length: ein.length, expected: 9 }
             };
         }
@@ -114,7 +137,8 @@ const USARules = {
         if (/^(\d)\1{8}$/.test(ein)) {
             return {
                 isValid: false,
-                error: 'EIN cannot have all digits the same',
+                code: 'REPEATED_DIGITS',
+                params: { document: 'EIN' },
                 details: { pattern: 'repeated_digits' }
             };
         }
@@ -122,22 +146,11 @@ const USARules = {
         const prefix = ein.slice(0, 2);
         const suffix = ein.slice(2, 9);
 
-        const validPrefixes = [
-            '01', '02', '03', '04', '05', '06', '10', '11', '12', '13', '14', '15', '16',
-            '20', '21', '22', '23', '24', '25', '26', '27',
-            '30', '31', '32', '33', '34', '35', '36', '37', '38', '39',
-            '40', '41', '42', '43', '44', '45', '46', '47', '48',
-            '50', '51', '52', '53', '54', '55', '56', '57', '58', '59',
-            '60', '61', '62', '63', '64', '65', '66', '67', '68',
-            '71', '72', '73', '74', '75', '76', '77',
-            '80', '81', '82', '83', '84', '85', '86', '87', '88',
-            '90', '91', '92', '93', '94', '95', '96', '98', '99'
-        ];
-
-        if (!validPrefixes.includes(prefix)) {
+        if (!EIN_PREFIXES.includes(prefix)) {
             return {
                 isValid: false,
-                error: 'Invalid EIN prefix',
+                code: 'INVALID_PREFIX',
+                params: { document: 'EIN', prefix },
                 details: { prefix, issue: 'invalid_prefix' }
             };
         }
@@ -145,14 +158,15 @@ const USARules = {
         if (suffix === '0000000') {
             return {
                 isValid: false,
-                error: 'EIN suffix cannot be 0000000',
+                code: 'INVALID_SERIAL',
+                params: { document: 'EIN', serial: suffix },
                 details: { suffix, issue: 'invalid_suffix_all_zeros' }
             };
         }
 
         return {
             isValid: true,
-            error: null,
+            code: null,
             details: {
                 formatted: `${prefix}-${suffix}`,
                 type: 'company',
@@ -163,7 +177,20 @@ const USARules = {
     }
 };
 
+/**
+ * USAHints - Content hints to tell SSN and EIN apart
+ * @description SSN areas never start with 9 nor are 000 or 666, while EINs must use a known campus prefix
+ */
+export const USAHints = {
+    ssn: (value) => {
+        const area = value.slice(0, 3);
+        return value.charAt(0) !== '9' && area !== '000' && area !== '666';
+    },
+    ein: (value) => value.length < 2 || EIN_PREFIXES.includes(value.slice(0, 2))
+};
+
 ValidatorInstance.registerRules('us', USARules);
+ValidatorInstance.registerHints('us', USAHints);
 
 if (typeof window !== 'undefined' && window.TaxDocumentValidator) {
     window.TaxDocumentValidator.registerRules('us', USARules);
@@ -0,0 +1,27 @@
+import { validate } from '../src/headless.js';
+
+describe('Argentine CUIT', () => {
+    test('accepts a personal CUIT and reports it as personal', () => {
+        const result = validate('20-26756539-3', 'ar', 'cuit');
+
+        expect(result.isValid).toBe(true);
+        expect(result.details.type).toBe('personal');
+        expect(result.details.formatted).toBe('20-26756539-3');
+    });
+
+    test('accepts a company CUIT and reports it as company', () => {
+        const result = validate('30500010912', 'ar', 'cuit');
+
+        expect(result.isValid).toBe(true);
+        expect(result.details.type).toBe('company');
+    });
+
+    test('rejects prefixes AFIP does not issue', () => {
+        expect(validate('10267565393', 'ar', 'cuit').code).toBe('INVALID_PREFIX');
+    });
+
+    test('CUIL keeps accepting individuals only', () => {
+        expect(validate('20267565393', 'ar', 'cuil').isValid).toBe(true);
+        expect(validate('30500010912', 'ar', 'cuil').code).toBe('INVALID_PREFIX');
+    });
+});
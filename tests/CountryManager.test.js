@@ -0,0 +1,177 @@
+import { jest } from '@jest/globals';
+import TaxDocumentInput from '../src/index.js';
+
+const key = (target, name, options = {}) => {
+    const event = new KeyboardEvent('keydown', { key: name, bubbles: true, cancelable: true, ...options });
+    target.dispatchEvent(event);
+    return event;
+};
+
+describe('country selector keyboard navigation', () => {
+    let input;
+    let plugin;
+    let button;
+    let search;
+
+    const listbox = () => document.getElementById(button.getAttribute('aria-controls'));
+    const dropdown = () => listbox().closest('[data-tax-dropdown]');
+    const activeCode = () => {
+        const id = button.getAttribute('aria-activedescendant');
+        return id ? document.getElementById(id).getAttribute('data-country') : null;
+    };
+    const optionCodes = () => Array.from(listbox().querySelectorAll('[role="option"]:not([hidden])'))
+        .map(option => option.getAttribute('data-country'));
+
+    beforeEach(() => {
+        input = document.createElement('input');
+        document.body.appendChild(input);
+
+        plugin = new TaxDocumentInput(input, {
+            defaultCountry: 'br',
+            onlyCountries: ['br', 'pt', 'es', 'us'],
+            locale: 'en',
+            logger: false
+        });
+
+        button = plugin.domManager.countryButton;
+        search = plugin.domManager.searchInput;
+        button.focus();
+    });
+
+    afterEach(() => {
+        plugin.destroy();
+        input.remove();
+    });
+
+    test('ArrowDown opens the list with the selected country active', () => {
+        expect(button.getAttribute('aria-expanded')).toBe('false');
+
+        const event = key(button, 'ArrowDown');
+
+        expect(event.defaultPrevented).toBe(true);
+        expect(dropdown().hidden).toBe(false);
+        expect(button.getAttribute('aria-expanded')).toBe('true');
+        expect(search.getAttribute('aria-expanded')).toBe('true');
+        expect(activeCode()).toBe('br');
+        expect(search.getAttribute('aria-activedescendant')).toBe(button.getAttribute('aria-activedescendant'));
+    });
+
+    test('arrows move aria-activedescendant through the options', () => {
+        key(button, 'ArrowDown');
+        const codes = optionCodes();
+        const start = codes.indexOf('br');
+
+        key(button, 'ArrowDown');
+        expect(activeCode()).toBe(codes[start + 1]);
+
+        key(button, 'ArrowUp');
+        expect(activeCode()).toBe('br');
+        expect(document.getElementById(button.getAttribute('aria-activedescendant')).getAttribute('data-active')).toBe('true');
+    });
+
+    test('Home and End on the button jump to the first and last options', () => {
+        key(button, 'ArrowDown');
+        const codes = optionCodes();
+
+        key(button, 'End');
+        expect(activeCode()).toBe(codes[codes.length - 1]);
+
+        key(button, 'Home');
+        expect(activeCode()).toBe(codes[0]);
+    });
+
+    test('ArrowUp on a closed list opens it on the last option', () => {
+        key(button, 'ArrowUp');
+        const codes = optionCodes();
+
+        expect(button.getAttribute('aria-expanded')).toBe('true');
+        expect(activeCode()).toBe(codes[codes.length - 1]);
+    });
+
+    test('type-ahead activates the country whose name starts with the typed letters', () => {
+        key(button, 'ArrowDown');
+
+        key(button, 'u');
+        key(button, 'n');
+        expect(activeCode()).toBe('us');
+
+        // A prefix no name has keeps the active option
+        key(button, 'x');
+        expect(activeCode()).toBe('us');
+    });
+
+    test('type-ahead starts over after a pause', () => {
+        jest.useFakeTimers();
+
+        try {
+            key(button, 'ArrowDown');
+
+            key(button, 'p');
+            expect(activeCode()).toBe('pt');
+
+            jest.advanceTimersByTime(1000);
+
+            key(button, 's');
+            expect(activeCode()).toBe('es');
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    test('populating the list schedules no timer', () => {
+        jest.useFakeTimers();
+
+        try {
+            plugin.countryManager.populateCountries();
+            plugin.reinit({ locale: 'es' });
+
+            expect(jest.getTimerCount()).toBe(0);
+            expect(plugin.domManager.dropdown.querySelectorAll('[role="option"]')).toHaveLength(4);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    test('Enter selects the active country, closes the list and focuses the input', () => {
+        const changes = [];
+        input.addEventListener('countrychange', (e) => changes.push(e.detail.newCountry));
+
+        key(button, 'ArrowDown');
+        key(button, 'p');
+        key(button, 'Enter');
+
+        expect(plugin.getSelectedCountry()).toBe('pt');
+        expect(changes).toEqual(['pt']);
+        expect(button.getAttribute('aria-expanded')).toBe('false');
+        expect(button.hasAttribute('aria-activedescendant')).toBe(false);
+        expect(listbox().querySelector('[aria-selected="true"]').getAttribute('data-country')).toBe('pt');
+        expect(document.activeElement).toBe(input);
+    });
+
+    test('Escape closes the list without selecting and returns focus to the button', () => {
+        key(button, 'ArrowDown');
+        expect(document.activeElement).toBe(search);
+
+        key(search, 'ArrowDown');
+        key(search, 'Escape');
+
+        expect(plugin.getSelectedCountry()).toBe('br');
+        expect(button.getAttribute('aria-expanded')).toBe('false');
+        expect(dropdown().hidden).toBe(true);
+        expect(document.activeElement).toBe(button);
+    });
+
+    test('the search field filters the options and keeps arrow navigation', () => {
+        key(button, 'ArrowDown');
+
+        search.value = 'united';
+        search.dispatchEvent(new Event('input', { bubbles: true }));
+
+        expect(optionCodes()).toEqual(['us']);
+
+        key(search, 'ArrowDown');
+        key(search, 'Enter');
+
+        expect(plugin.getSelectedCountry()).toBe('us');
+    });
+});
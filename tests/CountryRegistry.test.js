@@ -0,0 +1,44 @@
+import TaxDocumentInput from '../src/index.js';
+import { validate } from '../src/headless.js';
+import { ValidatorInstance } from '../src/validators/Validator.js';
+
+describe('country registry overrides', () => {
+    const portugal = {
+        name: 'Portugal',
+        documents: {
+            nif: { length: 9, mask: 'XXX XXX XXX', type: 'personal', priority: 1 }
+        }
+    };
+
+    test('overriding a country keeps its VAT rule', () => {
+        TaxDocumentInput.registerCountry('pt', portugal, {
+            nif: (value) => ({ isValid: /^\d{9}$/.test(value), code: null, details: null })
+        });
+
+        expect(validate('123456789', 'pt', 'nif').isValid).toBe(true);
+        expect(validate('PT501442600', 'pt', 'vat').isValid).toBe(true);
+        expect(validate('PT501442601', 'pt', 'vat').code).toBe('CHECK_DIGIT');
+    });
+
+    test('VAT mode validates the overridden country', () => {
+        const input = document.createElement('input');
+        document.body.appendChild(input);
+
+        const plugin = new TaxDocumentInput(input, { mode: 'vat', defaultCountry: 'pt', logger: false });
+        plugin.setValue('PT501442600');
+
+        expect(plugin.getSelectedCountry()).toBe('pt');
+        expect(plugin.isValid()).toBe(true);
+
+        plugin.destroy();
+        input.remove();
+    });
+
+    test('rules of the other document types stay registered', () => {
+        TaxDocumentInput.registerCountry('pt', portugal, {
+            nif: () => ({ isValid: true, code: null, details: null })
+        });
+
+        expect(typeof ValidatorInstance.rules.get('pt').nipc).toBe('function');
+    });
+});
@@ -0,0 +1,57 @@
+import TaxDocumentInput from '../src/index.js';
+
+describe('TaxDocumentInput lifecycle', () => {
+    let input;
+
+    beforeEach(() => {
+        input = document.createElement('input');
+        document.body.appendChild(input);
+    });
+
+    afterEach(() => {
+        TaxDocumentInput.getInstances().forEach(instance => instance.destroy());
+        input.remove();
+    });
+
+    test('leaving VAT mode clears a VAT number instead of masking it as a CNPJ', () => {
+        const plugin = new TaxDocumentInput(input, { mode: 'vat', logger: false });
+        plugin.setValue('FR40303265045');
+        expect(plugin.getSelectedCountry()).toBe('fr');
+
+        plugin.reinit({ mode: 'document' });
+
+        expect(plugin.getSelectedCountry()).toBe('br');
+        expect(input.value).toBe('');
+        expect(plugin.getCleanValue()).toBe('');
+    });
+
+    test('reinit with the same documents keeps and formats the value', () => {
+        const plugin = new TaxDocumentInput(input, { defaultCountry: 'br', logger: false });
+        plugin.setValue('52998224725');
+
+        plugin.reinit({ theme: 'dark' });
+
+        expect(input.value).toBe('529.982.247-25');
+    });
+
+    test('destroy gives the input back its original attributes', () => {
+        input.className = 'form-control';
+
+        const plugin = new TaxDocumentInput(input, { logger: false });
+        plugin.setValue('12345678900');
+        input.dispatchEvent(new Event('blur'));
+        plugin.destroy();
+
+        expect(input.hasAttribute('placeholder')).toBe(false);
+        expect(input.hasAttribute('aria-invalid')).toBe(false);
+        expect(input.getAttribute('class')).toBe('form-control');
+    });
+
+    test('destroy keeps a placeholder the input already had', () => {
+        input.placeholder = 'Tax ID';
+
+        new TaxDocumentInput(input, { placeholder: 'CPF or CNPJ', logger: false }).destroy();
+
+        expect(input.placeholder).toBe('Tax ID');
+    });
+});
@@ -0,0 +1,56 @@
+import { Readable } from 'stream';
+import { checkRecord, parseArgs, run } from '../src/cli.js';
+
+const runCli = async (argv, input) => {
+    let stdout = '';
+    let stderr = '';
+
+    const code = await run(argv, {
+        stdin: Readable.from([input]),
+        stdout: { write: (text) => { stdout += text; } },
+        stderr: { write: (text) => { stderr += text; } }
+    });
+
+    return { code, stdout, stderr };
+};
+
+const ndjson = (text) => text.trim().split('\n').map(line => JSON.parse(line));
+
+describe('command line report', () => {
+    test('a missing column is reported with COLUMN_NOT_FOUND in the selected locale', async () => {
+        const { code, stdout } = await runCli(['-f', 'ndjson', '-r', 'ndjson', '--column', 'tax_id', '--locale', 'pt-BR'], '{"document":"52998224725"}\n');
+        const [row] = ndjson(stdout);
+
+        expect(code).toBe(1);
+        expect(row).toMatchObject({ valid: false, code: 'COLUMN_NOT_FOUND', error: 'Coluna "tax_id" não encontrada' });
+    });
+
+    test('an empty value is reported with EMPTY_VALUE in the selected locale', async () => {
+        const { stdout } = await runCli(['-f', 'ndjson', '-r', 'ndjson', '--country', 'br', '-l', 'es'], '{"document":" . - "}\n');
+        const [row] = ndjson(stdout);
+
+        expect(row).toMatchObject({ valid: false, code: 'EMPTY_VALUE', error: 'Valor vacío' });
+    });
+
+    test('a value no candidate country accepts is reported with COUNTRY_NOT_DETECTED', async () => {
+        const { stdout } = await runCli(['-f', 'ndjson', '-r', 'json', '--countries', 'br,pt', '-l', 'pt-PT'], '{"document":"123"}\n');
+        const [row] = JSON.parse(stdout);
+
+        expect(row).toMatchObject({
+            valid: false,
+            country: null,
+            code: 'COUNTRY_NOT_DETECTED',
+            error: 'País não detetado: nenhuma regra de país aceita este valor'
+        });
+    });
+
+    test('CLI failures have the same keys as validator failures', () => {
+        const options = parseArgs(['--country', 'br']);
+        const empty = checkRecord({ document: '' }, 2, options);
+        const invalid = checkRecord({ document: '12345678900' }, 3, options);
+
+        expect(Object.keys(empty)).toEqual(Object.keys(invalid));
+        expect(empty.error).toBe('Empty value');
+        expect(invalid.code).toBe('CHECK_DIGIT_2');
+    });
+});
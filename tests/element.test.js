@@ -0,0 +1,18 @@
+import TaxDocumentInput from '../src/index.js';
+import { TaxDocumentInput as ReactTaxDocumentInput } from '../src/react.js';
+
+describe('custom element registration', () => {
+    test('importing the main and React entries does not define the element', () => {
+        expect(TaxDocumentInput).toBeDefined();
+        expect(ReactTaxDocumentInput).toBeDefined();
+        expect(customElements.get('tax-document-input')).toBeUndefined();
+    });
+
+    test('the element entry defines <tax-document-input> and re-exports the main entry', async () => {
+        const element = await import('../src/element.js');
+
+        expect(customElements.get('tax-document-input')).toBeDefined();
+        expect(element.default).toBe(TaxDocumentInput);
+        expect(element.defineTaxDocumentInputElement('tax-id-input')).toBe(customElements.get('tax-id-input'));
+    });
+});
@@ -0,0 +1,52 @@
+import { generate, generateInvalid, validate } from '../src/headless.js';
+import { VatRegistryInstance } from '../src/CountryRegistry.js';
+
+describe('test data generator', () => {
+    test('alphanumeric CNPJs have letters and pass the validator', () => {
+        for (let i = 0; i < 20; i++) {
+            const value = generate('br', 'cnpj', { seed: `alphanumeric-${i}`, alphanumeric: true });
+
+            expect(value).toMatch(/^[0-9A-Z]{12}\d{2}$/);
+            expect(value).toMatch(/[A-Z]/);
+            expect(validate(value, 'br', 'cnpj').isValid).toBe(true);
+        }
+    });
+
+    test('numeric CNPJs stay the default', () => {
+        expect(generate('br', 'cnpj', { seed: 'numeric' })).toMatch(/^\d{8}0001\d{2}$/);
+    });
+
+    test('alphanumeric CNPJs are formatted and reproducible', () => {
+        const value = generate('br', 'cnpj', { seed: 'e2e', alphanumeric: true, formatted: true });
+
+        expect(value).toMatch(/^[0-9A-Z]{2}\.[0-9A-Z]{3}\.[0-9A-Z]{3}\/[0-9A-Z]{4}-\d{2}$/);
+        expect(generate('br', 'cnpj', { seed: 'e2e', alphanumeric: true, formatted: true })).toBe(value);
+    });
+
+    test.each(VatRegistryInstance.getCodes())('generates valid VAT numbers with the %s prefix', (country) => {
+        const { vatPrefix } = VatRegistryInstance.get(country);
+
+        for (let i = 0; i < 5; i++) {
+            const value = generate(country, 'vat', { seed: `${country}-${i}` });
+
+            expect(value.startsWith(vatPrefix)).toBe(true);
+            expect(validate(value, country, 'vat').isValid).toBe(true);
+        }
+    });
+
+    test('VAT numbers keep the check digits in their position', () => {
+        expect(generate('fr', 'vat', { seed: 'fr' })).toMatch(/^FR\d{11}$/);
+        expect(generate('nl', 'vat', { seed: 'nl' })).toMatch(/^NL\d{9}B\d{2}$/);
+        expect(generate('gr', 'vat', { seed: 'gr' })).toMatch(/^EL\d{9}$/);
+    });
+
+    test('invalid VAT and alphanumeric CNPJ variants are tagged with the validator code', () => {
+        const [vat] = generateInvalid('de', 'vat', { seed: 'invalid', codes: ['CHECK_DIGIT'] });
+        expect(vat.value.startsWith('DE')).toBe(true);
+        expect(vat.code).toBe(validate(vat.value, 'de', 'vat').code);
+
+        const [cnpj] = generateInvalid('br', 'cnpj', { seed: 'invalid', codes: ['CHECK_DIGIT'], alphanumeric: true });
+        expect(cnpj.value).toMatch(/[A-Z]/);
+        expect(cnpj.code).toBe(validate(cnpj.value, 'br', 'cnpj').code);
+    });
+});
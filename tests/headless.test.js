@@ -0,0 +1,38 @@
+import { validate } from '../src/headless.js';
+import { ValidatorInstance } from '../src/validators/Validator.js';
+
+describe('headless validation results', () => {
+    const keys = Object.keys(validate('52998224725', 'br', 'cpf')).sort();
+
+    test('VALIDATOR_NOT_FOUND has the same keys as a rule result', () => {
+        const result = validate('12345678909', 'br', 'passport');
+
+        expect(result).toMatchObject({ isValid: false, code: 'VALIDATOR_NOT_FOUND', documentType: 'passport', countryCode: 'br' });
+        expect(Object.keys(result).sort()).toEqual(keys);
+    });
+
+    test('RULES_NOT_FOUND has the same keys as a rule result', () => {
+        const result = validate('12345678909', 'zz', 'cpf');
+
+        expect(result).toMatchObject({ isValid: false, code: 'RULES_NOT_FOUND', documentType: 'cpf', countryCode: 'zz' });
+        expect(Object.keys(result).sort()).toEqual(keys);
+    });
+
+    test('UNSUPPORTED_COUNTRY has the same keys as a rule result', () => {
+        const result = validate('12345678909', 'zz');
+
+        expect(result).toMatchObject({ code: 'UNSUPPORTED_COUNTRY', documentType: null, countryCode: 'zz' });
+        expect(Object.keys(result).sort()).toEqual(keys);
+    });
+
+    test('VALIDATION_ERROR keeps the country and document type', () => {
+        ValidatorInstance.registerDocumentRule('br', 'broken', () => {
+            throw new Error('boom');
+        });
+
+        const result = ValidatorInstance.validate('1', 'br', 'broken');
+
+        expect(result).toMatchObject({ code: 'VALIDATION_ERROR', error: 'Error during validation: boom', documentType: 'broken', countryCode: 'br' });
+        expect(Object.keys(result).sort()).toEqual(keys);
+    });
+});
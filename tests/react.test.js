@@ -0,0 +1,210 @@
+import { jest } from '@jest/globals';
+import { StrictMode, act, createElement as h, useState } from 'react';
+import { createRoot } from 'react-dom/client';
+import { TaxDocumentInput as TaxDocumentInputPlugin } from '../src/index.js';
+import { TaxDocumentInput, useTaxDocument } from '../src/react.js';
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+describe('React entry point', () => {
+    let container;
+    let root;
+
+    const render = (element) => act(() => {
+        root.render(h(StrictMode, null, element));
+    });
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        document.body.appendChild(container);
+        root = createRoot(container);
+    });
+
+    afterEach(() => {
+        act(() => root.unmount());
+        container.remove();
+    });
+
+    test('StrictMode double mount leaves a single plugin instance and input', () => {
+        render(h(TaxDocumentInput, { defaultValue: '12345678909', logger: false }));
+
+        expect(TaxDocumentInputPlugin.getInstances()).toHaveLength(1);
+        expect(container.querySelectorAll('input')).toHaveLength(1);
+        expect(container.querySelectorAll('.tax-document-input')).toHaveLength(1);
+        expect(container.querySelector('input').value).toBe('123.456.789-09');
+    });
+
+    test('unmounting destroys the instance and its DOM', () => {
+        render(h(TaxDocumentInput, { logger: false }));
+        act(() => root.render(null));
+
+        expect(TaxDocumentInputPlugin.getInstances()).toHaveLength(0);
+        expect(container.innerHTML).toBe('');
+        expect(document.querySelector('[data-tax-dropdown]')).toBeNull();
+    });
+
+    test('controlled value and country updates do not call onChange or onCountryChange', () => {
+        const onChange = jest.fn();
+        const onCountryChange = jest.fn();
+        let setProps;
+
+        function Form() {
+            const [props, setState] = useState({ value: '12345678909', country: 'br' });
+            setProps = setState;
+
+            return h(TaxDocumentInput, { ...props, onChange, onCountryChange, logger: false });
+        }
+
+        render(h(Form));
+        const input = container.querySelector('input');
+
+        act(() => setProps({ value: '11144477735', country: 'br' }));
+        expect(input.value).toBe('111.444.777-35');
+
+        act(() => setProps({ value: '123456789', country: 'pt' }));
+        expect(TaxDocumentInputPlugin.getInstances()[0].getSelectedCountry()).toBe('pt');
+        expect(input.value).toBe('123 456 789');
+
+        expect(onChange).not.toHaveBeenCalled();
+        expect(onCountryChange).not.toHaveBeenCalled();
+    });
+
+    test('echoing the clean value from onChange does not loop through setValue', () => {
+        const onChange = jest.fn();
+        let renders = 0;
+
+        function Form() {
+            const [value, setValue] = useState('');
+            renders++;
+
+            return h(TaxDocumentInput, {
+                value,
+                country: 'br',
+                logger: false,
+                onChange: (cleanValue, state) => {
+                    onChange(cleanValue, state);
+                    setValue(cleanValue);
+                }
+            });
+        }
+
+        render(h(Form));
+        const input = container.querySelector('input');
+        const setValue = jest.spyOn(TaxDocumentInputPlugin.getInstances()[0], 'setValue');
+        const rendersBefore = renders;
+
+        act(() => {
+            input.value = '52998224725';
+            input.dispatchEvent(new Event('input', { bubbles: true }));
+        });
+
+        expect(onChange).toHaveBeenCalledTimes(1);
+        expect(onChange.mock.calls[0][0]).toBe('52998224725');
+        expect(onChange.mock.calls[0][1]).toMatchObject({ formattedValue: '529.982.247-25', documentType: 'cpf', isValid: true });
+        expect(setValue).not.toHaveBeenCalled();
+        expect(input.value).toBe('529.982.247-25');
+        // One update from the hook state and one from the parent, each rendered twice by StrictMode
+        expect(renders - rendersBefore).toBeLessThanOrEqual(4);
+    });
+
+    test('a controlled value the parent keeps is restored after an edit', () => {
+        const onChange = jest.fn();
+
+        function Form() {
+            const [value] = useState('52998224725');
+
+            return h(TaxDocumentInput, { value, country: 'br', onChange, logger: false });
+        }
+
+        render(h(Form));
+        const input = container.querySelector('input');
+
+        act(() => {
+            input.value = '529982247';
+            input.dispatchEvent(new Event('input', { bubbles: true }));
+        });
+
+        expect(onChange).toHaveBeenCalledTimes(1);
+        expect(onChange.mock.calls[0][0]).toBe('529982247');
+        expect(input.value).toBe('529.982.247-25');
+        expect(TaxDocumentInputPlugin.getInstances()[0].getCleanValue()).toBe('52998224725');
+    });
+
+    test('a controlled value the parent changes in onChange replaces the edit', () => {
+        function Form() {
+            const [value, setValue] = useState('');
+
+            // Keeps only the first 9 digits
+            return h(TaxDocumentInput, {
+                value,
+                country: 'br',
+                logger: false,
+                onChange: (cleanValue) => setValue(cleanValue.slice(0, 9))
+            });
+        }
+
+        render(h(Form));
+        const input = container.querySelector('input');
+
+        act(() => {
+            input.value = '52998224725';
+            input.dispatchEvent(new Event('input', { bubbles: true }));
+        });
+
+        expect(input.value).toBe('529.982.247');
+    });
+
+    test('user country selection calls onCountryChange', () => {
+        const onCountryChange = jest.fn();
+
+        render(h(TaxDocumentInput, { defaultCountry: 'br', onCountryChange, logger: false }));
+        act(() => TaxDocumentInputPlugin.getInstances()[0].setCountry('pt'));
+
+        expect(onCountryChange).toHaveBeenCalledTimes(1);
+        expect(onCountryChange.mock.calls[0][0]).toBe('pt');
+    });
+
+    test('onValidate receives the validation on blur', () => {
+        const onValidate = jest.fn();
+
+        render(h(TaxDocumentInput, { defaultValue: '12345678900', onValidate, logger: false }));
+        act(() => container.querySelector('input').dispatchEvent(new Event('blur')));
+
+        expect(onValidate).toHaveBeenCalled();
+        expect(onValidate.mock.calls[0][0].isValid).toBe(false);
+    });
+
+    test('useTaxDocument exposes clean value, formatted value, document type and validation', () => {
+        let state;
+
+        function Field() {
+            state = useTaxDocument({ defaultValue: '12345678909', defaultCountry: 'br', logger: false });
+            return h('div', { ref: state.containerRef });
+        }
+
+        render(h(Field));
+
+        expect(state).toMatchObject({
+            cleanValue: '12345678909',
+            formattedValue: '123.456.789-09',
+            country: 'br',
+            documentType: 'cpf',
+            isValid: true
+        });
+        expect(state.validation.isValid).toBe(true);
+        expect(state.instance).toBe(TaxDocumentInputPlugin.getInstances()[0]);
+
+        act(() => state.clear());
+        expect(state).toMatchObject({ cleanValue: '', documentType: null, isValid: false, validation: null });
+    });
+
+    test('options that updateOptions does not support rebuild the instance', () => {
+        render(h(TaxDocumentInput, { mode: 'document', logger: false }));
+        const instance = TaxDocumentInputPlugin.getInstances()[0];
+
+        render(h(TaxDocumentInput, { mode: 'vat', logger: false }));
+
+        expect(TaxDocumentInputPlugin.getInstances()).toEqual([instance]);
+        expect(instance.options.mode).toBe('vat');
+    });
+});